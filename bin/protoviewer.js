@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Reads a TextFormat proto from a file, or from stdin, and prints it
+// again: formatted, flattened onto one line, filtered, sliced, as JSON,
+// or a repeated field as a CSV or TSV table.  Parse errors are printed
+// and the exit status is 1, so it can check protos in scripts.
+
+var fs = require("fs");
+var protoviewer = require("../protoviewer.js");
+
+var USAGE = [
+    "usage: protoviewer [options] [file]",
+    "",
+    "Reads a TextFormat proto from file (or stdin) and prints it.",
+    "",
+    "  --flat                   print it on one line",
+    "  --json                   print it as JSON",
+    "  --well-known             describe Timestamps, Durations and other",
+    "                           well-known types in comments",
+    "  --schema FILE            a .proto file or FileDescriptorSet to use for",
+    "                           --json and --well-known",
+    "  --message-type TYPE      the message type, like pkg.MyMessage",
+    "  --table PATH             print the messages in a repeated field, like",
+    "                           a.items, as CSV, with a column for each field",
+    "  --tsv                    print the --table as TSV instead",
+    "  --filter PATTERN         leave out the fields with names that match",
+    "  --reverse-filter         keep just the fields with names that match, instead",
+    "  --filter-mode MODE       exact (the default), contains or glob",
+    "  --slice PATTERN          keep just the fields that match, and what they're in",
+    "  --slice-mode MODE        contains (the default), glob or exact",
+    "  --match-case             make patterns case sensitive",
+    "  --recover                keep going past parse errors",
+    "  --help                   show this",
+    "",
+    "Patterns like /re/i are regular expressions.",
+].join("\n");
+
+// options that take a value, and the names they're kept under
+var VALUE_OPTIONS = {
+    "--schema": "schema",
+    "--message-type": "message_type",
+    "--filter": "filter",
+    "--filter-mode": "filter_mode",
+    "--slice": "slice",
+    "--slice-mode": "slice_mode",
+    "--table": "table",
+};
+
+var FLAG_OPTIONS = {
+    "--flat": "flat",
+    "--json": "json",
+    "--well-known": "well_known",
+    "--tsv": "tsv",
+    "--reverse-filter": "reverse_filter",
+    "--match-case": "match_case",
+    "--recover": "recover",
+    "--help": "help",
+};
+
+// Returns {value: options, error}, where options.file is null for stdin
+var parse_args = function(args) {
+    var options = {file: null, filter_mode: "exact", slice_mode: "contains"};
+    for (var ii = 0; ii < args.length; ii++) {
+        var arg = args[ii];
+        var equals = arg.indexOf("=");
+        var value = null;
+        if (arg.substr(0, 2) == "--" && equals >= 0) {
+            value = arg.substr(equals + 1);
+            arg = arg.substr(0, equals);
+        }
+        if (arg in VALUE_OPTIONS) {
+            if (value === null) {
+                if (ii + 1 >= args.length) {
+                    return {value: options, error: arg + " needs a value"};
+                }
+                value = args[++ii];
+            }
+            options[VALUE_OPTIONS[arg]] = value;
+        } else if (arg in FLAG_OPTIONS && value === null) {
+            options[FLAG_OPTIONS[arg]] = true;
+        } else if (arg.charAt(0) == "-" && arg != "-") {
+            return {value: options, error: "Unknown option " + arg};
+        } else if (options.file !== null) {
+            return {value: options, error: "Only one file can be read"};
+        } else {
+            options.file = arg == "-" ? null : arg;
+        }
+    }
+    return {value: options, error: null};
+};
+
+var read_file = function(file) {
+    return fs.readFileSync(file === null ? 0 : file, "utf8");
+};
+
+// Returns {value: the text to print, problems}, where problems is a list
+// of errors to print.  If value is null, there's nothing to print.
+var run = function(options) {
+    var name = options.file === null ? "<stdin>" : options.file;
+    var filter_func;
+    if (options.filter) {
+        var filter = protoviewer.parse_pattern(
+            options.filter, options.filter_mode, options.match_case);
+        if (filter.error) {
+            return {value: null, problems: ["--filter: " + filter.error]};
+        }
+        filter_func = protoviewer.make_name_filter(filter.value, options.reverse_filter);
+    }
+    var result = protoviewer.parse_proto(read_file(options.file), 0, filter_func, options.recover);
+    var problems = result.error ? [name + ": " + result.error] : [];
+    (result.errors || []).forEach(function(error_info) {
+        problems.push(name + ": " + protoviewer.describe_error(error_info));
+    });
+    if (result.error) {
+        return {value: null, problems: problems};
+    }
+    var proto = result.value;
+    if (options.slice) {
+        var slice = protoviewer.parse_pattern(options.slice, options.slice_mode, options.match_case);
+        if (slice.error) {
+            return {value: null, problems: ["--slice: " + slice.error]};
+        }
+        proto = protoviewer.slice_by_pattern(proto, slice.value);
+    }
+    if (options.table) {
+        var messages = protoviewer.table_messages(proto, options.table);
+        if (messages.length == 0) {
+            problems.push(name + ": there are no messages in " + options.table);
+            return {value: null, problems: problems};
+        }
+        return {
+            value: protoviewer.format_table(protoviewer.make_table(messages), options.tsv ? "\t" : ","),
+            problems: problems,
+        };
+    }
+    var schema = null;
+    if (options.schema) {
+        var loaded = protoviewer.load_schema(read_file(options.schema));
+        if (loaded.error) {
+            return {value: null, problems: [options.schema + ": " + loaded.error]};
+        }
+        schema = loaded.value;
+    }
+    if (!options.json) {
+        var type_info;
+        if (options.well_known) {
+            type_info = schema ? protoviewer.check_proto(
+                proto, schema, options.message_type || null).value : null;
+            type_info = type_info || {values: {}};
+        }
+        return {
+            value: protoviewer.format(proto, options.flat, "", type_info).trim() + "\n",
+            problems: problems,
+        };
+    }
+    var json = protoviewer.to_json(proto, schema, options.message_type || null);
+    if (json.error) {
+        problems.push(name + ": " + json.error);
+    }
+    return {value: JSON.stringify(json.value, null, 2) + "\n", problems: problems};
+};
+
+// The exit status is 1 if there were any problems, and 2 if it couldn't
+// run at all.
+var main = function() {
+    var options = parse_args(process.argv.slice(2));
+    if (options.error) {
+        process.stderr.write(options.error + "\n\n" + USAGE + "\n");
+        process.exit(2);
+    }
+    if (options.value.help) {
+        process.stdout.write(USAGE + "\n");
+        return;
+    }
+    try {
+        var output = run(options.value);
+    } catch (e) {
+        process.stderr.write(String(e) + "\n");
+        process.exit(2);
+    }
+    if (output.value !== null) {
+        process.stdout.write(output.value);
+    }
+    output.problems.forEach(function(problem) {
+        process.stderr.write(problem + "\n");
+    });
+    if (output.problems.length > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main();
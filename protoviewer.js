@@ -39,11 +39,85 @@ var protoviewer = {};
 
 // a helper function for making error messages
 protoviewer.make_error = function(message, text, ii, len) {
+    var where = protoviewer.line_and_column(text, ii);
+    return message + " at line " + where.line + ", column " + where.column +
+        " (" + protoviewer.error_snippet(text, ii, len) + ")";
+};
+
+// The text around position ii, for error messages
+protoviewer.error_snippet = function(text, ii, len) {
     if (!len) {
         len = 10;
     }
-    return message + " at: " + ii + " = " +
-        text.charAt(ii) + " (" + text.substr(ii - len, len*2) + ")";
+    return text.substr(Math.max(ii - len, 0), Math.min(ii, len) + len);
+};
+
+// Returns {line, column} for a position in the text, both starting at 1
+protoviewer.line_and_column = function(text, ii) {
+    var before = text.substr(0, ii).split("\n");
+    return {line: before.length, column: before[before.length - 1].length + 1};
+};
+
+// Describes the character at ii, for error messages
+protoviewer.describe_char = function(text, ii) {
+    if (ii >= text.length) {
+        return "the end of the input";
+    } else if (text.charAt(ii) == "\n") {
+        return "a newline";
+    }
+    return "'" + text.charAt(ii) + "'";
+};
+
+// Records an error in the result of one of the parse_ functions.  If
+// message isn't given, it says what was expected and what was found
+// instead.  As well as the error message, the result gets error_info:
+// {
+//     message, expected, found:
+//         what went wrong
+//     position, line, column:
+//         where it went wrong
+//     path:
+//         the names of the fields that the error is in, outermost
+//         first.  The parse_ functions add to this as the error is
+//         passed up (see add_error_path).
+// }
+protoviewer.set_parse_error = function(result, text, ii, expected, message) {
+    var where = protoviewer.line_and_column(text, ii);
+    var found = protoviewer.describe_char(text, ii);
+    result.error_info = {
+        message: message || "Expected " + expected + " but found " + found,
+        expected: expected || null,
+        found: found,
+        position: ii,
+        line: where.line,
+        column: where.column,
+        path: [],
+        snippet: protoviewer.error_snippet(text, ii),
+    };
+    result.error = protoviewer.describe_error(result.error_info);
+    return result;
+};
+
+protoviewer.describe_error = function(error_info) {
+    var description = error_info.message + " at line " + error_info.line +
+        ", column " + error_info.column;
+    if (error_info.path.length > 0) {
+        // list indexes go right after the field name: e[1].f
+        description += " in " + error_info.path.join(".").replace(/\.(\[[0-9]+\])/g, "$1");
+    }
+    return description + " (" + error_info.snippet + ")";
+};
+
+// Passes an error from a field's value up to the enclosing proto,
+// adding the field name to its path.
+protoviewer.add_error_path = function(result, from, name) {
+    result.error = from.error;
+    if (from.error_info) {
+        result.error_info = from.error_info;
+        result.error_info.path.unshift(name);
+        result.error = protoviewer.describe_error(result.error_info);
+    }
+    return result;
 };
 
 protoviewer.consume_regexp = function(text, ii, regexp) {
@@ -97,35 +171,90 @@ protoviewer.consume_comments = function(text, ii) {
 // names as we traverse the proto.  If it returns true for any field name,
 // that field and its value (which could be a sub-proto) will be excluded.
 //
-protoviewer.parse_proto = function(text, ii, filter_func) {
+// If recover is true, we don't stop at the first error.  Instead, we skip
+// ahead to the next thing that looks like a field and keep going.  The
+// error stays null, and the result has an "errors" list of the
+// error_info for every error (see set_parse_error).  Each error is also
+// kept on the proto or list it was found in (see add_node_error), so that
+// draw_proto can show it there.
+//
+// Each proto also remembers the order that its values were in, and
+// where each one was in the text, so that it can be shown and formatted
+// the way it was written, even when the values of a repeated field are
+// mixed in with other fields (see entries).
+//
+protoviewer.parse_proto = function(text, ii, filter_func, recover) {
     if (!ii) {
         ii = 0;
     }
     ii = protoviewer.consume_comments(text, ii);
     var has_braces = false;
-    if (text.charAt(ii) == "{") {
+    // a message can be in either { } or < >
+    var close = "}";
+    if (text.charAt(ii) == "{" || text.charAt(ii) == "<") {
         has_braces = true;
+        close = text.charAt(ii) == "<" ? ">" : "}";
         ii++;
     }
-    var result = protoviewer.parse_body(text, ii, filter_func);
+    var result = protoviewer.parse_body(text, ii, filter_func, recover);
     if (result.error) {
         return result;
     }
     if (has_braces) {
         ii = result.position;
         ii = protoviewer.consume_comments(text, ii);
-        if (text.charAt(ii) != "}") {
-            result.error = "Missing Closing Brace";
+        if (text.charAt(ii) != close) {
+            var missing = protoviewer.set_parse_error(
+                {}, text, ii, "'" + close + "' to close the proto");
+            if (recover) {
+                protoviewer.recover_from_error(result, missing, null);
+            } else {
+                result.error = missing.error;
+                result.error_info = missing.error_info;
+            }
         } else {
             ii++;
         }
+        result.end = ii;
         ii = protoviewer.consume_comments(text, ii);
         result.position = ii;
+    } else {
+        // parse_body stops at a '}' or '>', which is an error at the top level
+        while (result.position < text.length && !result.error) {
+            var unmatched = protoviewer.set_parse_error(
+                {}, text, result.position, null,
+                "Unexpected '" + text.charAt(result.position) + "' without a matching '" +
+                (text.charAt(result.position) == ">" ? "<" : "{") + "'");
+            if (!recover) {
+                result.error = unmatched.error;
+                result.error_info = unmatched.error_info;
+                break;
+            }
+            protoviewer.recover_from_error(result, unmatched, null);
+            var rest = protoviewer.parse_body(text, result.position + 1, filter_func, recover);
+            protoviewer.collect_errors(result, rest, null);
+            protoviewer.node_errors(rest.value).forEach(function(error) {
+                protoviewer.add_node_error(result.value, error.name, error.error_info);
+            });
+            protoviewer.entries(rest.value).forEach(function(entry) {
+                protoviewer.add_value(result.value, entry.name, entry.value, entry.span);
+            });
+            result.position = rest.position;
+        }
     }
     return result;
 };
 
-protoviewer.parse_body = function(text, ii, filter_func) {
+// If this is set, parse_body calls it with its position and the text
+// after each field, to show how far it has got.
+protoviewer.progress_func = null;
+
+// The span of each value that parse_body adds (see add_value) looks like
+// {start, value_start, value_end, end}, where start is where the field
+// name starts, and end includes the ',' or ';' after the value, if there
+// is one.  The proto's "source_end" is the position of the '}' that ends
+// it.
+protoviewer.parse_body = function(text, ii, filter_func, recover) {
     if (!ii) {
         ii = 0;
     }
@@ -134,14 +263,24 @@ protoviewer.parse_body = function(text, ii, filter_func) {
         position: ii,
         error: null,
     };
+    if (recover) {
+        result.errors = [];
+    }
+    protoviewer.set_hidden(result.value, "entries", []);
     ii = protoviewer.consume_comments(text, ii);
-    while (text.length > ii && text.charAt(ii) != "}") {
+    while (text.length > ii && text.charAt(ii) != "}" && text.charAt(ii) != ">") {
         var old_ii = ii;
         ii = protoviewer.consume_comments(text, ii);
+        var start = ii;
         var name = protoviewer.parse_token(text, ii, /* include_brackets=*/true);
-        if (name.error) {
+        if (name.error && recover) {
+            protoviewer.recover_from_error(result, name, null);
+            ii = protoviewer.skip_to_field(text, name.error_info.position);
+            continue;
+        } else if (name.error) {
             // should this really be an error?  Or is this just the end of the proto?
             result.error = name.error;
+            result.error_info = name.error_info;
             break;
         }
         // for debugging:
@@ -152,35 +291,243 @@ protoviewer.parse_body = function(text, ii, filter_func) {
             ii++;
         }
         ii = protoviewer.consume_comments(text, ii);
-        var value = protoviewer.parse_value(text, ii, filter_func);
+        var value_start = ii;
+        var value = protoviewer.parse_value(text, ii, filter_func, recover);
         if (value.position) {
             ii = value.position;
         }
         ii = protoviewer.consume_comments(text, ii);
-        if (!filter_func || !filter_func(name.value)) {
-          if (!(name.value in result.value)) {
-            result.value[name.value] = [];
-          }
-          result.value[name.value].push(value.value);
+        var count = name.value in result.value ? result.value[name.value].length : 0;
+        var span = {
+            start: start,
+            value_start: value_start,
+            value_end: protoviewer.is_defined(value.end) ? value.end : value.position,
+        };
+        span.end = span.value_end;
+        var path_name = count > 0 ? name.value + "[" + count + "]" : name.value;
+        // when recovering, only keep what we could parse of a sub-proto
+        var should_keep = !value.error || !recover || protoviewer.is_object(value.value);
+        if ((!filter_func || !filter_func(name.value)) && should_keep) {
+          protoviewer.add_value(result.value, name.value, value.value, span);
         }
-        if (value.error) {
-            result.error = value.error;
+        protoviewer.collect_errors(result, value, path_name);
+        if (value.error && recover) {
+            protoviewer.recover_from_error(result, value, name.value, path_name);
+            ii = protoviewer.skip_to_field(text, value.error_info.position);
+            continue;
+        } else if (value.error) {
+            protoviewer.add_error_path(result, value, path_name);
             break;
         }
-        if (text.charAt(ii) == ",") {
+        if (text.charAt(ii) == "," || text.charAt(ii) == ";") {
             ii++;
+            span.end = ii;
             ii = protoviewer.consume_comments(text, ii);
         }
         if (ii == old_ii) {
             // This can happen if there is an unrecognized character
-            result.error = protoviewer.make_error("Internal error!  Infinite loop", text, ii);
+            protoviewer.set_parse_error(result, text, ii, "a field name");
             break;
         }
+        if (protoviewer.progress_func) {
+            protoviewer.progress_func(ii, text);
+        }
     }
+    protoviewer.set_hidden(result.value, "source_end", ii);
     result.position = ii;
     return result;
 };
 
+// Besides its fields, we keep some things on a proto (or list), like the
+// order of its values.  They're in properties that for ... in and
+// JSON.stringify don't see, with names that can't be field names.
+protoviewer.set_hidden = function(node, key, value) {
+    Object.defineProperty(node, "$" + key, {
+        value: value,
+        enumerable: false,
+        writable: true,
+        configurable: true,
+    });
+    return value;
+};
+
+// The thing kept on a proto by set_hidden, or undefined
+protoviewer.get_hidden = function(node, key) {
+    if (!protoviewer.is_object(node) || !Object.prototype.hasOwnProperty.call(node, "$" + key)) {
+        return undefined;
+    }
+    return node["$" + key];
+};
+
+// Adds a value to the end of a proto, keeping track of the order of the
+// values (see entries).  span is where it was in the text, if we know.
+// The order is kept by index, so anything that removes or moves values
+// has to do it with set_entries, not by splicing proto[name], or the
+// order would point at the wrong values.
+protoviewer.add_value = function(proto, name, value, span) {
+    var entries = protoviewer.get_hidden(proto, "entries");
+    if (!entries) {
+        entries = protoviewer.set_hidden(proto, "entries", protoviewer.entries(proto).map(
+            function(entry) {
+                return {name: entry.name, index: entry.index, span: entry.span};
+            }));
+    }
+    if (!Object.prototype.hasOwnProperty.call(proto, name)) {
+        proto[name] = [];
+    }
+    entries.push({name: name, index: proto[name].length, span: span || null});
+    proto[name].push(value);
+};
+
+// The values of a proto in order, as a list of {name, index, value, span},
+// where value is proto[name][index], and span is where it was in the
+// text (see parse_body) or null.  Values that were added with add_value
+// are in the order they were added.  Any others (from code that just
+// pushes onto proto[name]) come after them, grouped by name.
+protoviewer.entries = function(proto) {
+    var entries = [];
+    var seen = {};
+    var add = function(name, index, span) {
+        var key = JSON.stringify([name, index]);
+        if (!(key in seen) && Object.prototype.hasOwnProperty.call(proto, name) &&
+                protoviewer.is_array(proto[name]) && index < proto[name].length) {
+            seen[key] = true;
+            entries.push({name: name, index: index, value: proto[name][index], span: span});
+        }
+    };
+    (protoviewer.get_hidden(proto, "entries") || []).forEach(function(entry) {
+        add(entry.name, entry.index, entry.span);
+    });
+    for (var name in proto) {
+        for (var ii = 0; protoviewer.is_array(proto[name]) && ii < proto[name].length; ii++) {
+            add(name, ii, null);
+        }
+    }
+    return entries;
+};
+
+// In recovery mode, errors are kept on the proto (or list) they were
+// found in, along with the name of the field they were in (or null), so
+// that draw_proto can show them in the right place.
+protoviewer.add_node_error = function(node, name, error_info) {
+    var errors = protoviewer.get_hidden(node, "parse_errors") ||
+        protoviewer.set_hidden(node, "parse_errors", []);
+    errors.push({name: name, error_info: error_info});
+};
+
+// The errors that recovery mode kept on a node, for the field with the
+// given name, or for all fields if name isn't given.
+protoviewer.node_errors = function(node, name) {
+    return (protoviewer.get_hidden(node, "parse_errors") || []).filter(function(error) {
+        return !protoviewer.is_defined(name) || error.name === name;
+    });
+};
+
+// Keeps the errors that recovery mode kept on a proto with a copy of it,
+// for the functions that make a new proto from an old one.  Returns the
+// copy.
+protoviewer.copy_node_errors = function(from, to) {
+    var errors = protoviewer.get_hidden(from, "parse_errors");
+    if (errors) {
+        protoviewer.set_hidden(to, "parse_errors", errors.slice());
+    }
+    return to;
+};
+
+// In recovery mode, records the error from one of the parse_ functions
+// in the result (see parse_proto) instead of stopping.  name is the field
+// the error was in, if any, and path_name is how to show it in the path.
+protoviewer.recover_from_error = function(result, from, name, path_name) {
+    if (path_name) {
+        from.error_info.path.unshift(path_name);
+    }
+    result.errors.push(from.error_info);
+    protoviewer.add_node_error(result.value, name, from.error_info);
+};
+
+// In recovery mode, adds the errors that were skipped while parsing a
+// field's value to the result, adding the field to their paths.
+protoviewer.collect_errors = function(result, from, path_name) {
+    var errors = from.errors || [];
+    for (var ii = 0; ii < errors.length; ii++) {
+        if (path_name) {
+            errors[ii].path.unshift(path_name);
+        }
+        result.errors.push(errors[ii]);
+    }
+};
+
+// Returns the position of the quote that ends the string starting at ii,
+// or -1 if it doesn't end on the same line.
+protoviewer.find_string_end = function(text, ii) {
+    var quote = text.charAt(ii);
+    for (var jj = ii + 1; jj < text.length && text.charAt(jj) != "\n"; jj++) {
+        if (text.charAt(jj) == "\\") {
+            jj++;
+        } else if (text.charAt(jj) == quote) {
+            return jj;
+        }
+    }
+    return -1;
+};
+
+// In recovery mode, after an error at ii in a list, finds the ',' before
+// the next item, or the ']' (or '}' or '>') that ends the list.
+protoviewer.skip_to_list_item = function(text, ii) {
+    var depth = 0;
+    for (var jj = ii; jj < text.length; jj++) {
+        var ch = text.charAt(jj);
+        if (ch == '"' || ch == "'") {
+            var end = protoviewer.find_string_end(text, jj);
+            if (end >= 0) {
+                jj = end;
+            }
+        } else if (ch == "{" || ch == "<" || ch == "[") {
+            depth++;
+        } else if (depth > 0 && (ch == "}" || ch == ">" || ch == "]")) {
+            depth--;
+        } else if (depth == 0 && (ch == "," || ch == "]" || ch == "}" || ch == ">")) {
+            return jj;
+        }
+    }
+    return text.length;
+};
+
+// In recovery mode, after an error at ii, finds where to start parsing
+// again: the next thing that looks like the start of a field (a name
+// followed by ':', '{' or '<'), or the '}' (or '>') that ends the current
+// proto.  Blocks in braces are skipped over as a whole.
+protoviewer.skip_to_field = function(text, ii) {
+    if (text.charAt(ii) == "}" || text.charAt(ii) == ">") {
+        return ii;
+    }
+    var depth = 0;
+    for (var jj = ii + 1; jj < text.length; jj++) {
+        var ch = text.charAt(jj);
+        if (ch == '"' || ch == "'") {
+            var end = protoviewer.find_string_end(text, jj);
+            if (end >= 0) {
+                jj = end;
+            }
+        } else if (ch == "#") {
+            while (jj < text.length && text.charAt(jj) != "\n") {
+                jj++;
+            }
+        } else if (ch == "{" || ch == "<") {
+            depth++;
+        } else if (ch == "}" || ch == ">") {
+            if (depth == 0) {
+                return jj;
+            }
+            depth--;
+        } else if (depth == 0 && /[\s,;]/.test(text.charAt(jj - 1)) &&
+                /^(\[[^\]\s]*\]|[A-Za-z_][\w\.]*)\s*[:{<]/.test(text.substr(jj, 256))) {
+            return jj;
+        }
+    }
+    return text.length;
+};
+
 protoviewer.parse_token = function(text, ii, should_include_brackets) {
     if (!ii) {
         ii = 0;
@@ -196,69 +543,81 @@ protoviewer.parse_token = function(text, ii, should_include_brackets) {
         result = protoviewer.consume_regexp(text, ii, regexp);
         result.error = null;
     }
-    if (!protoviewer.is_defined(result.value)) {
-        result.error = protoviewer.make_error("Error parsing token", text, ii);
+    if (!result.error && !result.value) {
+        protoviewer.set_parse_error(
+            result, text, ii, should_include_brackets ? "a field name" : "a value");
     }
     return result;
 };
 
+// Parses a quoted string.  Like in C, strings that are next to each
+// other are joined together: "a" "b" is the same as "ab".  The value is
+// the string as it was spelled, with the quotes and escapes (see
+// decode_value for what it stands for), but we check that the escapes
+// are ones that TextFormat allows.
 protoviewer.parse_string = function(text, ii) {
     if (!ii) {
         ii = 0;
     }
-    var quote = text.charAt(ii);
     if (text.charAt(ii) != "'" && text.charAt(ii) != '"') {
-        return {
-            value: "",
-            position: ii,
-            error: "Invalid string, doesn't start with quote: " + quote,
-        };
+        return protoviewer.set_parse_error(
+            {value: "", position: ii, error: null}, text, ii, "a quoted string");
     }
     var result = {
-        value: [text.charAt(ii)],
+        value: "",
         error: null,
         position: ii,
     };
-    var jj = ii + 1;
-    var escape = false;
-    for ( ; jj < text.length; jj++) {
-        result.value.push(text.charAt(jj));
-        if (!escape && text.charAt(jj) == quote) {
-            break;
+    var start = ii;
+    var end = ii;
+    while (text.charAt(ii) == "'" || text.charAt(ii) == '"') {
+        var quote = text.charAt(ii);
+        var jj = ii + 1;
+        for ( ; jj < text.length && text.charAt(jj) != quote; jj++) {
+            if (text.charAt(jj) != "\\") {
+                continue;
+            }
+            var escape = /^\\([0-7]{1,3}|x[0-9a-fA-F]{1,2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[ntrabfv\\'"?])/.exec(
+                text.substr(jj, 10));
+            if (!escape) {
+                result.position = jj;
+                return protoviewer.set_parse_error(
+                    result, text, jj, null, "Unknown escape " +
+                    protoviewer.describe_char(text, jj + 1) + " in the string");
+            }
+            jj += escape[0].length - 1;
         }
-        if (!escape && text.charAt(jj) == "\\") {
-            escape = true;
-        } else {
-            escape = false;
+        if (jj >= text.length) {
+            result.value = text.substring(start);
+            result.position = jj;
+            return protoviewer.set_parse_error(
+                result, text, ii, null, "No closing " + quote + " for the string starting");
         }
+        end = jj + 1;
+        ii = protoviewer.consume_comments(text, end);
     }
-    result.value = result.value.join("");
-    result.position = jj;
-    if (jj >= text.length) {
-        result.error = "No end of string found: " + ii;
-    } else if (text.charAt(jj) == quote) {
-        jj++;
-        jj = protoviewer.consume_comments(text, jj);
-        result.position = jj;
-    }
+    result.value = text.substring(start, end);
+    result.end = end;
+    result.position = ii;
     return result;
 };
 
-protoviewer.parse_value = function(text, ii, filter_func) {
+protoviewer.parse_value = function(text, ii, filter_func, recover) {
     if (!ii) {
         ii = 0;
     }
-    if (text.charAt(ii) == "{") {
-      return protoviewer.parse_proto(text, ii, filter_func);
+    if (text.charAt(ii) == "{" || text.charAt(ii) == "<") {
+      return protoviewer.parse_proto(text, ii, filter_func, recover);
     } else if (text.charAt(ii) == "[") {
-      return protoviewer.parse_list(text, ii, filter_func);
+      return protoviewer.parse_list(text, ii, filter_func, recover);
     } else {
-        // we don't try to handle enums yet
+        // scalars, enums included, are kept as they're spelled; a schema
+        // can check them later (see parse_typed_value)
         return protoviewer.parse_token(text, ii);
     }
 };
 
-protoviewer.parse_list = function(text, ii, filter_func) {
+protoviewer.parse_list = function(text, ii, filter_func, recover) {
     if (!ii) {
         ii = 0;
     }
@@ -271,12 +630,25 @@ protoviewer.parse_list = function(text, ii, filter_func) {
         position: ii,
         error: null,
     };
+    if (recover) {
+        result.errors = [];
+    }
     while (text.length > ii && text.charAt(ii) != "]") {
         var old_ii = ii;
-        var item = protoviewer.parse_value(text, ii, filter_func);
-        if (item.error) {
+        var item = protoviewer.parse_value(text, ii, filter_func, recover);
+        var path_name = "[" + result.value.length + "]";
+        protoviewer.collect_errors(result, item, path_name);
+        if (item.error && recover) {
+            protoviewer.recover_from_error(result, item, null, path_name);
+            ii = protoviewer.skip_to_list_item(text, item.error_info.position);
+            if (text.charAt(ii) != ",") {
+                break;
+            }
+            ii = protoviewer.consume_comments(text, ii + 1);
+            continue;
+        } else if (item.error) {
             result.position = item.position;
-            return result;
+            return protoviewer.add_error_path(result, item, "[" + result.value.length + "]");
         }
         ii = item.position;
         ii = protoviewer.consume_comments(text, ii);
@@ -286,15 +658,19 @@ protoviewer.parse_list = function(text, ii, filter_func) {
             ii = protoviewer.consume_comments(text, ii);
         }
         if (old_ii == ii) {
-            result.error = protoviewer.make_error("Error parsing list, unrecognized character", text, ii);
+            protoviewer.set_parse_error(result, text, ii, "',' or ']' in the list");
             break;
         }
     }
     result.position = ii;
-    if (text.length <= ii) {
-        result.error = "No end of list found: ";
+    if (recover && text.charAt(ii) != "]") {
+        var unclosed = protoviewer.set_parse_error({}, text, ii, "']' to close the list");
+        protoviewer.recover_from_error(result, unclosed, null);
+    } else if (text.length <= ii) {
+        protoviewer.set_parse_error(result, text, ii, "']' to close the list");
     } else if (text.charAt(ii) == "]") {
         ii++;
+        result.end = ii;
         ii = protoviewer.consume_comments(text, ii);
         result.position = ii;
     }
@@ -315,10 +691,13 @@ protoviewer.parse_list = function(text, ii, filter_func) {
 //                   data: { names to attrs to values = total for each protolist }
 //                  total: { attrs to values = aggregate over data }
 //
-// AttrProtoList = values: [ {attrs to values} or AttrProtoDict ]
+// AttrProtoList = values: [ {attrs to values} or AttrProtoDict or AttrProtoList ]
 //                   data: { attrs to [values = either the leaf value or the AttrProtoDict total ] }
 //                  total: { attrs to values = aggregate over data }
 //
+// The values of a field are an AttrProtoList, and so is a value that's a
+// list, like [1, 2, 3], with one leaf value for each item.
+//
 // The proto argument is the proto to compute metadata over.
 // The attributes argument tells you what meta data to compute.
 // It is a map from the name of the attribute to compute
@@ -330,47 +709,69 @@ protoviewer.parse_list = function(text, ii, filter_func) {
 //     the values over ProtoLists and again to aggregate values over
 //     ProtoDicts
 //
-// Currently, the only metadata we use this to compute is the depth
+// See METRICS for the metadata we compute with this.
 protoviewer.make_proto_info = function(proto, attributes) {
     var proto_info = {values: {}, data: {}, total: {}};
+    var attr;
+    for (attr in attributes) {
+        proto_info.data[attr] = [];
+    }
     for (var name in proto) {
-        proto_info.values[name] = {values: [], data: {}, total: {}};
+        proto_info.values[name] = protoviewer.make_list_info(name, proto[name], attributes);
         for (attr in attributes) {
-            proto_info.values[name].data[attr] = [];
+            proto_info.data[attr].push(proto_info.values[name].total[attr]);
         }
-        for (var ii = 0; ii < proto[name].length; ii++ ) {
-            if (protoviewer.is_object(proto[name][ii])) {
-                proto_info.values[name].values[ii] = protoviewer.make_proto_info(proto[name][ii], attributes);
-                for (attr in attributes) {
-                    proto_info.values[name].data[attr].push(proto_info.values[name].values[ii].total[attr]);
-                }
-            } else {
-                proto_info.values[name].values[ii] = {};
-                for (attr in attributes) {
-                    proto_info.values[name].values[ii][attr] = attributes[attr].leaf_function(name, ii, proto[name][ii]);
-                    proto_info.values[name].data[attr].push(proto_info.values[name].values[ii][attr]);
-                }
-            }
+    }
+    for (attr in attributes) {
+        proto_info.total[attr] = attributes[attr].aggregator("map", proto_info.data[attr]);
+    }
+    return proto_info;
+};
+
+// The AttrProtoList for the values of a field, or the items of a list
+protoviewer.make_list_info = function(name, values, attributes) {
+    var list_info = {values: [], data: {}, total: {}};
+    var attr;
+    for (attr in attributes) {
+        list_info.data[attr] = [];
+    }
+    for (var ii = 0; ii < values.length; ii++) {
+        var value_info;
+        if (protoviewer.is_array(values[ii])) {
+            value_info = protoviewer.make_list_info(name, values[ii], attributes);
+        } else if (protoviewer.is_object(values[ii])) {
+            value_info = protoviewer.make_proto_info(values[ii], attributes);
         }
+        list_info.values[ii] = value_info || {};
         for (attr in attributes) {
-            proto_info.values[name].total[attr] = attributes[attr].aggregator("list", proto_info.values[name].data[attr]); 
-            if (!(attr in proto_info.data)) {
-                proto_info.data[attr] = [];
+            if (!value_info) {
+                list_info.values[ii][attr] = attributes[attr].leaf_function(name, ii, values[ii]);
             }
-            proto_info.data[attr].push(proto_info.values[name].total[attr]);
+            list_info.data[attr].push(value_info ? value_info.total[attr] : list_info.values[ii][attr]);
         }
     }
     for (attr in attributes) {
-        if (!(attr in proto_info.data)) {
-            proto_info.data[attr] = [];
-        }
-        proto_info.total[attr] = attributes[attr].aggregator("map", proto_info.data[attr]);
+        list_info.total[attr] = attributes[attr].aggregator("list", list_info.data[attr]);
     }
-    return proto_info;
+    return list_info;
 };
 
-protoviewer.get_depth_info = function(proto) {
-    return protoviewer.make_proto_info(proto, {depth: {
+// Adds up the values for an aggregator
+protoviewer.sum = function(infos) {
+    var total = 0;
+    for (var ii = 0; ii < infos.length; ii++) {
+        total += infos[ii];
+    }
+    return total;
+};
+
+// The metrics that can be shown next to each item in the tree, as
+// attributes for make_proto_info.  Each also has a title, and per_field
+// is set if it's shown once for each field (with the total for the
+// field's values) instead of for each value.
+protoviewer.METRICS = {
+    depth: {
+        title: "depth",
         leaf_function: function(name, ii, value) {
             return 0;
         },
@@ -387,445 +788,6622 @@ protoviewer.get_depth_info = function(proto) {
             }
             return depth;
         },
-    }});
-};
-
-// unused.  it's supposed to determine which nodes to expand
-// in order to show all nodes or leaves that match the pattern
-protoviewer.get_expand_info = function(proto, pattern) {
-    var match = function(str, pattern) {
-        return str == pattern;
-    };
-    return protoviewer.make_proto_info(proto, {expand: {
+    },
+    // messages and values, counting the message itself
+    nodes: {
+        title: "nodes",
         leaf_function: function(name, ii, value) {
-            return match(name, pattern) || match(value, pattern);
+            return 1;
         },
         aggregator: function(name, infos) {
-            for (var ii = 0; ii < infos.length; ii++) {
-                if (infos[ii]) {
-                    return true;
-                }
-            }
-            return match(name, pattern);
+            return protoviewer.sum(infos) + (name == "map" ? 1 : 0);
+        },
+    },
+    leaves: {
+        title: "leaves",
+        leaf_function: function(name, ii, value) {
+            return 1;
+        },
+        aggregator: function(name, infos) {
+            return protoviewer.sum(infos);
+        },
+    },
+    // roughly how big it is serialized, taking each tag as a byte, since
+    // we don't know the field numbers.  A message counts its own tag and
+    // length.
+    bytes: {
+        title: "approximate bytes",
+        leaf_function: function(name, ii, value) {
+            return 1 + protoviewer.approximate_size(value);
+        },
+        aggregator: function(name, infos) {
+            var total = protoviewer.sum(infos);
+            return name == "map" ? 1 + protoviewer.varint_size(total) + total : total;
+        },
+    },
+    // how many values a field has, counting each item of a list
+    values: {
+        title: "values of the field",
+        per_field: true,
+        leaf_function: function(name, ii, value) {
+            return 1;
+        },
+        aggregator: function(name, infos) {
+            return name == "map" ? 1 : protoviewer.sum(infos);
         },
-    }});
+    },
 };
 
-// ------------------------------------------------------------------ //
+protoviewer.get_depth_info = function(proto) {
+    return protoviewer.get_metric_info(proto, ["depth"]);
+};
 
-protoviewer.draw_proto = function(
-        elt, proto, should_not_add_ul, 
-        add_collapse_expand, info) {
-    var list = elt;
-    var collapse, expand;
-    if (add_collapse_expand) {
-        collapse = protoviewer.add_child_element(elt, "input");
-        expand = protoviewer.add_child_element(elt, "input");
+// The proto info (see make_proto_info) with the METRICS that are named
+protoviewer.get_metric_info = function(proto, metric_names) {
+    var attributes = {};
+    metric_names.forEach(function(metric_name) {
+        attributes[metric_name] = protoviewer.METRICS[metric_name];
+    });
+    return protoviewer.make_proto_info(proto, attributes);
+};
+
+// What's shown next to a value in the tree, like "(3)": each attribute
+// in the proto info, for the value or, if it's per_field, for the field.
+protoviewer.metric_label = function(info, name, ii) {
+    var field_info = info.values[name];
+    var shown = [];
+    for (var attr in field_info.data) {
+        var metric = protoviewer.METRICS[attr];
+        shown.push(metric && metric.per_field ? field_info.total[attr] : field_info.data[attr][ii]);
     }
-    if (!should_not_add_ul) {
-        list = protoviewer.add_child_element(elt, "ul");
+    return "(" + shown.join(", ") + ")";
+};
+
+// The number of bytes that a varint takes
+protoviewer.varint_size = function(number) {
+    var size = 1;
+    for (var value = BigInt(number); value >= BigInt(128); value >>= BigInt(7)) {
+        size++;
     }
-    if (add_collapse_expand) {
-        collapse.setAttribute("type", "button");
-        collapse.setAttribute("value", "-");
-        protoviewer.add_event_listener(collapse, "click", function() {
-            protoviewer.set_expansion(list, function() { return false; });
-        });
-        expand.setAttribute("type", "button");
-        expand.setAttribute("value", "+");
-        protoviewer.add_event_listener(expand, "click", function() {
-            protoviewer.set_expansion(list, function() { return true; });
-        });
+    return number < 0 ? 10 : size;
+};
+
+// Roughly how many bytes a value takes serialized, not counting its tag:
+// a string's length and bytes, an integer's varint, 8 bytes for a float
+// and 1 for anything else (bools and enums).
+protoviewer.approximate_size = function(value) {
+    if (protoviewer.is_quoted(value)) {
+        var length = protoviewer.unquote_bytes(value).length;
+        return protoviewer.varint_size(length) + length;
     }
-    if (!info) {
-        info = protoviewer.get_depth_info(proto);
+    var integer = protoviewer.parse_integer(value);
+    if (integer !== null) {
+        return protoviewer.varint_size(integer);
+    } else if (/^[-+]?(inf|nan|[0-9.]+([eE][-+]?[0-9]+)?f?)$/i.test(value)) {
+        return 8;
     }
-    for (var name in proto) {
-        if (protoviewer.is_array(proto[name])) {
-            for (var ii = 0; ii < proto[name].length; ii++ ) {
-                var li = protoviewer.add_child_element(list, "li");
-                protoviewer.add_child_text(li, "" + name + " (" +
-                        info.values[name].data.depth[ii] + ")");
-                if (protoviewer.is_object(proto[name][ii])) {
-                    protoviewer.draw_proto(
-                            li, proto[name][ii], false,
-                            add_collapse_expand, info.values[name].values[ii]);
-                } else {
-                    protoviewer.add_child_text(li, ": " + proto[name][ii]);
-                }
+    return 1;
+};
+
+// How many of the largest subtrees and most frequent fields proto_stats
+// lists
+protoviewer.STATS_SIZE = 10;
+
+// Finds what makes a proto big.  Returns {bytes, nodes, largest, names}:
+// bytes and nodes are the totals for the proto (see METRICS), largest
+// lists the num messages and lists with the most bytes, as
+// {path, bytes, nodes}, biggest first, and names lists the num field
+// names with the most values, as {name, count}.
+protoviewer.proto_stats = function(proto, num) {
+    if (!protoviewer.is_defined(num)) {
+        num = protoviewer.STATS_SIZE;
+    }
+    var info = protoviewer.get_metric_info(proto, ["bytes", "nodes", "values"]);
+    var subtrees = [];
+    var counts = {};
+    var add_values = function(value, value_info, value_path) {
+        if (!protoviewer.is_object(value)) {
+            return;
+        }
+        subtrees.push({path: value_path, bytes: value_info.total.bytes, nodes: value_info.total.nodes});
+        if (protoviewer.is_array(value)) {
+            for (var jj = 0; jj < value.length; jj++) {
+                add_values(value[jj], value_info.values[jj], value_path + "[" + jj + "]");
             }
         } else {
-            var li = protoviewer.add_child_element(list, "li");
-            protoviewer.add_child_text(li, proto[name]);
+            add_fields(value, value_info, value_path);
         }
-    }
+    };
+    var add_fields = function(sub, sub_info, path) {
+        for (var name in sub) {
+            if (!Object.prototype.hasOwnProperty.call(counts, name)) {
+                counts[name] = 0;
+            }
+            counts[name] += sub_info.values[name].total.values;
+            for (var ii = 0; ii < sub[name].length; ii++) {
+                add_values(sub[name][ii], sub_info.values[name].values[ii],
+                           (path ? path + "." : "") + name + "[" + ii + "]");
+            }
+        }
+    };
+    add_fields(proto, info, "");
+    subtrees.sort(function(a, b) { return b.bytes - a.bytes; });
+    var names = Object.keys(counts).map(function(name) {
+        return {name: name, count: counts[name]};
+    });
+    names.sort(function(a, b) { return b.count - a.count; });
+    return {
+        // the top level doesn't have a tag or length
+        bytes: protoviewer.sum(info.data.bytes),
+        nodes: info.total.nodes,
+        largest: subtrees.slice(0, num),
+        names: names.slice(0, num),
+    };
 };
 
-protoviewer.is_defined = function(obj) {
-    return typeof obj !== 'undefined';
+// Searches the fields of a proto for names or values that match a pattern
+// (see parse_pattern), to find which parts of the tree to expand.  target
+// is "name", "value" or "both" (the default).  Returns a list of matches,
+// in the order they're drawn, as {path, is_name_match, is_value_match,
+// items}, where path is a list of {name, index} (like the paths from
+// run_query) and items lists the indexes of the items that matched, if the
+// value is a list.  A value matches if its text or, for strings, what it
+// decodes to does.  The messages in a list are drawn as items of the
+// list too, so one matches (as an item) if anything in it does.
+protoviewer.get_expand_info = function(proto, pattern, target) {
+    var should_match_names = target != "value";
+    var should_match_values = target != "name";
+    var matches_value = function(value) {
+        return protoviewer.matches_pattern(value, pattern) ||
+            (protoviewer.is_quoted(value) &&
+             protoviewer.matches_pattern(protoviewer.decoded_text(value), pattern));
+    };
+    var matches = [];
+    var search = function(sub, path) {
+        protoviewer.entries(sub).forEach(function(entry) {
+            var value_path = path.concat([{name: entry.name, index: entry.index}]);
+            var match = {
+                path: value_path,
+                is_name_match: should_match_names && protoviewer.matches_pattern(entry.name, pattern),
+                is_value_match: false,
+                items: [],
+            };
+            if (protoviewer.is_array(entry.value)) {
+                entry.value.forEach(function(item, jj) {
+                    if (protoviewer.is_sub_proto(item) ?
+                            protoviewer.get_expand_info(item, pattern, target).length > 0 :
+                            should_match_values && matches_value(item)) {
+                        match.items.push(jj);
+                    }
+                });
+                match.is_value_match = match.items.length > 0;
+            } else if (should_match_values && !protoviewer.is_object(entry.value)) {
+                match.is_value_match = matches_value(entry.value);
+            }
+            if (match.is_name_match || match.is_value_match) {
+                matches.push(match);
+            }
+            if (protoviewer.is_sub_proto(entry.value)) {
+                search(entry.value, value_path);
+            }
+        });
+    };
+    search(proto, []);
+    return matches;
 };
 
-// This is true for Arrays as well.
-protoviewer.is_object = function(obj) {
-    return (obj !== null && typeof obj === 'object');
+// ------------------------------------------------------------------ //
+// Schemas
+//
+// A schema describes the message types that a proto may have, so that
+// we can tell what type each field is.  It can be loaded from a .proto
+// file, or from a FileDescriptorSet in TextFormat (what you get from
+// "protoc --decode=google.protobuf.FileDescriptorSet").  It looks like:
+//
+// Schema = messages: { full names to MessageTypes }
+//             enums: { full names to EnumTypes }
+//        extensions: { full names to Fields }
+//            errors: [ problems found while loading, like unknown types ]
+//
+// MessageType = name, full_name, syntax,
+//               fields: [ Field ], by_name: { names to Fields },
+//               by_number: { numbers to Fields },
+//               oneofs: { oneof names to [ field names ] },
+//               map_entry: true if this is the key/value type of a map
+//
+// Field = name, number, label ("optional", "required" or "repeated"),
+//         type (a scalar type like "int32", or "message", "group", "enum"),
+//         type_name (the full name of the message or enum type),
+//         oneof, packed, json_name, default_value, extendee, scope
+//
+// EnumType = name, full_name, syntax,
+//            values: { names to numbers }, by_number: { numbers to names }
+
+protoviewer.SCALAR_TYPES = [
+    "double", "float", "int32", "int64", "uint32", "uint64",
+    "sint32", "sint64", "fixed32", "fixed64", "sfixed32", "sfixed64",
+    "bool", "string", "bytes",
+];
+
+// The values of FieldDescriptorProto.Type, indexed by number
+protoviewer.DESCRIPTOR_TYPES = [
+    null, "double", "float", "int64", "uint64", "int32", "fixed64",
+    "fixed32", "bool", "string", "group", "message", "bytes", "uint32",
+    "enum", "sfixed32", "sfixed64", "sint32", "sint64",
+];
+
+// The values of FieldDescriptorProto.Label, indexed by number
+protoviewer.DESCRIPTOR_LABELS = [null, "optional", "required", "repeated"];
+
+protoviewer.is_scalar_type = function(type) {
+    return protoviewer.SCALAR_TYPES.indexOf(type) >= 0;
 };
 
-protoviewer.is_array = function(obj) {
-    return Array.isArray(obj);
+// The well-known types, so that schemas that use them don't need
+// to include them.
+protoviewer.WELL_KNOWN_TYPES_PROTO = [
+    'syntax = "proto3";',
+    'package google.protobuf;',
+    'message Any { string type_url = 1; bytes value = 2; }',
+    'message Timestamp { int64 seconds = 1; int32 nanos = 2; }',
+    'message Duration { int64 seconds = 1; int32 nanos = 2; }',
+    'message DoubleValue { double value = 1; }',
+    'message FloatValue { float value = 1; }',
+    'message Int64Value { int64 value = 1; }',
+    'message UInt64Value { uint64 value = 1; }',
+    'message Int32Value { int32 value = 1; }',
+    'message UInt32Value { uint32 value = 1; }',
+    'message BoolValue { bool value = 1; }',
+    'message StringValue { string value = 1; }',
+    'message BytesValue { bytes value = 1; }',
+    'message Struct { map<string, Value> fields = 1; }',
+    'message Value {',
+    '  oneof kind {',
+    '    NullValue null_value = 1;',
+    '    double number_value = 2;',
+    '    string string_value = 3;',
+    '    bool bool_value = 4;',
+    '    Struct struct_value = 5;',
+    '    ListValue list_value = 6;',
+    '  }',
+    '}',
+    'enum NullValue { NULL_VALUE = 0; }',
+    'message ListValue { repeated Value values = 1; }',
+    'message FieldMask { repeated string paths = 1; }',
+    'message Empty { }',
+].join("\n");
+
+protoviewer.make_schema = function() {
+    var schema = {messages: {}, enums: {}, extensions: {}, errors: []};
+    protoviewer.parse_proto_file(protoviewer.WELL_KNOWN_TYPES_PROTO, schema);
+    return schema;
 };
 
-protoviewer.is_sub_proto = function(obj) {
-    return protoviewer.is_object(obj) && !protoviewer.is_array(obj);
+protoviewer.is_well_known_type = function(type_name) {
+    return type_name.indexOf("google.protobuf.") == 0;
 };
 
-protoviewer.is_string = function(obj) {
-  return (typeof obj === 'string' || obj instanceof String);
+// The message type to use when none is given: the first one defined
+// in the schema, not counting the well-known types.
+protoviewer.default_message_type = function(schema) {
+    var names = Object.keys(schema.messages);
+    for (var ii = 0; ii < names.length; ii++) {
+        if (!protoviewer.is_well_known_type(names[ii])) {
+            return names[ii];
+        }
+    }
+    return names[0];
 };
 
-protoviewer.add_child_text = function(par, text) {
-    par.innerHTML += text;
-    return par;
-    var elt = document.createTextNode(text);
-    par.appendChild(elt);
-    return elt;
+protoviewer.make_message_type = function(name, full_name, syntax) {
+    return {
+        name: name,
+        full_name: full_name,
+        syntax: syntax,
+        fields: [],
+        by_name: {},
+        by_number: {},
+        oneofs: {},
+        map_entry: false,
+    };
 };
 
-protoviewer.add_child_element = function(par, type) {
-    var elt = document.createElement(type);
-    par.appendChild(elt);
-    return elt;
+protoviewer.add_field = function(message, field) {
+    message.fields.push(field);
+    message.by_name[field.name] = field;
+    if (field.type == "group") {
+        // In TextFormat, groups are named after their type, not the field
+        message.by_name[field.type_name.split(".").pop()] = field;
+    }
+    message.by_number[field.number] = field;
+    if (field.oneof) {
+        if (!(field.oneof in message.oneofs)) {
+            message.oneofs[field.oneof] = [];
+        }
+        message.oneofs[field.oneof].push(field.name);
+    }
 };
 
-protoviewer.set_toggle_display = function(button_id, elt_id) {
-    var button = document.getElementById(button_id);
-    this.add_event_listener(button, "click", function() {
-        protoviewer.toggle_display(elt_id);
+// foo_bar_baz -> fooBarBaz
+protoviewer.to_json_name = function(name) {
+    return name.replace(/_+([a-zA-Z0-9])/g, function(match, ch) {
+        return ch.toUpperCase();
     });
-    return this;
 };
 
-protoviewer.toggle_display = function(elt_id) {
-    var elt = document.getElementById(elt_id);
-    var display = elt.style.display;
-    if (display == "none") {
-        elt.style.display = "inline";
-    } else {
-        elt.style.display = "none";
+// Returns the first value of a field in a proto, or undefined if it
+// isn't set.  Handy for fields that we know aren't repeated.
+protoviewer.first_value = function(proto, name) {
+    if (!protoviewer.is_object(proto) || !(name in proto) ||
+            proto[name].length == 0) {
+        return undefined;
     }
-    return elt;
+    return proto[name][0];
 };
 
-protoviewer.add_event_listener = function(elt, type, func) {
-    if (elt.addEventListener) {
-        elt.addEventListener(type, func, false);
-        return true;
-    } else if (elt.attachEvent) {
-        return elt.attachEvent("on" + type, func);
-    } else {
+// True if the value is a quoted TextFormat string.  Adjacent strings
+// (see parse_string) can start and end with different quotes.
+protoviewer.is_quoted = function(value) {
+    if (!protoviewer.is_string(value) || value.length < 2) {
         return false;
     }
+    return /^["']/.test(value) && /["']$/.test(value);
 };
 
-protoviewer.remove_children = function(node) {
-    while (node.firstChild) {
-        node.removeChild(node.firstChild);
+// Splits a quoted TextFormat string into the text inside the quotes of
+// each of its parts, since strings that are next to each other are
+// joined together (see parse_string).  Returns null if the value isn't
+// a quoted string.
+protoviewer.string_parts = function(value) {
+    if (!protoviewer.is_quoted(value)) {
+        return null;
     }
+    var regexp = /\s*(?:#[^\n]*\n\s*)*(?:"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)')/y;
+    var parts = [];
+    var match;
+    while (regexp.lastIndex < value.length && (match = regexp.exec(value)) !== null) {
+        parts.push(protoviewer.is_defined(match[1]) ? match[1] : match[2]);
+    }
+    if (regexp.lastIndex < value.length) {
+        // not a string that parse_string would give us, just take off the quotes
+        return [value.substr(1, value.length - 2)];
+    }
+    return parts;
 };
 
-protoviewer.maybe_regexp = function(pattern) {
-    try { var maybe_regexp = eval(pattern) } catch { };
-    return maybe_regexp;
+// Turns a quoted TextFormat string into the bytes that it stands for.
+// Characters that aren't escaped are encoded as UTF-8.  Returns null if
+// the value isn't a quoted string.
+protoviewer.unquote_bytes = function(value) {
+    var parts = protoviewer.string_parts(value);
+    if (parts === null) {
+        return null;
+    }
+    var escapes = {n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11,
+                   "\\": 92, "'": 39, '"': 34, "?": 63};
+    var bytes = [];
+    var push_text = function(text) {
+        var encoded = protoviewer.encode_utf8(text);
+        for (var ii = 0; ii < encoded.length; ii++) {
+            bytes.push(encoded[ii]);
+        }
+    };
+    var regexp = /\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([\s\S]))|([^\\]+)/g;
+    var text = parts.join("");
+    var match;
+    while ((match = regexp.exec(text)) !== null) {
+        if (match[1]) {
+            bytes.push(parseInt(match[1], 8) & 0xff);
+        } else if (match[2]) {
+            bytes.push(parseInt(match[2], 16));
+        } else if (match[3] || match[4]) {
+            var code_point = parseInt(match[3] || match[4], 16);
+            // characters outside the BMP can be written as a surrogate pair
+            var low = /^\\u(d[c-f][0-9a-f]{2})/i.exec(text.substr(regexp.lastIndex, 6));
+            if (match[3] && code_point >= 0xd800 && code_point <= 0xdbff && low) {
+                code_point = 0x10000 + ((code_point - 0xd800) << 10) + parseInt(low[1], 16) - 0xdc00;
+                regexp.lastIndex += 6;
+            }
+            push_text(String.fromCodePoint(code_point));
+        } else if (match[5]) {
+            if (match[5] in escapes) {
+                bytes.push(escapes[match[5]]);
+            } else {
+                push_text(match[5]);
+            }
+        } else {
+            push_text(match[6]);
+        }
+    }
+    return new Uint8Array(bytes);
 };
 
-protoviewer.matches_pattern = function(string, pattern, case_sensitive) {
-    if (!protoviewer.is_string(string)) {
-        return false;
+// Strips the quotes off of a string value and handles the escapes.
+// Values that aren't quoted are returned as is.
+protoviewer.unquote_string = function(value) {
+    var bytes = protoviewer.unquote_bytes(value);
+    if (bytes === null) {
+        return value;
     }
-    var maybe_regexp = protoviewer.maybe_regexp(pattern);
-    if (maybe_regexp instanceof RegExp) {
-        return maybe_regexp.test(string);
-    } else if (case_sensitive) {
-        return string.includes(pattern);
-    } else {
-        return string.toLowerCase().includes(pattern.toLowerCase());
+    var str = protoviewer.decode_utf8(bytes);
+    return str !== null ? str : protoviewer.bytes_to_latin1(bytes);
+};
+
+// Leaf values in a parsed proto are kept the way they were spelled, so
+// that they format back the same way.  This returns what the spelling
+// stands for: the text of a string (with the escapes handled and the
+// parts joined together), a Number for numbers (or a BigInt if it's too
+// big for a Number), including hex, octal, inf and nan, or the name
+// itself for enums and bools.
+protoviewer.decode_value = function(value) {
+    if (!protoviewer.is_string(value)) {
+        return value;
     }
+    if (protoviewer.is_quoted(value)) {
+        return protoviewer.unquote_string(value);
+    }
+    var integer = protoviewer.parse_integer(value);
+    if (integer !== null) {
+        var is_safe = integer >= BigInt(Number.MIN_SAFE_INTEGER) &&
+            integer <= BigInt(Number.MAX_SAFE_INTEGER);
+        return is_safe ? Number(integer) : integer;
+    }
+    var number = protoviewer.parse_typed_value(value, {type: "double"});
+    return number.error ? value : number.value;
 };
 
-protoviewer.set_node_state = function(node, should_close) {
-    if ((CollapsibleLists.isClosed(node) && !should_close) ||
-            (!CollapsibleLists.isClosed(node) && should_close)) {
-        CollapsibleLists.toggle(node);
+// The text that a value stands for (see decode_value), for searching.
+// The items of a list are separated by commas.
+protoviewer.decoded_text = function(value) {
+    if (protoviewer.is_array(value)) {
+        return value.map(protoviewer.decoded_text).join(", ");
     }
+    return String(protoviewer.decode_value(value));
 };
 
-protoviewer.set_expansion_by_pattern = function(ul, pattern) {
-    return protoviewer.set_expansion(ul, function(node) {
-        return protoviewer.matches_pattern(node.nodeValue, pattern);
-    });
+// True if two leaf values (or lists of them) stand for the same thing,
+// even if they are spelled differently, like 0x10 and 16, or "a" "b"
+// and "ab".
+protoviewer.same_value = function(left, right) {
+    if (protoviewer.is_array(left) && protoviewer.is_array(right)) {
+        return left.length == right.length && left.every(function(item, ii) {
+            return protoviewer.same_value(item, right[ii]);
+        });
+    }
+    if (!protoviewer.is_string(left) || !protoviewer.is_string(right)) {
+        return JSON.stringify(left) == JSON.stringify(right);
+    }
+    if (protoviewer.is_quoted(left) != protoviewer.is_quoted(right)) {
+        return false;
+    }
+    left = protoviewer.decode_value(left);
+    right = protoviewer.decode_value(right);
+    if (typeof left == "string" || typeof right == "string") {
+        return left === right;
+    }
+    // numbers can be Numbers or BigInts, and nan is the same as nan
+    return left == right || (left !== left && right !== right);
 };
 
-// Given a proto, create a new proto which is like the original,
-// except that we pass each field name to should_filter_func and
-// if that function returns true, we remove that field.
-protoviewer.filter_proto = function(proto, should_filter_func) {
-    var new_proto = {};
-    for (var key in proto) {
-        if (should_filter_func(key)) {
+// Loads a schema from either a .proto file or a FileDescriptorSet in
+// TextFormat.  If schema is given, the new types are added to it, so
+// you can load several files that import each other.
+protoviewer.load_schema = function(text, schema) {
+    if (!schema) {
+        schema = protoviewer.make_schema();
+    }
+    if (/^\s*(#[^\n]*\n\s*)*file\s*[:{]/.test(text)) {
+        var descriptor_set = protoviewer.parse_proto(text);
+        if (descriptor_set.error) {
+            return descriptor_set;
+        }
+        protoviewer.schema_from_descriptor_set(descriptor_set.value, schema);
+        return {
+            value: schema,
+            position: descriptor_set.position,
+            error: null,
+        };
+    }
+    return protoviewer.parse_proto_file(text, schema);
+};
+
+// Splits a .proto file into tokens.  Returns the usual result object,
+// where the value is a list of {text, position}.
+protoviewer.tokenize_proto_file = function(text) {
+    var result = {value: [], position: 0, error: null};
+    var ii = 0;
+    while (ii < text.length) {
+        var ch = text.charAt(ii);
+        var start = ii;
+        if (/\s/.test(ch)) {
+            ii = protoviewer.consume_whitespace(text, ii);
             continue;
         }
-        new_proto[key] = [];
-        for (var ii = 0; ii < proto[key].length; ii++) {
-            if (protoviewer.is_sub_proto(proto[key][ii])) {
-                new_proto[key].push(protoviewer.filter_proto(proto[key][ii], should_filter_func));
-            } else {
-                new_proto[key].push(proto[key][ii]);
+        if (text.substr(ii, 2) == "//") {
+            while (ii < text.length && text.charAt(ii) != "\n") {
+                ii++;
+            }
+            continue;
+        }
+        if (text.substr(ii, 2) == "/*") {
+            var end = text.indexOf("*/", ii + 2);
+            if (end < 0) {
+                protoviewer.set_parse_error(result, text, ii, null, "Unterminated comment");
+                break;
+            }
+            ii = end + 2;
+            continue;
+        }
+        var token;
+        if (ch == '"' || ch == "'") {
+            var str = protoviewer.parse_string(text, ii);
+            if (str.error) {
+                result.error = str.error;
+                result.error_info = str.error_info;
+                break;
             }
+            token = str.value;
+            ii = str.position;
+        } else if (/[\w\.]/.test(ch)) {
+            var regexp = /[\w\.]/;
+            if (/[0-9]/.test(ch) || (ch == "." && /[0-9]/.test(text.charAt(ii + 1)))) {
+                // numbers, including things like 1.5e-10
+                regexp = /[\w\.\-\+]/;
+            }
+            token = protoviewer.consume_regexp(text, ii, regexp).value;
+            ii += token.length;
+        } else {
+            token = ch;
+            ii++;
         }
+        result.value.push({text: token, position: start});
     }
-    return new_proto;
+    result.position = ii;
+    return result;
 };
 
-// return a slice of a proto: for any leaf node, if should_keep_slice_func returns true,
-// then keep it and all of its parents.
-protoviewer.proto_slice = function(proto, should_keep_slice_func, is_toplevel) {
-    if (!protoviewer.is_defined(is_toplevel)) {
-        is_toplevel = true;
+// Parses a .proto file, adding its types to the schema.
+protoviewer.parse_proto_file = function(text, schema) {
+    if (!schema) {
+        schema = protoviewer.make_schema();
     }
-    var new_proto = {};
-    var keep = false;
-    for (var key in proto) {
-        if (should_keep_slice_func(key, {})) {
-            keep = true;
-            new_proto[key] = proto[key];
-            continue;
+    var tokens = protoviewer.tokenize_proto_file(text);
+    if (tokens.error) {
+        return {
+            value: schema,
+            position: tokens.position,
+            error: tokens.error,
+            error_info: tokens.error_info,
+        };
+    }
+    var state = {
+        text: text,
+        tokens: tokens.value,
+        ii: 0,
+        schema: schema,
+        package: "",
+        syntax: "proto2",
+    };
+    // The helpers below throw a result with an error (from
+    // proto_file_error) to report a syntax error, since checking a
+    // result after every token would drown out the grammar.
+    try {
+        while (state.ii < state.tokens.length) {
+            protoviewer.parse_proto_file_statement(state, "");
         }
-        new_proto[key] = [];
-        for (var ii = 0; ii < proto[key].length; ii++) {
-            if (protoviewer.is_sub_proto(proto[key][ii])) {
-                var sub_slice = protoviewer.proto_slice(proto[key][ii], should_keep_slice_func, false);
-                new_proto[key].push(sub_slice);
-                if (Object.keys(sub_slice).length > 0) {
-                    keep = true;
-                }
-            } else {
-                if (should_keep_slice_func(key, proto[key][ii])) {
-                    keep = true;
-                }
-                new_proto[key].push(proto[key][ii]);
-            }
+    } catch (e) {
+        if (!e.error_info) {
+            throw e;
         }
+        e.value = schema;
+        return e;
     }
-    if (keep || is_toplevel) {
-        return new_proto;
+    protoviewer.resolve_schema(schema);
+    return {value: schema, position: text.length, error: null};
+};
+
+// Makes the result to throw for a syntax error at the current token
+protoviewer.proto_file_error = function(state, expected) {
+    var position = protoviewer.proto_file_position(state);
+    var found = protoviewer.peek_token(state);
+    return protoviewer.set_parse_error(
+        {value: null, position: position, error: null}, state.text, position, expected,
+        found === null ? null : "Expected " + expected + " but found " + found);
+};
+
+protoviewer.proto_file_position = function(state) {
+    if (state.ii < state.tokens.length) {
+        return state.tokens[state.ii].position;
     }
-    return {};
+    return state.text.length;
 };
 
-protoviewer.slice_by_pattern = function(proto, pattern, is_toplevel) {
-    return protoviewer.proto_slice(
-        proto,
-        function(name, val) {
-            var obj = {};
-            obj[name] = [val];
-            return protoviewer.matches_pattern(protoviewer.format(obj), pattern);
-        },
-        is_toplevel);
-}
+protoviewer.peek_token = function(state, offset) {
+    var token = state.tokens[state.ii + (offset || 0)];
+    return token ? token.text : null;
+};
 
-protoviewer.set_expansion = function(ul, predicate) {
-    var ul_has_match = false;
-    for (var ii = 0; ii < ul.childNodes.length; ii++) {
-        var child = ul.childNodes[ii];
-        if (child.nodeName != "LI") {
-            continue;
-        }
-        var li_has_match = false;
-        for (var jj = 0; jj < child.childNodes.length; jj++) {
-            var grandchild = child.childNodes[jj];
-            if (grandchild.nodeName == "#text") {
-                if (predicate(grandchild)) {
-                    li_has_match = true;
-                }
-            } else if (grandchild.nodeName == "UL") {
-                var is_match = protoviewer.set_expansion(grandchild, predicate);
-                if (is_match) {
-                    li_has_match = true;
-                }
+protoviewer.next_token = function(state, expected) {
+    var token = protoviewer.peek_token(state);
+    if (token === null || (protoviewer.is_defined(expected) && token != expected)) {
+        throw protoviewer.proto_file_error(state, expected || "more");
+    }
+    state.ii++;
+    return token;
+};
+
+protoviewer.next_identifier = function(state) {
+    var token = protoviewer.next_token(state);
+    if (!/^\.?[A-Za-z_][\w\.]*$/.test(token)) {
+        state.ii--;
+        throw protoviewer.proto_file_error(state, "a name");
+    }
+    return token;
+};
+
+protoviewer.next_number = function(state) {
+    var token = protoviewer.next_token(state);
+    var number = protoviewer.parse_integer(token);
+    if (number === null) {
+        state.ii--;
+        throw protoviewer.proto_file_error(state, "a number");
+    }
+    return Number(number);
+};
+
+// Skips to the end of the current statement: the next ';' or the end
+// of the next block, whichever comes first.
+protoviewer.skip_proto_file_statement = function(state) {
+    var depth = 0;
+    while (true) {
+        var token = protoviewer.next_token(state);
+        if (token == "{") {
+            depth++;
+        } else if (token == "}") {
+            depth--;
+            if (depth <= 0) {
+                return;
             }
-        }
-        protoviewer.set_node_state(child, !li_has_match);
-        if (li_has_match) {
-            ul_has_match = true;
+        } else if (token == ";" && depth == 0) {
+            return;
         }
     }
-    protoviewer.set_node_state(ul, !ul_has_match);
-    return ul_has_match;
 };
 
-protoviewer.format = function(proto, flat, indent) {
-  var str = "";
-  if (!protoviewer.is_defined(indent)) {
-    indent = "";
-  }
-  for (var key in proto) {
-    for (var ii = 0; ii < proto[key].length; ii++) {
-      if (!flat) {
-        str += indent;
-      }
-      str += key;
-      if (protoviewer.is_array(proto[key][ii])) {
-        str += ": [ ";
-        for (var jj = 0; jj < proto[key][ii].length; jj++) {
-          str += proto[key][ii][jj];
-          if (jj < proto[key][ii].length - 1) {
-            str += ", ";
-          }
-        }
-        str += " ]";
-      } else if (protoviewer.is_object(proto[key][ii])) {
-        str += " { ";
-        if (!flat) {
-          str += "\n";
+protoviewer.join_name = function(scope, name) {
+    return scope ? scope + "." + name : name;
+};
+
+protoviewer.parse_proto_file_statement = function(state, scope) {
+    var token = protoviewer.peek_token(state);
+    if (token == ";") {
+        state.ii++;
+    } else if (token == "syntax" || token == "edition") {
+        state.ii++;
+        protoviewer.next_token(state, "=");
+        var syntax = protoviewer.unquote_string(protoviewer.next_token(state));
+        state.syntax = token == "edition" ? "editions" : syntax;
+        protoviewer.next_token(state, ";");
+    } else if (token == "package") {
+        state.ii++;
+        state.package = protoviewer.next_identifier(state);
+        protoviewer.next_token(state, ";");
+    } else if (token == "message") {
+        protoviewer.parse_message_definition(state, state.package);
+    } else if (token == "enum") {
+        protoviewer.parse_enum_definition(state, state.package);
+    } else if (token == "extend") {
+        protoviewer.parse_extend_definition(state, state.package);
+    } else {
+        // import, option, service: none of these matter for the schema
+        protoviewer.skip_proto_file_statement(state);
+    }
+};
+
+protoviewer.parse_message_definition = function(state, scope) {
+    protoviewer.next_token(state, "message");
+    var name = protoviewer.next_identifier(state);
+    var message = protoviewer.make_message_type(
+        name, protoviewer.join_name(scope, name), state.syntax);
+    state.schema.messages[message.full_name] = message;
+    protoviewer.parse_message_body(state, message);
+    return message;
+};
+
+protoviewer.parse_message_body = function(state, message, oneof) {
+    protoviewer.next_token(state, "{");
+    while (protoviewer.peek_token(state) != "}") {
+        var token = protoviewer.peek_token(state);
+        // a field can have a type named "message", so look ahead for the brace
+        var is_definition = protoviewer.peek_token(state, 2) == "{";
+        if (token === null) {
+            protoviewer.next_token(state, "}");
+        } else if (token == ";") {
+            state.ii++;
+        } else if (token == "message" && is_definition) {
+            protoviewer.parse_message_definition(state, message.full_name);
+        } else if (token == "enum" && is_definition) {
+            protoviewer.parse_enum_definition(state, message.full_name);
+        } else if (token == "extend" && is_definition) {
+            protoviewer.parse_extend_definition(state, message.full_name);
+        } else if (token == "oneof" && is_definition) {
+            state.ii++;
+            var oneof_name = protoviewer.next_identifier(state);
+            protoviewer.parse_message_body(state, message, oneof_name);
+        } else if (token == "option" || token == "reserved" ||
+                token == "extensions") {
+            protoviewer.skip_proto_file_statement(state);
+        } else {
+            var field = protoviewer.parse_field_definition(state, message.full_name);
+            field.oneof = oneof || null;
+            protoviewer.add_field(message, field);
         }
-        str += protoviewer.format(proto[key][ii], flat, indent + "  ");
-        if (!flat) {
-          str += indent;
+    }
+    protoviewer.next_token(state, "}");
+};
+
+// Parses one field, including map fields and groups (which define
+// a nested message type as well).
+protoviewer.parse_field_definition = function(state, scope) {
+    var field = {
+        name: null,
+        number: null,
+        label: "optional",
+        type: null,
+        type_name: null,
+        oneof: null,
+        packed: null,
+        json_name: null,
+        default_value: null,
+        extendee: null,
+        scope: scope,
+    };
+    var token = protoviewer.peek_token(state);
+    if (token == "optional" || token == "required" || token == "repeated") {
+        field.label = token;
+        state.ii++;
+    }
+    var type = protoviewer.next_identifier(state);
+    var entry;
+    if (type == "map" && protoviewer.peek_token(state) == "<") {
+        protoviewer.next_token(state, "<");
+        var key_type = protoviewer.next_identifier(state);
+        protoviewer.next_token(state, ",");
+        var value_type = protoviewer.next_identifier(state);
+        protoviewer.next_token(state, ">");
+        field.label = "repeated";
+        field.name = protoviewer.next_identifier(state);
+        var entry_name = protoviewer.to_json_name("_" + field.name) + "Entry";
+        entry = protoviewer.make_message_type(
+            entry_name, protoviewer.join_name(scope, entry_name), state.syntax);
+        entry.map_entry = true;
+        var kv = [["key", key_type], ["value", value_type]];
+        for (var ii = 0; ii < kv.length; ii++) {
+            protoviewer.add_field(entry, {
+                name: kv[ii][0],
+                number: ii + 1,
+                label: "optional",
+                type: protoviewer.is_scalar_type(kv[ii][1]) ? kv[ii][1] : null,
+                type_name: protoviewer.is_scalar_type(kv[ii][1]) ? null : kv[ii][1],
+                oneof: null,
+                packed: null,
+                json_name: kv[ii][0],
+                default_value: null,
+                extendee: null,
+                scope: entry.full_name,
+            });
         }
-        str += " }";
-      } else {
-        str += ": ";
-        var num = Number(proto[key][ii]);
-        str += proto[key][ii];
-      }
-      if (ii < proto[key].length - 1) {
-        if (!flat) {
-          str += "\n";
+        state.schema.messages[entry.full_name] = entry;
+        field.type = "message";
+        field.type_name = entry.full_name;
+    } else if (type == "group") {
+        var group_name = protoviewer.next_identifier(state);
+        field.name = group_name.toLowerCase();
+        field.type = "group";
+        field.type_name = protoviewer.join_name(scope, group_name);
+    } else {
+        field.name = protoviewer.next_identifier(state);
+        if (protoviewer.is_scalar_type(type)) {
+            field.type = type;
         } else {
-          str += " ";
+            field.type_name = type;
         }
-      }
     }
-    if (!flat) {
-      str += "\n";
+    protoviewer.next_token(state, "=");
+    field.number = protoviewer.next_number(state);
+    if (protoviewer.peek_token(state) == "[") {
+        protoviewer.parse_field_options(state, field);
+    }
+    if (field.type == "group") {
+        var group = protoviewer.make_message_type(
+            field.type_name.split(".").pop(), field.type_name, state.syntax);
+        state.schema.messages[group.full_name] = group;
+        protoviewer.parse_message_body(state, group);
     } else {
-      str += " ";
+        protoviewer.next_token(state, ";");
     }
-  }
-  return str;
+    if (!field.json_name) {
+        field.json_name = protoviewer.to_json_name(field.name);
+    }
+    field.syntax = state.syntax;
+    return field;
 };
 
-protoviewer.convert = function(proto, paths) {
-  var retval = {};
-  for (var key in proto) {
-    if (key in paths) {
-      if (paths[key][0] !== null) {
-        retval[paths[key][0]] = protoviewer.convert_list(proto[key], paths[key][1]);
-      } else {
-        // If the first element of the path is null, that means
-        // drop this level of the proto tree
-        var newlist = protoviewer.convert_list(proto[key], paths[key][1]);
-        for (var ii = 0; ii < newlist.length; ii++) {
-          if (protoviewer.is_object(newlist[ii])) {
-            // non objects just get dropped
-            for (subkey in newlist[ii]) {
-              retval[subkey] = newlist[ii][subkey];
+// Parses [name = value, ...] after a field, keeping the options that
+// affect how the field is read.
+protoviewer.parse_field_options = function(state, field) {
+    protoviewer.next_token(state, "[");
+    while (true) {
+        var name = [];
+        while (protoviewer.peek_token(state) != "=") {
+            name.push(protoviewer.next_token(state));
+        }
+        protoviewer.next_token(state, "=");
+        var value = [];
+        var depth = 0;
+        while (depth > 0 || (protoviewer.peek_token(state) != "," &&
+                             protoviewer.peek_token(state) != "]")) {
+            var token = protoviewer.next_token(state);
+            if (token == "{") {
+                depth++;
+            } else if (token == "}") {
+                depth--;
             }
-          }
+            value.push(token);
+        }
+        name = name.join("");
+        value = value.join("");
+        if (name == "packed") {
+            field.packed = value == "true";
+        } else if (name == "default") {
+            field.default_value = protoviewer.unquote_string(value);
+        } else if (name == "json_name") {
+            field.json_name = protoviewer.unquote_string(value);
+        }
+        if (protoviewer.next_token(state) == "]") {
+            break;
         }
-      }
-    } else {
-      retval[key] = proto[key];
     }
-  }
-  return retval;
 };
 
-protoviewer.convert_list = function(list, paths) {
-  var retval = [];
-  for (var ii = 0; ii < list.length; ii++) {
-    if (protoviewer.is_object(list[ii])) {
-      retval.push(protoviewer.convert(list[ii], paths));
-    } else {
-      retval.push(list[ii]);
+protoviewer.parse_enum_definition = function(state, scope) {
+    protoviewer.next_token(state, "enum");
+    var name = protoviewer.next_identifier(state);
+    var enum_type = {
+        name: name,
+        full_name: protoviewer.join_name(scope, name),
+        syntax: state.syntax,
+        values: {},
+        by_number: {},
+    };
+    state.schema.enums[enum_type.full_name] = enum_type;
+    protoviewer.next_token(state, "{");
+    while (protoviewer.peek_token(state) != "}") {
+        var token = protoviewer.peek_token(state);
+        if (token === null) {
+            protoviewer.next_token(state, "}");
+        } else if (token == ";") {
+            state.ii++;
+        } else if (token == "option" || token == "reserved") {
+            protoviewer.skip_proto_file_statement(state);
+        } else {
+            var value_name = protoviewer.next_identifier(state);
+            protoviewer.next_token(state, "=");
+            var number = protoviewer.next_number(state);
+            if (protoviewer.peek_token(state) == "[") {
+                protoviewer.parse_field_options(state, {});
+            }
+            protoviewer.next_token(state, ";");
+            enum_type.values[value_name] = number;
+            if (!(number in enum_type.by_number)) {
+                enum_type.by_number[number] = value_name;
+            }
+        }
     }
-  }
-  return retval;
+    protoviewer.next_token(state, "}");
+    return enum_type;
 };
 
-// protoviewer.format(protoviewer.discourse_convert(protoviewer.GLOBAL_PROTO.value), true)
+protoviewer.parse_extend_definition = function(state, scope) {
+    protoviewer.next_token(state, "extend");
+    var extendee = protoviewer.next_identifier(state);
+    protoviewer.next_token(state, "{");
+    while (protoviewer.peek_token(state) != "}") {
+        if (protoviewer.peek_token(state) == ";") {
+            state.ii++;
+            continue;
+        }
+        var field = protoviewer.parse_field_definition(state, scope);
+        field.extendee = extendee;
+        state.schema.extensions[protoviewer.join_name(scope, field.name)] = field;
+    }
+    protoviewer.next_token(state, "}");
+};
 
-protoviewer.discourse_convert = function(proto) {
-  return protoviewer.convert(proto, {
-    'dialog_turn_intent': ['dialog_context', {
-      'user_turn_feature': ['dialog_feature', {
-        'feature_name': ["name", {}],
-        'feature_weight': ["value", {}],
-      }],
-      '[quality.dialog_manager.DialogCoreConfig.dialog_core_config]': [null, {
-        'user_turn_field': ["dialog_field", {}],
-      }],
-      'advance': [null, {}],
-      'conversation_id': [null, {}],
-      'initial_trigger': [null, {}],
-      'issued_system_turn_count': [null, {}],
-    }],
-  });
+// Finds the full name of a message or enum type, following the protobuf
+// scoping rules: look in the innermost scope first, then its parents.
+protoviewer.resolve_type_name = function(schema, name, scope) {
+    var is_type = function(full_name) {
+        return Object.prototype.hasOwnProperty.call(schema.messages, full_name) ||
+            Object.prototype.hasOwnProperty.call(schema.enums, full_name);
+    };
+    if (name.charAt(0) == ".") {
+        return is_type(name.substr(1)) ? name.substr(1) : null;
+    }
+    var parts = scope ? scope.split(".") : [];
+    while (true) {
+        var full_name = parts.concat([name]).join(".");
+        if (is_type(full_name)) {
+            return full_name;
+        }
+        if (parts.length == 0) {
+            return null;
+        }
+        parts.pop();
+    }
 };
 
-protoviewer.main = function() {
-    protoviewer.GLOBAL_PROTO = null;
-    var parse_button = document.getElementById("parse");
-    protoviewer.add_event_listener(parse_button, "click", function() {
-        var input = document.getElementById("input");
-        var filter = document.getElementById("filter");
-        var should_reverse = document.getElementById("reverse_filter");
-        var filter_func;
-        if (filter && filter.value) {
-            var maybe_regexp = protoviewer.maybe_regexp(filter.value);
-            if (maybe_regexp instanceof RegExp) {
-                if (should_reverse && should_reverse.checked) {
-                    filter_func = function(str) {
-                        return !protoviewer.matches_pattern(str, filter.value);
-                    };
-                } else {
-                    filter_func = function(str) {
-                        return protoviewer.matches_pattern(str, filter.value);
-                    };
+// Once all the types are known, figure out what the type names of
+// fields refer to.
+protoviewer.resolve_schema = function(schema) {
+    var resolve_field = function(field) {
+        // fields that were resolved when an earlier file was loaded are
+        // left alone
+        if (field.type_name !== null && field.type != "group" &&
+                field.type != "message" && field.type != "enum") {
+            var full_name = protoviewer.resolve_type_name(
+                schema, field.type_name, field.scope);
+            if (full_name === null) {
+                if (field.type === null) {
+                    schema.errors.push("Unknown type " + field.type_name +
+                                       " for field " + field.name);
+                    field.type = "unknown";
                 }
             } else {
-                if (should_reverse && should_reverse.checked) {
-                    filter_func = function(str) {
-                        return str != filter.value;
-                    };
-                } else {
-                    filter_func = function(str) {
-                        return str == filter.value;
-                    };
-                }
+                field.type_name = full_name;
+                field.type = full_name in schema.messages ? "message" : "enum";
             }
         }
-        protoviewer.GLOBAL_PROTO = protoviewer.parse_proto(
-            input.value/*.replace(/\\/g, "\\\\")*/, 0, filter_func);
-        console.log(protoviewer.GLOBAL_PROTO);
-        var output = document.getElementById("tree");
-        protoviewer.remove_children(output);
-        protoviewer.draw_proto(output, protoviewer.GLOBAL_PROTO.value, true, true);
-        CollapsibleLists.applyTo(document.getElementById('tree'));
-        var parsed = document.getElementById("parsed");
-        if (parsed) {
-            parsed.value = protoviewer.format(protoviewer.GLOBAL_PROTO.value);
+        if (field.extendee !== null) {
+            var extendee = protoviewer.resolve_type_name(
+                schema, field.extendee, field.scope);
+            if (extendee !== null) {
+                field.extendee = extendee;
+            }
         }
-    });
-    var search_button = document.getElementById("search_button");
-    protoviewer.add_event_listener(search_button, "click", function() {
-        var pattern = document.getElementById("search");
-        //var expand = protoviewer.get_expand_info(protoviewer.GLOBAL_PROTO, pattern);
-        var tree = document.getElementById("tree");
-        protoviewer.set_expansion_by_pattern(tree, pattern.value);
-        var sliced = protoviewer.slice_by_pattern(protoviewer.GLOBAL_PROTO.value, pattern.value);
-        var parsed = document.getElementById("parsed");
-        if (parsed) {
-            parsed.value = protoviewer.format(sliced);
+        if (field.packed === null && field.label == "repeated") {
+            var packable = field.type == "enum" || (
+                protoviewer.is_scalar_type(field.type) &&
+                field.type != "string" && field.type != "bytes");
+            field.packed = packable && field.syntax != "proto2";
         }
-    });
+    };
+    for (var message_name in schema.messages) {
+        var fields = schema.messages[message_name].fields;
+        for (var ii = 0; ii < fields.length; ii++) {
+            resolve_field(fields[ii]);
+        }
+    }
+    for (var extension_name in schema.extensions) {
+        resolve_field(schema.extensions[extension_name]);
+    }
+    return schema;
+};
+
+// Adds the types from a FileDescriptorSet (already parsed into a proto)
+// to the schema.
+protoviewer.schema_from_descriptor_set = function(descriptor_set, schema) {
+    if (!schema) {
+        schema = protoviewer.make_schema();
+    }
+    var files = descriptor_set.file || [];
+    for (var ii = 0; ii < files.length; ii++) {
+        var file = files[ii];
+        var package_name = protoviewer.unquote_string(
+            protoviewer.first_value(file, "package")) || "";
+        var syntax = protoviewer.unquote_string(
+            protoviewer.first_value(file, "syntax")) || "proto2";
+        protoviewer.add_descriptor_types(schema, file, package_name, syntax, "message_type");
+    }
+    protoviewer.resolve_schema(schema);
+    return schema;
+};
+
+// Adds the messages, enums and extensions defined in a FileDescriptorProto
+// or DescriptorProto.  messages_field is the field holding the messages,
+// which is named differently in the two.
+protoviewer.add_descriptor_types = function(schema, descriptor, scope, syntax, messages_field) {
+    var unquote = protoviewer.unquote_string;
+    var messages = descriptor[messages_field] || [];
+    for (var ii = 0; ii < messages.length; ii++) {
+        var name = unquote(protoviewer.first_value(messages[ii], "name"));
+        var message = protoviewer.make_message_type(
+            name, protoviewer.join_name(scope, name), syntax);
+        var options = protoviewer.first_value(messages[ii], "options");
+        message.map_entry = protoviewer.first_value(options, "map_entry") == "true";
+        var oneofs = (messages[ii].oneof_decl || []).map(function(oneof) {
+            return unquote(protoviewer.first_value(oneof, "name"));
+        });
+        var fields = messages[ii].field || [];
+        for (var jj = 0; jj < fields.length; jj++) {
+            var field = protoviewer.field_from_descriptor(fields[jj], message.full_name, syntax);
+            var oneof_index = protoviewer.first_value(fields[jj], "oneof_index");
+            // proto3 optional fields are in a synthetic oneof of their own
+            if (protoviewer.is_defined(oneof_index) &&
+                    protoviewer.first_value(fields[jj], "proto3_optional") != "true") {
+                field.oneof = oneofs[Number(oneof_index)] || null;
+            }
+            protoviewer.add_field(message, field);
+        }
+        schema.messages[message.full_name] = message;
+        protoviewer.add_descriptor_types(schema, messages[ii], message.full_name, syntax, "nested_type");
+    }
+    var enums = descriptor.enum_type || [];
+    for (ii = 0; ii < enums.length; ii++) {
+        var enum_name = unquote(protoviewer.first_value(enums[ii], "name"));
+        var enum_type = {
+            name: enum_name,
+            full_name: protoviewer.join_name(scope, enum_name),
+            syntax: syntax,
+            values: {},
+            by_number: {},
+        };
+        var values = enums[ii].value || [];
+        for (jj = 0; jj < values.length; jj++) {
+            var value_name = unquote(protoviewer.first_value(values[jj], "name"));
+            var number = Number(protoviewer.parse_integer(
+                protoviewer.first_value(values[jj], "number") || "0"));
+            enum_type.values[value_name] = number;
+            if (!(number in enum_type.by_number)) {
+                enum_type.by_number[number] = value_name;
+            }
+        }
+        schema.enums[enum_type.full_name] = enum_type;
+    }
+    var extensions = descriptor.extension || [];
+    for (ii = 0; ii < extensions.length; ii++) {
+        var extension = protoviewer.field_from_descriptor(extensions[ii], scope, syntax);
+        schema.extensions[protoviewer.join_name(scope, extension.name)] = extension;
+    }
+};
+
+protoviewer.field_from_descriptor = function(descriptor, scope, syntax) {
+    var unquote = protoviewer.unquote_string;
+    var get = function(name) {
+        return protoviewer.first_value(descriptor, name);
+    };
+    // enum fields may show up as names (TYPE_INT32) or as numbers
+    var lookup = function(value, table, prefix) {
+        if (!protoviewer.is_defined(value)) {
+            return null;
+        }
+        if (/^[0-9]+$/.test(value)) {
+            return table[Number(value)] || null;
+        }
+        return value.replace(prefix, "").toLowerCase();
+    };
+    var field = {
+        name: unquote(get("name")),
+        number: Number(get("number")),
+        label: lookup(get("label"), protoviewer.DESCRIPTOR_LABELS, /^LABEL_/) || "optional",
+        type: lookup(get("type"), protoviewer.DESCRIPTOR_TYPES, /^TYPE_/),
+        type_name: protoviewer.is_defined(get("type_name")) ? unquote(get("type_name")) : null,
+        oneof: null,
+        packed: null,
+        json_name: protoviewer.is_defined(get("json_name")) ? unquote(get("json_name")) : null,
+        default_value: protoviewer.is_defined(get("default_value")) ? unquote(get("default_value")) : null,
+        extendee: protoviewer.is_defined(get("extendee")) ? unquote(get("extendee")) : null,
+        scope: scope,
+        syntax: syntax,
+    };
+    var options = get("options");
+    if (protoviewer.is_defined(protoviewer.first_value(options, "packed"))) {
+        field.packed = protoviewer.first_value(options, "packed") == "true";
+    }
+    if (field.type == "message" || field.type == "enum") {
+        // let resolve_schema double check that the type exists
+        field.type = null;
+    }
+    if (!field.json_name) {
+        field.json_name = protoviewer.to_json_name(field.name);
+    }
+    return field;
+};
+
+// Parses an integer in TextFormat: decimal, hex (0x1f) or octal (017).
+// Returns a BigInt, or null if the text isn't an integer.
+protoviewer.parse_integer = function(text) {
+    if (!protoviewer.is_string(text)) {
+        return null;
+    }
+    var match = /^([-+]?)(0[xX][0-9a-fA-F]+|0[0-7]*|[1-9][0-9]*)$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    var digits = match[2];
+    if (digits.length > 1 && digits.charAt(0) == "0" && /[0-7]/.test(digits.charAt(1))) {
+        digits = "0o" + digits.substr(1);
+    }
+    var number = BigInt(digits);
+    return match[1] == "-" ? -number : number;
 };
+
+// The smallest and largest allowed value for each integer type
+protoviewer.INTEGER_RANGES = {
+    int32: ["-2147483648", "2147483647"],
+    sint32: ["-2147483648", "2147483647"],
+    sfixed32: ["-2147483648", "2147483647"],
+    uint32: ["0", "4294967295"],
+    fixed32: ["0", "4294967295"],
+    int64: ["-9223372036854775808", "9223372036854775807"],
+    sint64: ["-9223372036854775808", "9223372036854775807"],
+    sfixed64: ["-9223372036854775808", "9223372036854775807"],
+    uint64: ["0", "18446744073709551615"],
+    fixed64: ["0", "18446744073709551615"],
+};
+
+// Parses a leaf value of a proto as the type of the given field.  The
+// value of the result is a javascript value: a Number for 32-bit ints
+// and floats, a BigInt for 64-bit ints, a bool, a string, or the name
+// of an enum value.
+protoviewer.parse_typed_value = function(text, field, schema) {
+    var result = {value: null, position: text.length, error: null};
+    var type = field.type;
+    if (type in protoviewer.INTEGER_RANGES) {
+        var number = protoviewer.parse_integer(text);
+        var range = protoviewer.INTEGER_RANGES[type];
+        if (number === null) {
+            result.error = "Expected an integer for " + type + " but found " + text;
+        } else if (number < BigInt(range[0]) || number > BigInt(range[1])) {
+            result.error = "Value " + text + " is out of range for " + type;
+        } else {
+            result.value = /64$/.test(type) ? number : Number(number);
+        }
+    } else if (type == "float" || type == "double") {
+        if (/^[-+]?(inf|infinity)$/i.test(text)) {
+            result.value = text.charAt(0) == "-" ? -Infinity : Infinity;
+        } else if (/^[-+]?nan$/i.test(text)) {
+            result.value = NaN;
+        } else if (/^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?[fF]?$/.test(text)) {
+            result.value = parseFloat(text);
+        } else {
+            result.error = "Expected a number for " + type + " but found " + text;
+        }
+    } else if (type == "bool") {
+        if (/^(true|True|t|1)$/.test(text)) {
+            result.value = true;
+        } else if (/^(false|False|f|0)$/.test(text)) {
+            result.value = false;
+        } else {
+            result.error = "Expected true or false but found " + text;
+        }
+    } else if (type == "string" || type == "bytes") {
+        if (text.charAt(0) != '"' && text.charAt(0) != "'") {
+            result.error = "Expected a quoted " + type + " but found " + text;
+        } else {
+            result.value = protoviewer.unquote_string(text);
+        }
+    } else if (type == "enum") {
+        var enum_type = schema.enums[field.type_name];
+        var enum_number = protoviewer.parse_integer(text);
+        if (Object.prototype.hasOwnProperty.call(enum_type.values, text)) {
+            result.value = text;
+        } else if (enum_number !== null && Number(enum_number) in enum_type.by_number) {
+            result.value = enum_type.by_number[Number(enum_number)];
+        } else if (enum_number !== null && enum_type.syntax != "proto2") {
+            // proto3 enums are open, unknown numbers are allowed
+            result.value = Number(enum_number);
+        } else {
+            result.error = "Unknown value " + text + " for enum " + enum_type.full_name;
+        }
+    } else if (type == "message" || type == "group") {
+        result.error = "Expected a message for field " + field.name + " but found " + text;
+    } else {
+        // unknown types, just keep the text
+        result.value = text;
+    }
+    return result;
+};
+
+// Finds the field of the message type that a (TextFormat) field name
+// refers to.  This handles extensions ([pkg.ext]) and the expanded form
+// of Any ([type.googleapis.com/pkg.Type]).  Returns null if there is
+// no such field.
+protoviewer.find_field = function(schema, message, name) {
+    if (Object.prototype.hasOwnProperty.call(message.by_name, name)) {
+        return message.by_name[name];
+    }
+    var match = /^\[(.*)\]$/.exec(name);
+    if (!match) {
+        return null;
+    }
+    if (match[1].indexOf("/") >= 0) {
+        var type_name = match[1].split("/").pop();
+        if (message.full_name != "google.protobuf.Any" ||
+                !Object.prototype.hasOwnProperty.call(schema.messages, type_name)) {
+            return null;
+        }
+        return {
+            name: name,
+            number: null,
+            label: "optional",
+            type: "message",
+            type_name: type_name,
+            oneof: null,
+            json_name: "@type",
+        };
+    }
+    var extension = Object.prototype.hasOwnProperty.call(schema.extensions, match[1]) ?
+        schema.extensions[match[1]] : null;
+    if (!extension || extension.extendee != message.full_name) {
+        return null;
+    }
+    return extension;
+};
+
+// Makes a path to a field like "b.c" or "q[1].r", for error messages.
+// The index is only shown for fields with more than one value.
+protoviewer.field_path = function(path, name, ii, count) {
+    var field_path = path ? path + "." + name : name;
+    if (count > 1) {
+        field_path += "[" + ii + "]";
+    }
+    return field_path;
+};
+
+// Checks a proto against a schema.  The return value is an object with:
+// {
+//     value:
+//         the type info for the proto, which has the same shape as the
+//         proto (see check_message)
+//     error:
+//         the first problem found, or null
+//     problems:
+//         a list of {path, message} for every problem found: unknown
+//         fields, values that don't match the field type, missing
+//         required fields and so on
+// }
+// type_name is the full name of the message type of the proto.  If it
+// isn't given, we use default_message_type.
+protoviewer.check_proto = function(proto, schema, type_name) {
+    var result = {value: null, error: null, problems: []};
+    if (!type_name) {
+        type_name = protoviewer.default_message_type(schema);
+    }
+    var message = schema.messages[type_name];
+    if (!message) {
+        result.error = "Unknown message type: " + type_name;
+        result.problems.push({path: "", message: result.error});
+        return result;
+    }
+    result.value = protoviewer.check_message(proto, schema, message, "", result.problems);
+    if (result.problems.length > 0) {
+        result.error = result.problems[0].path + ": " + result.problems[0].message;
+    }
+    return result;
+};
+
+// Returns the type info for a message:
+//
+// MessageInfo = type_name, problems: [ messages ],
+//               values: { names to { field: Field or null,
+//                                    values: [ MessageInfo or ValueInfo ] } }
+// ValueInfo = type, value (the javascript value, see parse_typed_value),
+//             problems: [ messages ],
+//             list: [ ValueInfos ] if the value is a list
+//
+// Every problem is also added to the problems argument, with its path.
+protoviewer.check_message = function(proto, schema, message, path, problems) {
+    var info = {type_name: message.full_name, values: {}, problems: []};
+    var add_problem = function(node_info, node_path, problem) {
+        node_info.problems.push(problem);
+        problems.push({path: node_path, message: problem});
+    };
+    for (var name in proto) {
+        var field = protoviewer.find_field(schema, message, name);
+        var field_info = {field: field, values: []};
+        info.values[name] = field_info;
+        var count = 0;
+        for (var ii = 0; ii < proto[name].length; ii++) {
+            var value = proto[name][ii];
+            var value_path = protoviewer.field_path(path, name, ii, proto[name].length);
+            var value_info;
+            count += protoviewer.is_array(value) ? value.length : 1;
+            if (!field) {
+                value_info = {type: null, value: null, problems: []};
+                add_problem(value_info, value_path,
+                            "Unknown field " + name + " in " + message.full_name);
+            } else {
+                value_info = protoviewer.check_value(value, field, schema, value_path, problems);
+                if (field.label != "repeated" && (count > 1 || protoviewer.is_array(value))) {
+                    add_problem(value_info, value_path,
+                                "Non-repeated field " + name + " has more than one value");
+                }
+            }
+            field_info.values.push(value_info);
+        }
+    }
+    for (ii = 0; ii < message.fields.length; ii++) {
+        field = message.fields[ii];
+        if (field.label == "required" &&
+                !(field.name in proto) &&
+                !(field.type == "group" && field.type_name.split(".").pop() in proto)) {
+            add_problem(info, path, "Missing required field " + field.name);
+        }
+    }
+    for (var oneof in message.oneofs) {
+        var set = message.oneofs[oneof].filter(function(field_name) {
+            return field_name in proto;
+        });
+        if (set.length > 1) {
+            add_problem(info, path, "More than one field of oneof " + oneof +
+                        " is set: " + set.join(", "));
+        }
+    }
+    return info;
+};
+
+protoviewer.check_value = function(value, field, schema, path, problems) {
+    var value_info = {type: field.type, value: null, problems: []};
+    if (protoviewer.is_array(value)) {
+        value_info.list = [];
+        for (var ii = 0; ii < value.length; ii++) {
+            value_info.list.push(protoviewer.check_value(
+                value[ii], field, schema, path + "[" + ii + "]", problems));
+        }
+        return value_info;
+    }
+    if (protoviewer.is_sub_proto(value)) {
+        var message = schema.messages[field.type_name];
+        if ((field.type == "message" || field.type == "group") && message) {
+            return protoviewer.check_message(value, schema, message, path, problems);
+        }
+        if (field.type != "unknown") {
+            value_info.problems.push("Expected a " + field.type +
+                                     " for field " + field.name + " but found a message");
+        }
+    } else {
+        var typed = protoviewer.parse_typed_value(value, field, schema);
+        value_info.value = typed.value;
+        if (typed.error) {
+            value_info.problems.push(typed.error);
+        }
+    }
+    for (ii = 0; ii < value_info.problems.length; ii++) {
+        problems.push({path: path, message: value_info.problems[ii]});
+    }
+    return value_info;
+};
+
+// ------------------------------------------------------------------ //
+// Wire format
+//
+// These functions turn serialized protos (the binary wire format) into
+// the same structure that parse_proto returns, so everything else works
+// on them.  Leaf values are spelled the way they would be in TextFormat,
+// so strings are quoted and enums are names.
+//
+// Without a schema, fields are named by number and we guess at what
+// each value is, like "protoc --decode_raw" does.
+
+// The wire type used for each field type
+protoviewer.WIRE_TYPES = {
+    int32: 0, int64: 0, uint32: 0, uint64: 0, sint32: 0, sint64: 0,
+    bool: 0, enum: 0,
+    fixed64: 1, sfixed64: 1, double: 1,
+    string: 2, bytes: 2, message: 2,
+    group: 3,
+    fixed32: 5, sfixed32: 5, float: 5,
+};
+
+protoviewer.BASE64_CHARS =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Reads bytes written as hex ("0a 03 61 62 63", "0x0a,0x03", "\x0a\x03")
+// or base64.  encoding is "hex" or "base64", or if it isn't given, we
+// use hex if the text looks like hex.  The value of the result is a
+// Uint8Array.
+protoviewer.parse_bytes = function(text, encoding) {
+    var result = {value: new Uint8Array(0), position: 0, error: null};
+    var hex = text.replace(/0x|\\x/gi, "").replace(/[\s,:]/g, "");
+    if (!encoding) {
+        encoding = /^([0-9a-fA-F]{2})*$/.test(hex) ? "hex" : "base64";
+    }
+    if (encoding == "hex") {
+        if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length % 2 != 0) {
+            result.error = "Invalid hex: " + text.substr(0, 20);
+            return result;
+        }
+        result.value = new Uint8Array(hex.length / 2);
+        for (var ii = 0; ii < result.value.length; ii++) {
+            result.value[ii] = parseInt(hex.substr(ii * 2, 2), 16);
+        }
+    } else {
+        // also accept the url-safe alphabet
+        var base64 = text.replace(/\s/g, "").replace(/-/g, "+")
+                         .replace(/_/g, "/").replace(/=+$/, "");
+        if (!/^[A-Za-z0-9+\/]*$/.test(base64) || base64.length % 4 == 1) {
+            result.error = "Invalid base64: " + text.substr(0, 20);
+            return result;
+        }
+        var bytes = [];
+        var bits = 0;
+        var num_bits = 0;
+        for (ii = 0; ii < base64.length; ii++) {
+            bits = (bits << 6) | protoviewer.BASE64_CHARS.indexOf(base64.charAt(ii));
+            num_bits += 6;
+            if (num_bits >= 8) {
+                num_bits -= 8;
+                bytes.push((bits >> num_bits) & 0xff);
+            }
+        }
+        result.value = new Uint8Array(bytes);
+    }
+    result.position = text.length;
+    return result;
+};
+
+// Returns the string that the UTF-8 bytes encode, or null if they
+// aren't valid UTF-8.
+protoviewer.decode_utf8 = function(bytes) {
+    try {
+        return new TextDecoder("utf-8", {fatal: true}).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+};
+
+protoviewer.encode_utf8 = function(str) {
+    return new TextEncoder().encode(str);
+};
+
+// Makes a string with one character for each byte
+protoviewer.bytes_to_latin1 = function(bytes) {
+    var chars = [];
+    for (var ii = 0; ii < bytes.length; ii++) {
+        chars.push(String.fromCharCode(bytes[ii]));
+    }
+    return chars.join("");
+};
+
+// Quotes a string for TextFormat, escaping quotes, backslashes and
+// control characters.
+protoviewer.quote_string = function(str) {
+    var escapes = {"\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t"};
+    return '"' + str.replace(/[\\"\x00-\x1f\x7f]/g, function(ch) {
+        if (ch in escapes) {
+            return escapes[ch];
+        }
+        return "\\" + ("00" + ch.charCodeAt(0).toString(8)).slice(-3);
+    }) + '"';
+};
+
+// Quotes bytes for TextFormat.  Anything that isn't printable ASCII is
+// written as an octal escape, unless as_utf8 is set and the bytes are
+// valid UTF-8, in which case we keep the unicode characters.
+protoviewer.quote_bytes = function(bytes, as_utf8) {
+    var str = as_utf8 ? protoviewer.decode_utf8(bytes) : null;
+    if (str === null) {
+        str = protoviewer.bytes_to_latin1(bytes);
+        return protoviewer.quote_string(str).replace(/[\x80-\xff]/g, function(ch) {
+            return "\\" + ch.charCodeAt(0).toString(8);
+        });
+    }
+    return protoviewer.quote_string(str);
+};
+
+// True if the bytes are valid UTF-8 without any control characters
+// other than whitespace, i.e. they are probably meant to be text.
+protoviewer.is_printable = function(bytes) {
+    var str = protoviewer.decode_utf8(bytes);
+    return str !== null && !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(str);
+};
+
+// Formats a float or double the way TextFormat does, using the fewest
+// digits that still give back the same number.
+protoviewer.format_float = function(number, is_float) {
+    if (isNaN(number)) {
+        return "nan";
+    } else if (number == Infinity) {
+        return "inf";
+    } else if (number == -Infinity) {
+        return "-inf";
+    } else if (!is_float) {
+        return String(number);
+    }
+    for (var precision = 1; precision < 9; precision++) {
+        var str = String(Number(number.toPrecision(precision)));
+        if (Math.fround(Number(str)) == number) {
+            return str;
+        }
+    }
+    return String(number);
+};
+
+// Reads a varint.  The value of the result is a BigInt.
+protoviewer.read_varint = function(bytes, ii, end) {
+    var result = {value: BigInt(0), position: ii, error: null};
+    var shift = BigInt(0);
+    for (var jj = ii; jj < end && jj < ii + 10; jj++) {
+        result.value |= BigInt(bytes[jj] & 0x7f) << shift;
+        shift += BigInt(7);
+        if ((bytes[jj] & 0x80) == 0) {
+            result.value = BigInt.asUintN(64, result.value);
+            result.position = jj + 1;
+            return result;
+        }
+    }
+    result.error = "Truncated varint at byte " + ii;
+    return result;
+};
+
+// Reads a little-endian 32 or 64 bit value, as a BigInt
+protoviewer.read_fixed = function(bytes, ii, size) {
+    var value = BigInt(0);
+    for (var jj = size - 1; jj >= 0; jj--) {
+        value = (value << BigInt(8)) | BigInt(bytes[ii + jj]);
+    }
+    return value;
+};
+
+// Spells a value read from the wire as TextFormat, for a field of
+// the given type.  For varints and fixed values, raw is a BigInt.
+// For length delimited values, it is a Uint8Array.  enum_type is
+// needed for enum fields.
+protoviewer.wire_value_to_text = function(raw, type, enum_type) {
+    var zigzag = function(value) {
+        return (value >> BigInt(1)) ^ -(value & BigInt(1));
+    };
+    var view;
+    switch (type) {
+    case "int32":
+    case "sfixed32":
+        return String(BigInt.asIntN(32, raw));
+    case "int64":
+    case "sfixed64":
+        return String(BigInt.asIntN(64, raw));
+    case "uint32":
+    case "fixed32":
+        return String(BigInt.asUintN(32, raw));
+    case "uint64":
+    case "fixed64":
+        return String(raw);
+    case "sint32":
+        return String(BigInt.asIntN(32, zigzag(raw)));
+    case "sint64":
+        return String(BigInt.asIntN(64, zigzag(raw)));
+    case "bool":
+        return raw != BigInt(0) ? "true" : "false";
+    case "enum":
+        var number = Number(BigInt.asIntN(32, raw));
+        if (enum_type && number in enum_type.by_number) {
+            return enum_type.by_number[number];
+        }
+        return String(number);
+    case "float":
+        view = new DataView(new ArrayBuffer(4));
+        view.setUint32(0, Number(raw), true);
+        return protoviewer.format_float(view.getFloat32(0, true), true);
+    case "double":
+        view = new DataView(new ArrayBuffer(8));
+        view.setBigUint64(0, raw, true);
+        return protoviewer.format_float(view.getFloat64(0, true), false);
+    case "string":
+        return protoviewer.quote_bytes(raw, true);
+    case "bytes":
+        return protoviewer.quote_bytes(raw, false);
+    }
+    return null;
+};
+
+// Decodes a serialized proto.  If a schema is given, type_name is the
+// full name of the message type (by default, default_message_type).
+// Returns the usual {value, position, error}.
+protoviewer.decode_proto = function(bytes, schema, type_name) {
+    var message = null;
+    if (schema) {
+        if (!type_name) {
+            type_name = protoviewer.default_message_type(schema);
+        }
+        message = schema.messages[type_name];
+        if (!message) {
+            return {value: {}, position: 0, error: "Unknown message type: " + type_name};
+        }
+    }
+    var result = protoviewer.decode_message(bytes, 0, bytes.length, schema, message);
+    if (!result.error && result.position != bytes.length) {
+        result.error = "Unexpected end group at byte " + result.position;
+    }
+    return result;
+};
+
+// Decodes the fields between ii and end.  If end_group is defined, this
+// is a group with that field number, and we stop at its end group tag.
+protoviewer.decode_message = function(bytes, ii, end, schema, message, end_group) {
+    var result = {value: {}, position: ii, error: null};
+    while (ii < end) {
+        var key = protoviewer.read_varint(bytes, ii, end);
+        if (key.error) {
+            result.error = key.error;
+            break;
+        }
+        var number = Number(key.value >> BigInt(3));
+        var wire_type = Number(key.value & BigInt(7));
+        if (wire_type == 4) {
+            if (number !== end_group) {
+                result.error = "Unexpected end group for field " + number + " at byte " + ii;
+                break;
+            }
+            result.position = key.position;
+            return result;
+        }
+        if (number < 1 || number >= (1 << 29)) {
+            result.error = "Invalid field number " + number + " at byte " + ii;
+            break;
+        }
+        var field = message ? message.by_number[number] || null : null;
+        if (field && !protoviewer.is_wire_type_ok(field, wire_type)) {
+            // treat it like an unknown field
+            field = null;
+        }
+        var values = protoviewer.decode_field(
+            bytes, key.position, end, wire_type, number, field, schema);
+        var name = "" + number;
+        if (field) {
+            name = field.type == "group" ? field.type_name.split(".").pop() : field.name;
+        }
+        for (var jj = 0; jj < values.value.length; jj++) {
+            // keep the order of the wire format
+            protoviewer.add_value(result.value, name, values.value[jj]);
+        }
+        ii = values.position;
+        if (values.error) {
+            result.error = values.error;
+            break;
+        }
+    }
+    result.position = ii;
+    if (!result.error && protoviewer.is_defined(end_group)) {
+        result.error = "Missing end group for field " + end_group;
+    }
+    return result;
+};
+
+// True if a value with the given wire type can be read as the field.
+// Repeated numeric fields may be packed, so they also accept wire type 2.
+protoviewer.is_wire_type_ok = function(field, wire_type) {
+    if (field.type == "unknown") {
+        return false;
+    }
+    var expected = protoviewer.WIRE_TYPES[field.type];
+    return wire_type == expected || (
+        wire_type == 2 && field.label == "repeated" && expected != 2 && expected != 3);
+};
+
+// Decodes one field value, which starts at ii (just after the key).
+// The value of the result is a list of values, since a packed field
+// has several values.
+protoviewer.decode_field = function(bytes, ii, end, wire_type, number, field, schema) {
+    var result = {value: [], position: ii, error: null};
+    var type = field ? field.type : null;
+    var enum_type = field && field.type == "enum" ? schema.enums[field.type_name] : null;
+    if (wire_type == 0) {
+        var varint = protoviewer.read_varint(bytes, ii, end);
+        if (varint.error) {
+            result.error = varint.error;
+            return result;
+        }
+        // without a schema, guess that big values are negative numbers
+        result.value.push(protoviewer.wire_value_to_text(
+            varint.value, type || "int64", enum_type));
+        result.position = varint.position;
+    } else if (wire_type == 1 || wire_type == 5) {
+        var size = wire_type == 1 ? 8 : 4;
+        if (ii + size > end) {
+            result.error = "Truncated fixed" + (size * 8) + " at byte " + ii;
+            return result;
+        }
+        var raw = protoviewer.read_fixed(bytes, ii, size);
+        if (type) {
+            result.value.push(protoviewer.wire_value_to_text(raw, type, enum_type));
+        } else {
+            result.value.push("0x" + ("0000000000000000" + raw.toString(16)).slice(-size * 2));
+        }
+        result.position = ii + size;
+    } else if (wire_type == 2) {
+        var length = protoviewer.read_varint(bytes, ii, end);
+        if (length.error) {
+            result.error = length.error;
+            return result;
+        }
+        var start = length.position;
+        var stop = start + Number(length.value);
+        if (stop > end) {
+            result.error = "Truncated length delimited field " + number + " at byte " + ii;
+            return result;
+        }
+        result.position = stop;
+        if (type == "message") {
+            var sub = protoviewer.decode_message(
+                bytes, start, stop, schema, schema.messages[field.type_name]);
+            result.value.push(sub.value);
+            result.error = sub.error;
+        } else if (type && protoviewer.WIRE_TYPES[type] != 2) {
+            return protoviewer.decode_packed(bytes, start, stop, field, schema);
+        } else if (type) {
+            result.value.push(protoviewer.wire_value_to_text(bytes.subarray(start, stop), type));
+        } else {
+            result.value.push(protoviewer.guess_length_delimited(bytes, start, stop));
+        }
+    } else if (wire_type == 3) {
+        var group = protoviewer.decode_message(
+            bytes, ii, end, schema,
+            field ? schema.messages[field.type_name] : null, number);
+        result.value.push(group.value);
+        result.position = group.position;
+        result.error = group.error;
+    } else {
+        result.error = "Invalid wire type " + wire_type + " for field " + number + " at byte " + ii;
+    }
+    return result;
+};
+
+// Decodes the values of a packed repeated field
+protoviewer.decode_packed = function(bytes, ii, end, field, schema) {
+    var result = {value: [], position: end, error: null};
+    var wire_type = protoviewer.WIRE_TYPES[field.type];
+    while (ii < end) {
+        var item = protoviewer.decode_field(bytes, ii, end, wire_type, field.number, field, schema);
+        if (item.error) {
+            result.error = item.error;
+            break;
+        }
+        result.value.push(item.value[0]);
+        ii = item.position;
+    }
+    return result;
+};
+
+// Without a schema, a length delimited value could be a string, bytes
+// or a message.  Text is the most likely if it's printable, then a
+// message if the bytes can be decoded as one.
+protoviewer.guess_length_delimited = function(bytes, start, stop) {
+    var sub_bytes = bytes.subarray(start, stop);
+    if (stop > start && protoviewer.is_printable(sub_bytes)) {
+        return protoviewer.quote_bytes(sub_bytes, true);
+    }
+    if (stop > start) {
+        var sub = protoviewer.decode_message(bytes, start, stop, null, null);
+        if (!sub.error) {
+            return sub.value;
+        }
+    }
+    return protoviewer.quote_bytes(sub_bytes, false);
+};
+
+// Writes bytes as hex ("0a 03 61 62 63") or base64
+protoviewer.format_bytes = function(bytes, encoding) {
+    var out = [];
+    if (encoding == "hex") {
+        for (var ii = 0; ii < bytes.length; ii++) {
+            out.push(("0" + bytes[ii].toString(16)).slice(-2));
+        }
+        return out.join(" ");
+    }
+    var chars = protoviewer.BASE64_CHARS;
+    for (ii = 0; ii < bytes.length; ii += 3) {
+        var bits = (bytes[ii] << 16) | ((bytes[ii + 1] || 0) << 8) | (bytes[ii + 2] || 0);
+        out.push(chars.charAt(bits >> 18), chars.charAt((bits >> 12) & 63),
+                 ii + 1 < bytes.length ? chars.charAt((bits >> 6) & 63) : "=",
+                 ii + 2 < bytes.length ? chars.charAt(bits & 63) : "=");
+    }
+    return out.join("");
+};
+
+protoviewer.write_varint = function(out, value) {
+    value = BigInt.asUintN(64, BigInt(value));
+    while (value >= BigInt(0x80)) {
+        out.push(Number(value & BigInt(0x7f)) | 0x80);
+        value >>= BigInt(7);
+    }
+    out.push(Number(value));
+};
+
+protoviewer.write_fixed = function(out, value, size) {
+    value = BigInt.asUintN(size * 8, BigInt(value));
+    for (var ii = 0; ii < size; ii++) {
+        out.push(Number(value & BigInt(0xff)));
+        value >>= BigInt(8);
+    }
+};
+
+protoviewer.write_length_delimited = function(out, bytes) {
+    protoviewer.write_varint(out, bytes.length);
+    for (var ii = 0; ii < bytes.length; ii++) {
+        out.push(bytes[ii]);
+    }
+};
+
+// Serializes a proto, like the ones from parse_proto, using the schema
+// to find the field numbers and types.  type_name is the full name of
+// the message type (by default, default_message_type).
+// Fields named by number, like the ones that decode_proto makes for
+// unknown fields, are encoded by guessing the type from the value, so
+// that without a schema, the output of decode_proto can be encoded
+// again.  The value of the result is a Uint8Array.  If any field can't
+// be encoded, the error says which one and the value is empty.
+protoviewer.encode_proto = function(proto, schema, type_name) {
+    var result = {value: new Uint8Array(0), position: 0, error: null};
+    var message = null;
+    if (schema) {
+        if (!type_name) {
+            type_name = protoviewer.default_message_type(schema);
+        }
+        message = schema.messages[type_name];
+        if (!message) {
+            result.error = "Unknown message type: " + type_name;
+            return result;
+        }
+    }
+    var out = [];
+    var error = protoviewer.encode_message(out, proto, schema, message, "");
+    if (error) {
+        result.error = "Can't encode " + error.path + ": " + error.message;
+    } else {
+        result.value = new Uint8Array(out);
+        result.position = out.length;
+    }
+    return result;
+};
+
+// Appends the fields of the proto to out.  Returns {path, message} for
+// the first field that can't be encoded, or null if everything was
+// encoded.  The helpers for each field return either an error message
+// or the error from a sub message.
+protoviewer.encode_message = function(out, proto, schema, message, path) {
+    for (var name in proto) {
+        var field_path = path ? path + "." + name : name;
+        var field = message ? protoviewer.find_field(schema, message, name) : null;
+        var values = [];
+        for (var ii = 0; ii < proto[name].length; ii++) {
+            values = values.concat(proto[name][ii]);
+        }
+        var error;
+        if (field && field.number === null) {
+            // the expanded form of Any: [type.googleapis.com/pkg.Type] { ... }
+            error = protoviewer.encode_any(out, name, values, schema, field, field_path);
+        } else if (field) {
+            error = protoviewer.encode_field(out, values, field, schema, field_path);
+        } else if (/^[0-9]+$/.test(name)) {
+            error = protoviewer.encode_unknown_field(out, Number(name), values, field_path);
+        } else if (message) {
+            error = "Unknown field " + name + " in " + message.full_name;
+        } else {
+            error = "No schema to look up field " + name;
+        }
+        if (protoviewer.is_string(error)) {
+            return {path: field_path, message: error};
+        } else if (error) {
+            return error;
+        }
+    }
+    return null;
+};
+
+protoviewer.encode_field = function(out, values, field, schema, path) {
+    var wire_type = protoviewer.WIRE_TYPES[field.type];
+    if (!protoviewer.is_defined(wire_type)) {
+        return "Unknown type " + field.type_name;
+    }
+    if (values.length > 1 && field.label != "repeated") {
+        return "Non-repeated field has more than one value";
+    }
+    var key = (BigInt(field.number) << BigInt(3));
+    var packed = [];
+    for (var ii = 0; ii < values.length; ii++) {
+        var value = values[ii];
+        var target = field.packed ? packed : out;
+        if (!field.packed) {
+            protoviewer.write_varint(out, key | BigInt(wire_type));
+        }
+        if (field.type == "message" || field.type == "group") {
+            if (!protoviewer.is_sub_proto(value)) {
+                return "Expected a message but found " + value;
+            }
+            var sub = [];
+            var error = protoviewer.encode_message(
+                sub, value, schema, schema.messages[field.type_name], path);
+            if (error) {
+                return error;
+            }
+            if (field.type == "group") {
+                Array.prototype.push.apply(out, sub);
+                protoviewer.write_varint(out, key | BigInt(4));
+            } else {
+                protoviewer.write_length_delimited(out, sub);
+            }
+        } else if (protoviewer.is_object(value)) {
+            return "Expected a " + field.type + " but found a message";
+        } else {
+            error = protoviewer.encode_scalar(target, value, field, schema);
+            if (error) {
+                return error;
+            }
+        }
+    }
+    if (field.packed && packed.length > 0) {
+        protoviewer.write_varint(out, key | BigInt(2));
+        protoviewer.write_length_delimited(out, packed);
+    }
+    return null;
+};
+
+// Appends the encoding of one scalar value (without the key) to out.
+// Returns an error message, or null.
+protoviewer.encode_scalar = function(out, text, field, schema) {
+    var typed = protoviewer.parse_typed_value(text, field, schema);
+    if (typed.error) {
+        return typed.error;
+    }
+    var value = typed.value;
+    var view;
+    switch (field.type) {
+    case "int32":
+    case "int64":
+    case "uint32":
+    case "uint64":
+        protoviewer.write_varint(out, value);
+        break;
+    case "sint32":
+    case "sint64":
+        value = BigInt(value);
+        protoviewer.write_varint(out, (value << BigInt(1)) ^ (value >> BigInt(63)));
+        break;
+    case "bool":
+        protoviewer.write_varint(out, value ? 1 : 0);
+        break;
+    case "enum":
+        if (protoviewer.is_string(value)) {
+            value = schema.enums[field.type_name].values[value];
+        }
+        protoviewer.write_varint(out, value);
+        break;
+    case "fixed32":
+    case "sfixed32":
+        protoviewer.write_fixed(out, value, 4);
+        break;
+    case "fixed64":
+    case "sfixed64":
+        protoviewer.write_fixed(out, value, 8);
+        break;
+    case "float":
+        view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, value, true);
+        protoviewer.write_fixed(out, view.getUint32(0, true), 4);
+        break;
+    case "double":
+        view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value, true);
+        protoviewer.write_fixed(out, view.getBigUint64(0, true), 8);
+        break;
+    case "string":
+    case "bytes":
+        protoviewer.write_length_delimited(out, protoviewer.unquote_bytes(text));
+        break;
+    default:
+        return "Can't encode a value of type " + field.type;
+    }
+    return null;
+};
+
+// Encodes the expanded form of Any as its type_url and value fields
+protoviewer.encode_any = function(out, name, values, schema, field, path) {
+    if (values.length != 1 || !protoviewer.is_sub_proto(values[0])) {
+        return "Expected one message for " + name;
+    }
+    var sub = [];
+    var error = protoviewer.encode_message(
+        sub, values[0], schema, schema.messages[field.type_name], path);
+    if (error) {
+        return error;
+    }
+    protoviewer.write_varint(out, (1 << 3) | 2);
+    protoviewer.write_length_delimited(
+        out, protoviewer.encode_utf8(name.substr(1, name.length - 2)));
+    protoviewer.write_varint(out, (2 << 3) | 2);
+    protoviewer.write_length_delimited(out, sub);
+    return null;
+};
+
+// Encodes a field that isn't in the schema, guessing the wire type from
+// how each value is spelled, the same way decode_proto spells them.
+protoviewer.encode_unknown_field = function(out, number, values, path) {
+    var key = BigInt(number) << BigInt(3);
+    for (var ii = 0; ii < values.length; ii++) {
+        var value = values[ii];
+        var integer = protoviewer.parse_integer(value);
+        if (protoviewer.is_sub_proto(value)) {
+            var sub = [];
+            var error = protoviewer.encode_message(sub, value, null, null, path);
+            if (error) {
+                return error;
+            }
+            protoviewer.write_varint(out, key | BigInt(2));
+            protoviewer.write_length_delimited(out, sub);
+        } else if (protoviewer.is_quoted(value)) {
+            protoviewer.write_varint(out, key | BigInt(2));
+            protoviewer.write_length_delimited(out, protoviewer.unquote_bytes(value));
+        } else if (/^0x([0-9a-fA-F]{8}|[0-9a-fA-F]{16})$/.test(value)) {
+            var size = (value.length - 2) / 2;
+            protoviewer.write_varint(out, key | BigInt(size == 4 ? 5 : 1));
+            protoviewer.write_fixed(out, integer, size);
+        } else if (integer !== null) {
+            protoviewer.write_varint(out, key);
+            protoviewer.write_varint(out, integer);
+        } else {
+            return "Can't tell what type of value " + value + " is without a schema";
+        }
+    }
+    return null;
+};
+
+// ------------------------------------------------------------------ //
+// JSON
+//
+// These functions convert between protos and the proto3 JSON mapping:
+// fields are named with their lowerCamelCase json_name, 64-bit ints are
+// strings, enums are names, bytes are base64, maps are objects, Any has
+// an "@type" field and the well-known types have their special forms
+// (e.g. a Timestamp is "1972-01-01T10:00:20.021Z").
+//
+// Without a schema, we keep the field names and guess at the types.
+
+// The wrapper types, which are written in JSON as their value field
+protoviewer.WRAPPER_TYPES = [
+    "google.protobuf.DoubleValue", "google.protobuf.FloatValue",
+    "google.protobuf.Int64Value", "google.protobuf.UInt64Value",
+    "google.protobuf.Int32Value", "google.protobuf.UInt32Value",
+    "google.protobuf.BoolValue", "google.protobuf.StringValue",
+    "google.protobuf.BytesValue",
+];
+
+// Formats nanoseconds as the fraction of a second in a Timestamp or
+// Duration: 0, 3, 6 or 9 digits.
+protoviewer.format_nanos = function(nanos) {
+    if (nanos == 0) {
+        return "";
+    }
+    var digits = ("000000000" + nanos).slice(-9);
+    while (digits.length > 3 && /000$/.test(digits)) {
+        digits = digits.substr(0, digits.length - 3);
+    }
+    return "." + digits;
+};
+
+// Formats a Timestamp like 1972-01-01T10:00:20.021Z.  seconds is a
+// BigInt, Number or string.  Returns null if it isn't a valid Timestamp,
+// from 0001-01-01 to 9999-12-31, with nanos from 0 to 999999999.
+protoviewer.format_timestamp = function(seconds, nanos) {
+    if (!(Number(seconds) >= -62135596800 && Number(seconds) <= 253402300799) ||
+            !(nanos >= 0 && nanos <= 999999999)) {
+        return null;
+    }
+    var date = new Date(Number(seconds) * 1000);
+    return date.toISOString().replace(/\.[0-9]+Z$/, "") +
+        protoviewer.format_nanos(nanos) + "Z";
+};
+
+// Parses a Timestamp like 1972-01-01T10:00:20.021Z or with an offset
+// like +01:00.  Returns {seconds, nanos} or null if it isn't valid.
+protoviewer.parse_timestamp = function(text) {
+    var match = /^([0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2})(\.[0-9]{1,9})?(Z|[+-][0-9]{2}:[0-9]{2})$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    var millis = Date.parse(match[1] + match[3]);
+    if (isNaN(millis)) {
+        return null;
+    }
+    return {
+        seconds: Math.floor(millis / 1000),
+        nanos: match[2] ? Number((match[2].substr(1) + "00000000").substr(0, 9)) : 0,
+    };
+};
+
+// Formats a Duration like 1.5s or -0.000001s.  Returns null if it isn't a
+// valid Duration: seconds and nanos can't have different signs, and it's
+// at most 10000 years either way.
+protoviewer.format_duration = function(seconds, nanos) {
+    if (!(Math.abs(Number(seconds)) <= 315576000000 && Math.abs(nanos) <= 999999999) ||
+            (seconds < 0 && nanos > 0) || (seconds > 0 && nanos < 0)) {
+        return null;
+    }
+    var negative = seconds < 0 || nanos < 0;
+    var abs_seconds = String(seconds).replace(/^-/, "");
+    return (negative ? "-" : "") + abs_seconds +
+        protoviewer.format_nanos(Math.abs(nanos)) + "s";
+};
+
+// Parses a Duration like 1.5s.  Returns {seconds, nanos} (with seconds
+// as a string, since it may not fit in a Number) or null.
+protoviewer.parse_duration = function(text) {
+    var match = /^(-?)([0-9]+)(\.[0-9]{1,9})?s$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    var nanos = match[3] ? Number((match[3].substr(1) + "00000000").substr(0, 9)) : 0;
+    return {
+        seconds: (match[1] && match[2] != "0" ? "-" : "") + match[2],
+        nanos: match[1] ? -nanos : nanos,
+    };
+};
+
+// Converts a proto to a javascript object following the JSON mapping.
+// type_name is the full name of the message type (by default,
+// default_message_type), if there is a schema.  Returns the usual
+// {value, position, error}, where error is the first problem found.
+// Fields that can't be converted are left out.
+protoviewer.to_json = function(proto, schema, type_name) {
+    var result = {value: null, position: 0, error: null};
+    var errors = [];
+    if (!schema) {
+        result.value = protoviewer.guess_json(proto);
+        return result;
+    }
+    if (!type_name) {
+        type_name = protoviewer.default_message_type(schema);
+    }
+    var message = schema.messages[type_name];
+    if (!message) {
+        result.error = "Unknown message type: " + type_name;
+        return result;
+    }
+    result.value = protoviewer.message_to_json(proto, schema, message, "", errors);
+    if (errors.length > 0) {
+        result.error = errors[0];
+    }
+    return result;
+};
+
+// Without a schema, guess at the JSON for each value from how it's
+// spelled.  Fields with one value aren't made into lists.
+protoviewer.guess_json = function(proto) {
+    var guess = function(value) {
+        if (protoviewer.is_array(value)) {
+            return value.map(guess);
+        } else if (protoviewer.is_object(value)) {
+            return protoviewer.guess_json(value);
+        } else if (protoviewer.is_quoted(value)) {
+            return protoviewer.unquote_string(value);
+        } else if (value == "true" || value == "false") {
+            return value == "true";
+        } else if (/^-?(nan|inf|infinity)$/i.test(value)) {
+            return /nan/i.test(value) ? "NaN" : value.charAt(0) == "-" ? "-Infinity" : "Infinity";
+        }
+        var integer = protoviewer.parse_integer(value);
+        if (integer !== null) {
+            var is_safe = integer <= BigInt(Number.MAX_SAFE_INTEGER) &&
+                integer >= BigInt(-Number.MAX_SAFE_INTEGER);
+            return is_safe ? Number(integer) : String(integer);
+        }
+        if (/^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?[fF]?$/.test(value)) {
+            return parseFloat(value);
+        }
+        return value;
+    };
+    var json = {};
+    for (var name in proto) {
+        var key = /^\[/.test(name) ? name : protoviewer.to_json_name(name);
+        var values = proto[name].map(guess);
+        json[key] = values.length == 1 ? values[0] : values;
+    }
+    return json;
+};
+
+protoviewer.message_to_json = function(proto, schema, message, path, errors) {
+    var special = protoviewer.well_known_to_json(proto, schema, message, path, errors);
+    if (protoviewer.is_defined(special)) {
+        return special;
+    }
+    return protoviewer.fields_to_json(proto, schema, message, path, errors);
+};
+
+// The JSON for a message, without any special form for well-known types
+protoviewer.fields_to_json = function(proto, schema, message, path, errors) {
+    var json = {};
+    for (var name in proto) {
+        var field_path = path ? path + "." + name : name;
+        var field = protoviewer.find_field(schema, message, name);
+        if (!field) {
+            errors.push(field_path + ": Unknown field " + name + " in " + message.full_name);
+            continue;
+        }
+        var values = [];
+        for (var ii = 0; ii < proto[name].length; ii++) {
+            values = values.concat(proto[name][ii]);
+        }
+        var key = field.extendee ? "[" + protoviewer.join_name(field.scope, field.name) + "]" : field.json_name;
+        var entry_type = field.type == "message" ? schema.messages[field.type_name] : null;
+        if (entry_type && entry_type.map_entry) {
+            json[key] = {};
+            for (ii = 0; ii < values.length; ii++) {
+                var entry_key = protoviewer.first_value(values[ii], "key");
+                var entry_value = protoviewer.first_value(values[ii], "value");
+                var map_key = protoviewer.is_defined(entry_key) ?
+                    protoviewer.value_to_json(entry_key, entry_type.by_name.key, schema, field_path, errors) : "";
+                json[key][map_key] = protoviewer.is_defined(entry_value) ?
+                    protoviewer.value_to_json(entry_value, entry_type.by_name.value, schema, field_path, errors) :
+                    protoviewer.default_json_value(entry_type.by_name.value, schema);
+            }
+        } else if (field.label == "repeated") {
+            json[key] = values.map(function(value) {
+                return protoviewer.value_to_json(value, field, schema, field_path, errors);
+            });
+        } else {
+            json[key] = protoviewer.value_to_json(values[values.length - 1], field, schema, field_path, errors);
+        }
+    }
+    return json;
+};
+
+// The JSON for a field that isn't set, where a value is needed anyway
+// (like the value of a map entry or a wrapper).
+protoviewer.default_json_value = function(field, schema) {
+    if (field.type == "message") {
+        return {};
+    } else if (field.type == "enum") {
+        return schema.enums[field.type_name].by_number[0] || 0;
+    } else if (field.type == "bool") {
+        return false;
+    } else if (field.type == "string" || field.type == "bytes") {
+        return "";
+    } else if (/64$/.test(field.type)) {
+        return "0";
+    }
+    return 0;
+};
+
+protoviewer.value_to_json = function(value, field, schema, path, errors) {
+    if (field.type == "message" || field.type == "group") {
+        if (!protoviewer.is_sub_proto(value)) {
+            errors.push(path + ": Expected a message but found " + value);
+            return null;
+        }
+        return protoviewer.message_to_json(value, schema, schema.messages[field.type_name], path, errors);
+    }
+    if (protoviewer.is_object(value)) {
+        errors.push(path + ": Expected a " + field.type + " but found a message");
+        return null;
+    }
+    var typed = protoviewer.parse_typed_value(value, field, schema);
+    if (typed.error) {
+        errors.push(path + ": " + typed.error);
+        return null;
+    }
+    if (field.type == "enum" && field.type_name == "google.protobuf.NullValue") {
+        return null;
+    } else if (typeof typed.value === "bigint") {
+        return String(typed.value);
+    } else if (typeof typed.value === "number" && !isFinite(typed.value)) {
+        return isNaN(typed.value) ? "NaN" : typed.value > 0 ? "Infinity" : "-Infinity";
+    } else if (field.type == "bytes") {
+        return protoviewer.format_bytes(protoviewer.unquote_bytes(value), "base64");
+    }
+    return typed.value;
+};
+
+// Returns the JSON for the well-known types that have a special form,
+// or undefined for any other type.
+protoviewer.well_known_to_json = function(proto, schema, message, path, errors) {
+    var type_name = message.full_name;
+    if (!protoviewer.is_well_known_type(type_name)) {
+        return undefined;
+    }
+    // the value of a field, as a javascript value
+    var get = function(name) {
+        var value = protoviewer.first_value(proto, name);
+        var field = message.by_name[name];
+        if (!protoviewer.is_defined(value)) {
+            return protoviewer.default_json_value(field, schema);
+        }
+        return protoviewer.value_to_json(value, field, schema, path + "." + name, errors);
+    };
+    if (type_name == "google.protobuf.Any") {
+        return protoviewer.any_to_json(proto, schema, path, errors);
+    } else if (type_name == "google.protobuf.Timestamp") {
+        var timestamp = protoviewer.format_timestamp(get("seconds"), get("nanos"));
+        if (timestamp === null) {
+            errors.push(path + ": Invalid timestamp");
+        }
+        return timestamp;
+    } else if (type_name == "google.protobuf.Duration") {
+        var duration = protoviewer.format_duration(get("seconds"), get("nanos"));
+        if (duration === null) {
+            errors.push(path + ": Invalid duration");
+        }
+        return duration;
+    } else if (protoviewer.WRAPPER_TYPES.indexOf(type_name) >= 0) {
+        return get("value");
+    } else if (type_name == "google.protobuf.FieldMask") {
+        return (proto.paths || []).map(function(field_path) {
+            return protoviewer.unquote_string(field_path).split(".").map(
+                protoviewer.to_json_name).join(".");
+        }).join(",");
+    } else if (type_name == "google.protobuf.Struct") {
+        return protoviewer.fields_to_json(proto, schema, message, path, errors).fields || {};
+    } else if (type_name == "google.protobuf.ListValue") {
+        return protoviewer.fields_to_json(proto, schema, message, path, errors).values || [];
+    } else if (type_name == "google.protobuf.Value") {
+        for (var name in proto) {
+            return get(name);
+        }
+        return null;
+    }
+    return undefined;
+};
+
+// An Any is written as its message, with an "@type" field for the type
+// url.  Well-known types that have a special form are put in a "value"
+// field.
+protoviewer.any_to_json = function(proto, schema, path, errors) {
+    var type_url, sub, sub_type;
+    for (var name in proto) {
+        var match = /^\[(.*\/(.*))\]$/.exec(name);
+        if (match) {
+            type_url = match[1];
+            sub_type = schema.messages[match[2]];
+            sub = proto[name][0];
+        }
+    }
+    if (!type_url && "type_url" in proto) {
+        type_url = protoviewer.unquote_string(protoviewer.first_value(proto, "type_url"));
+        sub_type = schema.messages[type_url.split("/").pop()];
+        if (sub_type) {
+            var decoded = protoviewer.decode_proto(
+                protoviewer.unquote_bytes(protoviewer.first_value(proto, "value") || '""'),
+                schema, sub_type.full_name);
+            if (decoded.error) {
+                errors.push(path + ": Can't decode Any value: " + decoded.error);
+            }
+            sub = decoded.value;
+        }
+    }
+    if (!type_url) {
+        return {};
+    }
+    if (!sub_type || !protoviewer.is_sub_proto(sub)) {
+        errors.push(path + ": Unknown type in Any: " + type_url);
+        return {"@type": type_url};
+    }
+    var value = protoviewer.message_to_json(sub, schema, sub_type, path, errors);
+    var json = {"@type": type_url};
+    if (protoviewer.is_well_known_type(sub_type.full_name) &&
+            sub_type.full_name != "google.protobuf.Empty") {
+        json.value = value;
+    } else {
+        for (var key in value) {
+            json[key] = value[key];
+        }
+    }
+    return json;
+};
+
+// Converts a javascript object in the JSON mapping to a proto.  If there
+// is no schema, field names are kept as is and each value is spelled the
+// way it looks.  Returns the usual {value, position, error}.
+protoviewer.from_json = function(json, schema, type_name) {
+    var result = {value: {}, position: 0, error: null};
+    var errors = [];
+    if (!protoviewer.is_sub_proto(json)) {
+        result.error = "Expected a JSON object";
+        return result;
+    }
+    if (!schema) {
+        result.value = protoviewer.guess_from_json(json);
+        return result;
+    }
+    if (!type_name) {
+        type_name = protoviewer.default_message_type(schema);
+    }
+    var message = schema.messages[type_name];
+    if (!message) {
+        result.error = "Unknown message type: " + type_name;
+        return result;
+    }
+    result.value = protoviewer.message_from_json(json, schema, message, "", errors);
+    if (errors.length > 0) {
+        result.error = errors[0];
+    }
+    return result;
+};
+
+protoviewer.guess_from_json = function(json) {
+    var proto = {};
+    var add = function(name, value) {
+        if (value === null) {
+            return;
+        } else if (protoviewer.is_array(value)) {
+            for (var ii = 0; ii < value.length; ii++) {
+                add(name, value[ii]);
+            }
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(proto, name)) {
+            proto[name] = [];
+        }
+        if (protoviewer.is_object(value)) {
+            proto[name].push(protoviewer.guess_from_json(value));
+        } else if (protoviewer.is_string(value)) {
+            proto[name].push(protoviewer.quote_string(value));
+        } else {
+            proto[name].push(String(value));
+        }
+    };
+    for (var name in json) {
+        add(name, json[name]);
+    }
+    return proto;
+};
+
+protoviewer.message_from_json = function(json, schema, message, path, errors) {
+    var special = protoviewer.well_known_from_json(json, schema, message, path, errors);
+    if (protoviewer.is_defined(special)) {
+        return special;
+    }
+    return protoviewer.fields_from_json(json, schema, message, path, errors);
+};
+
+// The proto for a JSON object, without any special form for well-known
+// types
+protoviewer.fields_from_json = function(json, schema, message, path, errors) {
+    var proto = {};
+    if (!protoviewer.is_sub_proto(json)) {
+        errors.push(path + ": Expected an object for " + message.full_name);
+        return proto;
+    }
+    var by_json_name = {};
+    for (var ii = 0; ii < message.fields.length; ii++) {
+        by_json_name[message.fields[ii].json_name] = message.fields[ii];
+    }
+    for (var key in json) {
+        var field_path = path ? path + "." + key : key;
+        var field = Object.prototype.hasOwnProperty.call(by_json_name, key) ?
+            by_json_name[key] : protoviewer.find_field(schema, message, key);
+        if (!field) {
+            errors.push(field_path + ": Unknown field " + key + " in " + message.full_name);
+            continue;
+        }
+        var name = field.type == "group" ? field.type_name.split(".").pop() : field.name;
+        if (field.extendee) {
+            name = key;
+        }
+        var value = json[key];
+        var entry_type = field.type == "message" ? schema.messages[field.type_name] : null;
+        var values;
+        if (value === null && field.type_name != "google.protobuf.Value") {
+            // null means the field isn't set
+            continue;
+        } else if (entry_type && entry_type.map_entry) {
+            if (!protoviewer.is_sub_proto(value)) {
+                errors.push(field_path + ": Expected an object for map field " + field.name);
+                continue;
+            }
+            values = [];
+            for (var map_key in value) {
+                var key_field = entry_type.by_name.key;
+                var key_text = protoviewer.is_string(map_key) && key_field.type == "string" ?
+                    protoviewer.quote_string(map_key) : map_key;
+                values.push({
+                    key: [key_text],
+                    value: [protoviewer.value_from_json(
+                        value[map_key], entry_type.by_name.value, schema,
+                        field_path + "." + map_key, errors)],
+                });
+            }
+        } else if (field.label == "repeated") {
+            if (!protoviewer.is_array(value)) {
+                errors.push(field_path + ": Expected a list for repeated field " + field.name);
+                continue;
+            }
+            values = value.map(function(item, index) {
+                return protoviewer.value_from_json(
+                    item, field, schema, field_path + "[" + index + "]", errors);
+            });
+        } else {
+            values = [protoviewer.value_from_json(value, field, schema, field_path, errors)];
+        }
+        values = values.filter(protoviewer.is_defined);
+        if (values.length > 0) {
+            proto[name] = values;
+        }
+    }
+    return proto;
+};
+
+// Converts one JSON value to the spelling of a proto value, or returns
+// undefined (and adds an error) if it can't be converted.
+protoviewer.value_from_json = function(value, field, schema, path, errors) {
+    if (field.type == "message" || field.type == "group") {
+        return protoviewer.message_from_json(value, schema, schema.messages[field.type_name], path, errors);
+    }
+    var text;
+    if (field.type == "enum" && field.type_name == "google.protobuf.NullValue") {
+        text = "NULL_VALUE";
+    } else if (field.type == "string") {
+        text = protoviewer.is_string(value) ? protoviewer.quote_string(value) : undefined;
+    } else if (field.type == "bytes") {
+        var bytes = protoviewer.is_string(value) ? protoviewer.parse_bytes(value, "base64") : null;
+        text = bytes && !bytes.error ? protoviewer.quote_bytes(bytes.value, false) : undefined;
+    } else if (field.type == "bool") {
+        text = value === true || value === false ? String(value) : undefined;
+    } else if (field.type == "float" || field.type == "double") {
+        var specials = {"NaN": "nan", "Infinity": "inf", "-Infinity": "-inf"};
+        if (value in specials) {
+            text = specials[value];
+        } else if (typeof value === "number" ||
+                   (protoviewer.is_string(value) && value.trim() !== "" && !isNaN(Number(value)))) {
+            text = String(Number(value));
+        }
+    } else if (field.type == "enum") {
+        text = protoviewer.is_string(value) ? value : String(value);
+    } else if (typeof value === "number" && Number.isInteger(value)) {
+        text = String(value);
+    } else if (protoviewer.is_string(value) && /^-?[0-9]+$/.test(value)) {
+        text = value;
+    }
+    if (!protoviewer.is_defined(text)) {
+        errors.push(path + ": Invalid value for " + field.type + ": " + JSON.stringify(value));
+        return undefined;
+    }
+    // make sure it's valid, like an enum name that exists or an int in range
+    var typed = protoviewer.parse_typed_value(text, field, schema);
+    if (typed.error) {
+        errors.push(path + ": " + typed.error);
+        return undefined;
+    }
+    return text;
+};
+
+// The reverse of well_known_to_json: returns the proto for the
+// well-known types that have a special form, or undefined for any
+// other type.
+protoviewer.well_known_from_json = function(json, schema, message, path, errors) {
+    var type_name = message.full_name;
+    if (!protoviewer.is_well_known_type(type_name)) {
+        return undefined;
+    }
+    var field = function(name) {
+        return message.by_name[name];
+    };
+    var from = function(name, value) {
+        var proto = {};
+        var text = protoviewer.value_from_json(value, field(name), schema, path, errors);
+        if (protoviewer.is_defined(text)) {
+            proto[name] = [text];
+        }
+        return proto;
+    };
+    if (type_name == "google.protobuf.Any") {
+        return protoviewer.any_from_json(json, schema, path, errors);
+    } else if (type_name == "google.protobuf.Timestamp" || type_name == "google.protobuf.Duration") {
+        var time = null;
+        if (protoviewer.is_string(json)) {
+            time = type_name == "google.protobuf.Timestamp" ?
+                protoviewer.parse_timestamp(json) : protoviewer.parse_duration(json);
+        }
+        if (time === null) {
+            errors.push(path + ": Invalid " + message.name + ": " + JSON.stringify(json));
+            return {};
+        }
+        var proto = {seconds: [String(time.seconds)]};
+        if (time.nanos != 0) {
+            proto.nanos = [String(time.nanos)];
+        }
+        return proto;
+    } else if (protoviewer.WRAPPER_TYPES.indexOf(type_name) >= 0) {
+        return from("value", json);
+    } else if (type_name == "google.protobuf.FieldMask") {
+        if (!protoviewer.is_string(json)) {
+            errors.push(path + ": Invalid FieldMask: " + JSON.stringify(json));
+            return {};
+        }
+        var paths = json ? json.split(",") : [];
+        return {paths: paths.map(function(field_path) {
+            return protoviewer.quote_string(field_path.replace(/[A-Z]/g, function(ch) {
+                return "_" + ch.toLowerCase();
+            }));
+        })};
+    } else if (type_name == "google.protobuf.Struct") {
+        return protoviewer.fields_from_json({fields: json}, schema, message, path, errors);
+    } else if (type_name == "google.protobuf.ListValue") {
+        return protoviewer.fields_from_json({values: json}, schema, message, path, errors);
+    } else if (type_name == "google.protobuf.Value") {
+        if (json === null) {
+            return {null_value: ["NULL_VALUE"]};
+        } else if (typeof json === "number") {
+            return from("number_value", json);
+        } else if (protoviewer.is_string(json)) {
+            return from("string_value", json);
+        } else if (typeof json === "boolean") {
+            return from("bool_value", json);
+        } else if (protoviewer.is_array(json)) {
+            return from("list_value", json);
+        }
+        return from("struct_value", json);
+    }
+    return undefined;
+};
+
+protoviewer.any_from_json = function(json, schema, path, errors) {
+    if (!protoviewer.is_sub_proto(json) || !protoviewer.is_string(json["@type"])) {
+        errors.push(path + ": Expected an object with an @type for Any");
+        return {};
+    }
+    var type_url = json["@type"];
+    var sub_type = schema.messages[type_url.split("/").pop()];
+    if (!sub_type) {
+        errors.push(path + ": Unknown type in Any: " + type_url);
+        return {};
+    }
+    var value;
+    if (protoviewer.is_well_known_type(sub_type.full_name) &&
+            sub_type.full_name != "google.protobuf.Empty") {
+        value = json.value;
+    } else {
+        value = {};
+        for (var key in json) {
+            if (key != "@type") {
+                value[key] = json[key];
+            }
+        }
+    }
+    var proto = {};
+    proto["[" + type_url + "]"] = [protoviewer.message_from_json(value, schema, sub_type, path, errors)];
+    return proto;
+};
+
+// The schema for the well-known types, made the first time it's needed
+protoviewer.WELL_KNOWN_SCHEMA = null;
+
+// The type url of the expanded form of Any, [type.googleapis.com/pkg.Type],
+// or null if name isn't one.
+protoviewer.any_type_url = function(name) {
+    var match = /^\[(.*\/.*)\]$/.exec(name);
+    return match ? match[1] : null;
+};
+
+// If an Any is in its expanded form, returns {type_url, name, value},
+// where value is the message it holds.  Otherwise returns null.
+protoviewer.any_payload = function(proto) {
+    var names = Object.keys(proto);
+    if (names.length != 1 || proto[names[0]].length != 1 ||
+            !protoviewer.is_sub_proto(proto[names[0]][0])) {
+        return null;
+    }
+    var type_url = protoviewer.any_type_url(names[0]);
+    if (!type_url) {
+        return null;
+    }
+    return {type_url: type_url, name: names[0], value: proto[names[0]][0]};
+};
+
+// The message type of a field's value: from its type info (see
+// check_proto) if there is any, or else from the type url if it's the
+// expanded form of Any.  Returns null if we can't tell.
+protoviewer.message_type_name = function(name, value_info) {
+    if (value_info && value_info.type_name) {
+        return value_info.type_name;
+    }
+    var type_url = protoviewer.any_type_url(name);
+    return type_url ? type_url.split("/").pop() : null;
+};
+
+// Describes a Duration like 1h 2m 3.5s
+protoviewer.describe_duration = function(seconds, nanos) {
+    var negative = seconds < 0 || nanos < 0;
+    var abs_seconds = BigInt(String(seconds).replace(/^-/, ""));
+    var parts = [];
+    var units = [["d", 86400], ["h", 3600], ["m", 60]];
+    for (var ii = 0; ii < units.length; ii++) {
+        var unit = BigInt(units[ii][1]);
+        if (abs_seconds >= unit) {
+            parts.push(abs_seconds / unit + units[ii][0]);
+            abs_seconds %= unit;
+        }
+    }
+    if (abs_seconds > BigInt(0) || nanos != 0 || parts.length == 0) {
+        parts.push(abs_seconds + protoviewer.format_nanos(Math.abs(nanos)) + "s");
+    }
+    return (negative ? "-" : "") + parts.join(" ");
+};
+
+// Describes a value of a well-known type the way people write it: a
+// Timestamp as a date, a Duration like 1h 2m, a wrapper as the value it
+// wraps, a FieldMask as its paths and a Struct, ListValue or Value as
+// JSON.  Returns null for any other type, or if the value isn't valid.
+protoviewer.describe_well_known = function(proto, type_name) {
+    if (!type_name || !protoviewer.is_well_known_type(type_name) ||
+            type_name == "google.protobuf.Any" || type_name == "google.protobuf.Empty") {
+        return null;
+    }
+    if (!protoviewer.WELL_KNOWN_SCHEMA) {
+        protoviewer.WELL_KNOWN_SCHEMA = protoviewer.make_schema();
+    }
+    var json = protoviewer.to_json(proto, protoviewer.WELL_KNOWN_SCHEMA, type_name);
+    if (json.error || !protoviewer.is_defined(json.value)) {
+        return null;
+    }
+    if (type_name == "google.protobuf.Timestamp") {
+        return json.value.replace("T", " ").replace(/Z$/, " UTC");
+    } else if (type_name == "google.protobuf.Duration") {
+        var duration = protoviewer.parse_duration(json.value);
+        return protoviewer.describe_duration(duration.seconds, duration.nanos);
+    } else if (protoviewer.WRAPPER_TYPES.indexOf(type_name) >= 0) {
+        // as it's written in the proto, so a StringValue is still quoted
+        var value = protoviewer.first_value(proto, "value");
+        if (protoviewer.is_defined(value)) {
+            return String(value);
+        }
+        return json.value === "" ? '""' : String(json.value);
+    } else if (type_name == "google.protobuf.FieldMask") {
+        return json.value;
+    }
+    return JSON.stringify(json.value);
+};
+
+// ------------------------------------------------------------------ //
+// Diffs
+//
+// diff_proto compares two protos.  Repeated fields are matched up by
+// index, or by the value of a key field in each sub proto, so that
+// inserting an item in the middle of a list doesn't make every item
+// after it look changed.
+
+// Parses the key fields to match repeated fields by, written like
+// "items=name, users=id, key", where a name without a field (key, here)
+// is used for every other repeated field.  Returns {fields: { field
+// names to key names }, default_key}.
+protoviewer.parse_diff_keys = function(text) {
+    var keys = {fields: {}, default_key: null};
+    var parts = (text || "").split(",");
+    for (var ii = 0; ii < parts.length; ii++) {
+        var part = parts[ii].trim();
+        if (!part) {
+            continue;
+        }
+        var equals = part.indexOf("=");
+        if (equals < 0) {
+            keys.default_key = part;
+        } else {
+            keys.fields[part.substr(0, equals).trim()] = part.substr(equals + 1).trim();
+        }
+    }
+    return keys;
+};
+
+// Compares the left (old) and right (new) protos.  keys are from
+// parse_diff_keys (by default, everything is matched by index).
+// Returns an object with:
+// {
+//     value:
+//         the merged proto, which has every value of both protos.  For
+//         changed values, it has the new one.
+//     info:
+//         the DiffInfo for the merged proto, which has the same shape:
+//         DiffInfo = status ("same", "changed", "added" or "removed"),
+//                    old_value (for changed values that aren't messages),
+//                    values: { names to { values: [ DiffInfo ] } }
+//     counts:
+//         the number of values added, removed and changed, not
+//         counting messages that only changed because a field in them
+//         did: {added, removed, changed}
+// }
+protoviewer.diff_proto = function(left, right, keys) {
+    var counts = {added: 0, removed: 0, changed: 0};
+    var diff = protoviewer.diff_message(left, right, keys || protoviewer.parse_diff_keys(""), counts);
+    return {value: diff.value, info: diff.info, counts: counts};
+};
+
+protoviewer.diff_message = function(left, right, keys, counts) {
+    var merged = {};
+    var info = {status: "same", values: {}};
+    var names = Object.keys(left);
+    for (var name in right) {
+        if (!(name in left)) {
+            names.push(name);
+        }
+    }
+    for (var ii = 0; ii < names.length; ii++) {
+        name = names[ii];
+        var pairs = protoviewer.match_values(
+            left[name] || [], right[name] || [],
+            name in keys.fields ? keys.fields[name] : keys.default_key);
+        merged[name] = [];
+        info.values[name] = {values: []};
+        for (var jj = 0; jj < pairs.length; jj++) {
+            var value = protoviewer.diff_value(pairs[jj][0], pairs[jj][1], keys, counts);
+            merged[name].push(value.value);
+            info.values[name].values.push(value.info);
+            if (value.info.status != "same") {
+                info.status = "changed";
+            }
+        }
+    }
+    return {value: merged, info: info};
+};
+
+// Pairs up the values of a field in the left and right protos.  Returns
+// a list of [left value, right value], where one is undefined if the
+// value was added or removed.
+protoviewer.match_values = function(left, right, key) {
+    var pairs = [];
+    var get_key = function(value) {
+        var key_value = protoviewer.first_value(value, key);
+        return protoviewer.is_sub_proto(key_value) ? undefined : key_value;
+    };
+    var has_keys = key && left.concat(right).every(function(value) {
+        return protoviewer.is_defined(get_key(value));
+    });
+    if (!has_keys) {
+        for (var ii = 0; ii < Math.max(left.length, right.length); ii++) {
+            pairs.push([left[ii], right[ii]]);
+        }
+        return pairs;
+    }
+    var used = [];
+    for (ii = 0; ii < left.length; ii++) {
+        var match = -1;
+        for (var jj = 0; jj < right.length; jj++) {
+            if (!used[jj] && get_key(right[jj]) == get_key(left[ii])) {
+                match = jj;
+                break;
+            }
+        }
+        if (match >= 0) {
+            used[match] = true;
+            pairs.push([left[ii], right[match]]);
+        } else {
+            pairs.push([left[ii], undefined]);
+        }
+    }
+    for (jj = 0; jj < right.length; jj++) {
+        if (!used[jj]) {
+            pairs.push([undefined, right[jj]]);
+        }
+    }
+    return pairs;
+};
+
+protoviewer.diff_value = function(left, right, keys, counts) {
+    if (!protoviewer.is_defined(left)) {
+        counts.added++;
+        return {value: right, info: {status: "added"}};
+    } else if (!protoviewer.is_defined(right)) {
+        counts.removed++;
+        return {value: left, info: {status: "removed"}};
+    } else if (protoviewer.is_sub_proto(left) && protoviewer.is_sub_proto(right)) {
+        return protoviewer.diff_message(left, right, keys, counts);
+    } else if (protoviewer.same_value(left, right)) {
+        return {value: right, info: {status: "same"}};
+    }
+    counts.changed++;
+    return {value: right, info: {status: "changed", old_value: left}};
+};
+
+// The values that a diff (from diff_proto) marks as added, removed or
+// changed, in order, as a list of {path, status}, where path is a list
+// of {name, index}.  A message that only changed because a field in it
+// did isn't listed, but the field is.
+protoviewer.diff_paths = function(info, path) {
+    var paths = [];
+    for (var name in info.values) {
+        info.values[name].values.forEach(function(value_info, ii) {
+            var value_path = (path || []).concat([{name: name, index: ii}]);
+            if (value_info.values) {
+                paths = paths.concat(protoviewer.diff_paths(value_info, value_path));
+            } else if (value_info.status != "same") {
+                paths.push({path: value_path, status: value_info.status});
+            }
+        });
+    }
+    return paths;
+};
+
+// Lists the differences as text, one per line, like:
+//   + b.c: 4
+//   - q[1] { r: 3 }
+//   ~ u: vwx -> xyz
+protoviewer.format_diff = function(merged, info, path) {
+    var lines = [];
+    var text = function(value) {
+        if (protoviewer.is_sub_proto(value)) {
+            return "{ " + protoviewer.format(value, true) + "}";
+        } else if (protoviewer.is_array(value)) {
+            return "[ " + value.join(", ") + " ]";
+        }
+        return value;
+    };
+    var show = function(value) {
+        return (protoviewer.is_sub_proto(value) ? " " : ": ") + text(value);
+    };
+    for (var name in merged) {
+        for (var ii = 0; ii < merged[name].length; ii++) {
+            var value = merged[name][ii];
+            var value_info = info.values[name].values[ii];
+            var value_path = protoviewer.field_path(path, name, ii, merged[name].length);
+            if (value_info.status == "added") {
+                lines.push("+ " + value_path + show(value));
+            } else if (value_info.status == "removed") {
+                lines.push("- " + value_path + show(value));
+            } else if (value_info.status == "changed" && value_info.values) {
+                lines = lines.concat(protoviewer.format_diff(value, value_info, value_path));
+            } else if (value_info.status == "changed") {
+                lines.push("~ " + value_path + show(value_info.old_value) +
+                           " -> " + text(value));
+            }
+        }
+    }
+    return lines;
+};
+
+// ------------------------------------------------------------------ //
+// Queries
+//
+// A query picks out values in a proto by their path, like:
+//   b.[f/g/hi].jk           jk in the [f/g/hi] extension in b
+//   q.*.r > 2               r in any field of q, if it's more than 2
+//   items[*].name == "x"    the names of the items that are "x"
+//   items[1]                the second of the items
+//   items[name == "x"].id   the ids of the items whose name is "x"
+//   items[!error && size >= 10]
+//   **.status               status at any depth
+//   **.* == @default        anything that has its default value
+// Values are compared like same_value does for == and !=, so 0x10 == 16,
+// and numbers (or else strings) are compared by what they stand for for
+// the others.  A list value matches if any of its items do.  @default
+// stands for zero, false, an empty string or an empty list (we don't
+// know the real default without a schema).
+//
+// A query looks like:
+//   Query = path: [ Step ], comparison: { op, value, is_default } or null
+//   Step = name: a field name, "*" or "**",
+//          selectors: [ {index} or {any: true} or {predicate} ]
+//   Predicate = op: "or" or "and", left, right
+//               op: "not", operand
+//               op: "test", path: [ Step ], comparison
+
+// Parses a query.  This returns a result like the parse_ functions for
+// protos, with the Query as the value.
+protoviewer.parse_query = function(text) {
+    var result = protoviewer.parse_query_test(text, 0);
+    if (result.error) {
+        return result;
+    }
+    result.value = {path: result.value.path, comparison: result.value.comparison};
+    if (result.position < text.length) {
+        protoviewer.set_parse_error(result, text, result.position, "the end of the query");
+    }
+    return result;
+};
+
+// A path, followed by a comparison if there is one
+protoviewer.parse_query_test = function(text, ii) {
+    var path = protoviewer.parse_query_path(text, ii);
+    if (path.error) {
+        return path;
+    }
+    var comparison = protoviewer.parse_query_comparison(text, path.position);
+    if (comparison.error) {
+        return comparison;
+    }
+    return {
+        value: {op: "test", path: path.value, comparison: comparison.value},
+        position: comparison.position,
+        error: null,
+    };
+};
+
+protoviewer.parse_query_path = function(text, ii) {
+    var result = {value: [], position: ii, error: null};
+    while (true) {
+        ii = protoviewer.consume_whitespace(text, ii);
+        var step = protoviewer.parse_query_step(text, ii);
+        if (step.error) {
+            return step;
+        }
+        result.value.push(step.value);
+        ii = protoviewer.consume_whitespace(text, step.position);
+        if (text.charAt(ii) != ".") {
+            break;
+        }
+        ii++;
+    }
+    result.position = ii;
+    return result;
+};
+
+protoviewer.parse_query_step = function(text, ii) {
+    var result = {value: {name: null, selectors: []}, position: ii, error: null};
+    if (text.substr(ii, 2) == "**") {
+        result.value.name = "**";
+        result.position = ii + 2;
+        return result;
+    } else if (text.charAt(ii) == "*") {
+        result.value.name = "*";
+        ii++;
+    } else if (text.charAt(ii) == "[") {
+        // an extension, or an Any: [pkg.ext] or [type.googleapis.com/pkg.Type]
+        var end = text.indexOf("]", ii);
+        if (end < 0) {
+            return protoviewer.set_parse_error(
+                result, text, text.length, "']' to end the extension name");
+        }
+        result.value.name = text.substring(ii, end + 1);
+        ii = end + 1;
+    } else {
+        var name = protoviewer.consume_regexp(text, ii, /\w/);
+        if (!name.value) {
+            return protoviewer.set_parse_error(result, text, ii, "a field name");
+        }
+        result.value.name = name.value;
+        ii = name.position;
+    }
+    while (text.charAt(ii) == "[") {
+        ii = protoviewer.consume_whitespace(text, ii + 1);
+        var selector;
+        if (text.charAt(ii) == "*") {
+            selector = {any: true};
+            ii++;
+        } else if (/[0-9]/.test(text.charAt(ii))) {
+            var index = protoviewer.consume_regexp(text, ii, /[0-9]/);
+            selector = {index: Number(index.value)};
+            ii = index.position;
+        } else {
+            var predicate = protoviewer.parse_query_predicate(text, ii);
+            if (predicate.error) {
+                return predicate;
+            }
+            selector = {predicate: predicate.value};
+            ii = predicate.position;
+        }
+        ii = protoviewer.consume_whitespace(text, ii);
+        if (text.charAt(ii) != "]") {
+            return protoviewer.set_parse_error(result, text, ii, "']' to end the selector");
+        }
+        ii++;
+        result.value.selectors.push(selector);
+    }
+    result.position = ii;
+    return result;
+};
+
+// Predicates are tests joined with || and &&, where && comes first
+protoviewer.parse_query_predicate = function(text, ii) {
+    return protoviewer.parse_query_operator(text, ii, "||", "or", function(text, ii) {
+        return protoviewer.parse_query_operator(
+            text, ii, "&&", "and", protoviewer.parse_query_term);
+    });
+};
+
+protoviewer.parse_query_operator = function(text, ii, token, op, parse_operand) {
+    var left = parse_operand(text, ii);
+    while (!left.error) {
+        ii = protoviewer.consume_whitespace(text, left.position);
+        if (text.substr(ii, token.length) != token) {
+            break;
+        }
+        var right = parse_operand(text, ii + token.length);
+        if (right.error) {
+            return right;
+        }
+        left = {
+            value: {op: op, left: left.value, right: right.value},
+            position: right.position,
+            error: null,
+        };
+    }
+    return left;
+};
+
+protoviewer.parse_query_term = function(text, ii) {
+    ii = protoviewer.consume_whitespace(text, ii);
+    if (text.charAt(ii) == "!" && text.charAt(ii + 1) != "=") {
+        var operand = protoviewer.parse_query_term(text, ii + 1);
+        if (!operand.error) {
+            operand.value = {op: "not", operand: operand.value};
+        }
+        return operand;
+    } else if (text.charAt(ii) == "(") {
+        var result = protoviewer.parse_query_predicate(text, ii + 1);
+        if (result.error) {
+            return result;
+        }
+        ii = protoviewer.consume_whitespace(text, result.position);
+        if (text.charAt(ii) != ")") {
+            return protoviewer.set_parse_error(result, text, ii, "')'");
+        }
+        result.position = protoviewer.consume_whitespace(text, ii + 1);
+        return result;
+    }
+    return protoviewer.parse_query_test(text, ii);
+};
+
+// An operator and a TextFormat value to compare with, or nothing.  The
+// value is null if there's no comparison.
+protoviewer.parse_query_comparison = function(text, ii) {
+    ii = protoviewer.consume_whitespace(text, ii);
+    var op = /^(==|!=|<=|>=|<|>)/.exec(text.substr(ii, 2));
+    if (!op) {
+        return {value: null, position: ii, error: null};
+    }
+    ii = protoviewer.consume_whitespace(text, ii + op[1].length);
+    if (text.substr(ii, 8) == "@default" && !/\w/.test(text.charAt(ii + 8))) {
+        return {
+            value: {op: op[1], value: null, is_default: true},
+            position: protoviewer.consume_whitespace(text, ii + 8),
+            error: null,
+        };
+    }
+    var value = protoviewer.parse_token(text, ii);
+    if (value.error) {
+        return protoviewer.set_parse_error(value, text, ii, "a value to compare with");
+    }
+    return {
+        value: {op: op[1], value: value.value},
+        position: protoviewer.consume_whitespace(text, value.position),
+        error: null,
+    };
+};
+
+// Finds the values in a proto that a query (from parse_query) picks out,
+// in order.  Returns a list of {path, value}, where path is a list of
+// {name, index} that lead to the value.
+protoviewer.run_query = function(proto, query) {
+    return protoviewer.query_values(proto, query.path, []).filter(function(match) {
+        return !query.comparison || protoviewer.compare_query_value(match.value, query.comparison);
+    });
+};
+
+protoviewer.query_values = function(proto, steps, path) {
+    var step = steps[0];
+    var rest = steps.slice(1);
+    var matches = [];
+    if (!protoviewer.is_sub_proto(proto)) {
+        return matches;
+    }
+    if (step.name == "**" && rest.length > 0) {
+        // it can stand for no fields at all
+        matches = protoviewer.query_values(proto, rest, path);
+    }
+    protoviewer.entries(proto).forEach(function(entry) {
+        if (step.name != "**" && step.name != "*" && step.name != entry.name) {
+            return;
+        }
+        var is_selected = step.selectors.every(function(selector) {
+            if (protoviewer.is_defined(selector.index)) {
+                return entry.index == selector.index;
+            } else if (selector.predicate) {
+                return protoviewer.test_query_predicate(entry.value, selector.predicate);
+            }
+            return true;
+        });
+        if (!is_selected) {
+            return;
+        }
+        var value_path = path.concat([{name: entry.name, index: entry.index}]);
+        if (rest.length == 0) {
+            matches.push({path: value_path, value: entry.value});
+        }
+        if (step.name == "**") {
+            // or for one or more fields
+            matches = matches.concat(protoviewer.query_values(entry.value, steps, value_path));
+        } else if (rest.length > 0) {
+            matches = matches.concat(protoviewer.query_values(entry.value, rest, value_path));
+        }
+    });
+    return matches;
+};
+
+protoviewer.test_query_predicate = function(value, predicate) {
+    if (predicate.op == "or") {
+        return protoviewer.test_query_predicate(value, predicate.left) ||
+            protoviewer.test_query_predicate(value, predicate.right);
+    } else if (predicate.op == "and") {
+        return protoviewer.test_query_predicate(value, predicate.left) &&
+            protoviewer.test_query_predicate(value, predicate.right);
+    } else if (predicate.op == "not") {
+        return !protoviewer.test_query_predicate(value, predicate.operand);
+    }
+    return protoviewer.run_query(value, predicate).length > 0;
+};
+
+protoviewer.compare_query_value = function(value, comparison) {
+    if (comparison.is_default && (comparison.op == "==" || comparison.op == "!=")) {
+        return protoviewer.is_default_value(value) == (comparison.op == "==");
+    } else if (comparison.is_default) {
+        return false;
+    }
+    if (protoviewer.is_array(value)) {
+        return value.some(function(item) {
+            return protoviewer.compare_query_value(item, comparison);
+        });
+    } else if (protoviewer.is_object(value)) {
+        return false;
+    }
+    if (comparison.op == "==") {
+        return protoviewer.same_value(value, comparison.value);
+    } else if (comparison.op == "!=") {
+        return !protoviewer.same_value(value, comparison.value);
+    }
+    var left = protoviewer.decode_value(value);
+    var right = protoviewer.decode_value(comparison.value);
+    var is_number = function(x) {
+        return typeof x == "number" || typeof x == "bigint";
+    };
+    if (!(is_number(left) && is_number(right)) &&
+            !(typeof left == "string" && typeof right == "string")) {
+        return false;
+    }
+    return {
+        "<": left < right,
+        "<=": left <= right,
+        ">": left > right,
+        ">=": left >= right,
+    }[comparison.op];
+};
+
+// True if a value looks like the default for its field: zero, false, an
+// empty string or an empty list.  Messages never do.
+protoviewer.is_default_value = function(value) {
+    if (protoviewer.is_array(value)) {
+        return value.length == 0;
+    } else if (protoviewer.is_object(value)) {
+        return false;
+    }
+    var decoded = protoviewer.decode_value(value);
+    if (protoviewer.is_quoted(value)) {
+        return decoded === "";
+    } else if (typeof decoded == "number" || typeof decoded == "bigint") {
+        return decoded == 0;
+    }
+    return /^(false|False|f)$/.test(value);
+};
+
+// The path of a value in a proto, written as a query that picks out just
+// that value, like b[0].x[1]
+protoviewer.query_path = function(path) {
+    return path.map(function(step) {
+        return step.name + "[" + step.index + "]";
+    }).join(".");
+};
+
+// The part of a proto with just the values that a query matched (see
+// run_query), and the fields that they're in.
+protoviewer.slice_by_query = function(proto, matches) {
+    return protoviewer.slice_by_tree(proto, protoviewer.match_tree(matches), true);
+};
+
+// A proto without the values that a query matched (see run_query)
+protoviewer.remove_by_query = function(proto, matches) {
+    return protoviewer.slice_by_tree(proto, protoviewer.match_tree(matches), false);
+};
+
+// Puts the paths of the matches from run_query in a tree, where each
+// node is {is_match, children: { JSON [name, index] to nodes }}.
+protoviewer.match_tree = function(matches) {
+    var tree = {};
+    matches.forEach(function(match) {
+        var node = {children: tree};
+        match.path.forEach(function(step) {
+            var key = JSON.stringify([step.name, step.index]);
+            if (!(key in node.children)) {
+                node.children[key] = {is_match: false, children: {}};
+            }
+            node = node.children[key];
+        });
+        node.is_match = true;
+    });
+    return tree;
+};
+
+// Copies a proto with just the values in the tree from match_tree, if
+// should_keep is true, or without the ones that matched, if it's false.
+protoviewer.slice_by_tree = function(proto, tree, should_keep) {
+    var new_proto = {};
+    protoviewer.entries(proto).forEach(function(entry) {
+        var node = tree[JSON.stringify([entry.name, entry.index])];
+        var value = entry.value;
+        if (!node) {
+            if (should_keep) {
+                return;
+            }
+        } else if (node.is_match) {
+            if (!should_keep) {
+                return;
+            }
+        } else {
+            value = protoviewer.slice_by_tree(value, node.children, should_keep);
+        }
+        protoviewer.add_value(new_proto, entry.name, value, entry.span);
+    });
+    return protoviewer.copy_node_errors(proto, new_proto);
+};
+
+// ------------------------------------------------------------------ //
+// Filters
+//
+// Filter rules pick what to keep from a proto, one per line.  Each one is
+// a query (see parse_query), with + in front to keep what it matches, or
+// - to drop it, like:
+//   + items[status == ERROR]    keep only the items with an ERROR status
+//   - request.*.debug_info      drop debug_info in any field of request
+//   - **.* == @default          drop anything that has its default value
+// If there are rules that keep things, everything else is dropped (but
+// not the fields that the things are in).  Then the rules that drop
+// things are applied, in order.  Lines that start with # are comments.
+// The rules are applied to the proto once it's parsed, not while it's
+// parsed like the filter_func of parse_proto, so all of the input is
+// still parsed, and a query can look at anything in it.
+
+// Parses filter rules.  This returns a result like the parse_ functions,
+// whose value is a list of {should_keep, query}.
+protoviewer.parse_filter_rules = function(text) {
+    var result = {value: [], position: text.length, error: null};
+    var line_start = 0;
+    var lines = text.split("\n");
+    for (var ii = 0; ii < lines.length; line_start += lines[ii].length + 1, ii++) {
+        var line = lines[ii];
+        var start = protoviewer.consume_whitespace(line, 0);
+        if (start == line.length || line.charAt(start) == "#") {
+            continue;
+        }
+        if (line.charAt(start) != "+" && line.charAt(start) != "-") {
+            return protoviewer.set_parse_error(
+                result, text, line_start + start, "'+' or '-' to start the rule");
+        }
+        var query = protoviewer.parse_query(line.substr(start + 1));
+        if (query.error) {
+            return protoviewer.set_parse_error(
+                result, text, line_start + start + 1 + query.error_info.position,
+                null, query.error_info.message);
+        }
+        result.value.push({should_keep: line.charAt(start) == "+", query: query.value});
+    }
+    return result;
+};
+
+// Applies filter rules (from parse_filter_rules) to a proto.  Returns the
+// new proto.
+protoviewer.apply_filter_rules = function(proto, rules) {
+    var kept = [];
+    rules.forEach(function(rule) {
+        if (rule.should_keep) {
+            kept = kept.concat(protoviewer.run_query(proto, rule.query));
+        }
+    });
+    if (rules.some(function(rule) { return rule.should_keep; })) {
+        proto = protoviewer.slice_by_query(proto, kept);
+    }
+    rules.forEach(function(rule) {
+        if (!rule.should_keep) {
+            proto = protoviewer.remove_by_query(proto, protoviewer.run_query(proto, rule.query));
+        }
+    });
+    return proto;
+};
+
+// ------------------------------------------------------------------ //
+// Editing
+//
+// These change a proto in place.  Values are found by their path, which
+// is a list of {name, index}, like the paths from run_query.
+
+// Turns a path written like query_path does (b[0].x[1]) back into a list
+// of {name, index}.  Returns null if it isn't one.
+protoviewer.parse_value_path = function(text) {
+    var query = protoviewer.parse_query(text);
+    if (query.error || query.value.comparison) {
+        return null;
+    }
+    var path = [];
+    for (var ii = 0; ii < query.value.path.length; ii++) {
+        var step = query.value.path[ii];
+        if (step.selectors.length != 1 || !protoviewer.is_defined(step.selectors[0].index)) {
+            return null;
+        }
+        path.push({name: step.name, index: step.selectors[0].index});
+    }
+    return path;
+};
+
+// The value at path, or undefined if there isn't one
+protoviewer.get_value = function(proto, path) {
+    var value = proto;
+    for (var ii = 0; ii < path.length; ii++) {
+        if (!protoviewer.is_sub_proto(value) || !protoviewer.is_array(value[path[ii].name])) {
+            return undefined;
+        }
+        value = value[path[ii].name][path[ii].index];
+    }
+    return value;
+};
+
+// A copy of a value that can be changed without changing the original
+protoviewer.copy_value = function(value) {
+    if (protoviewer.is_sub_proto(value)) {
+        return protoviewer.filter_proto(value, function() { return false; });
+    } else if (protoviewer.is_array(value)) {
+        return value.slice();
+    }
+    return value;
+};
+
+// Replaces the values of a proto with a list of {name, value, span}, in
+// order.
+protoviewer.set_entries = function(proto, entries) {
+    for (var name in proto) {
+        delete proto[name];
+    }
+    protoviewer.set_hidden(proto, "entries", []);
+    entries.forEach(function(entry) {
+        protoviewer.add_value(proto, entry.name, entry.value, entry.span);
+    });
+};
+
+// The proto that the value at path is in, its entries (see entries),
+// and the position of the value in them.
+protoviewer.find_entry = function(proto, path) {
+    var parent = protoviewer.get_value(proto, path.slice(0, path.length - 1));
+    var step = path[path.length - 1];
+    var entries = protoviewer.is_sub_proto(parent) ? protoviewer.entries(parent) : [];
+    for (var ii = 0; ii < entries.length; ii++) {
+        if (entries[ii].name == step.name && entries[ii].index == step.index) {
+            return {parent: parent, entries: entries, position: ii};
+        }
+    }
+    return null;
+};
+
+// Changes the value at path.  new_value is TextFormat, like 3, "abc", or
+// { a: 1 }.  Returns a result like the parse_ functions.
+protoviewer.set_value = function(proto, path, new_value) {
+    var value = protoviewer.parse_value(new_value, protoviewer.consume_comments(new_value, 0));
+    var end = value.error ? 0 : protoviewer.consume_comments(new_value, value.position);
+    if (!value.error && end < new_value.length) {
+        protoviewer.set_parse_error(value, new_value, end, "the end of the value");
+    }
+    var found = protoviewer.find_entry(proto, path);
+    if (!value.error && !found) {
+        value.error = "There's no value at " + protoviewer.query_path(path);
+    }
+    if (!value.error) {
+        found.parent[path[path.length - 1].name][path[path.length - 1].index] = value.value;
+    }
+    return value;
+};
+
+protoviewer.remove_value = function(proto, path) {
+    var found = protoviewer.find_entry(proto, path);
+    if (found) {
+        found.entries.splice(found.position, 1);
+        protoviewer.set_entries(found.parent, found.entries);
+    }
+};
+
+// Adds a copy of the value at path right after it
+protoviewer.duplicate_value = function(proto, path) {
+    var found = protoviewer.find_entry(proto, path);
+    if (found) {
+        var entry = found.entries[found.position];
+        found.entries.splice(found.position + 1, 0, {
+            name: entry.name,
+            value: protoviewer.copy_value(entry.value),
+            span: null,
+        });
+        protoviewer.set_entries(found.parent, found.entries);
+    }
+};
+
+// Moves the value at path to where the value at to_path is, which has to
+// be in the same proto.  The values in between move up or down one.
+protoviewer.move_value = function(proto, path, to_path) {
+    var found = protoviewer.find_entry(proto, path);
+    var to = protoviewer.find_entry(proto, to_path);
+    if (!found || !to || found.parent !== to.parent) {
+        return;
+    }
+    var entry = found.entries.splice(found.position, 1)[0];
+    found.entries.splice(to.position, 0, entry);
+    protoviewer.set_entries(found.parent, found.entries);
+};
+
+// Adds fields, written in TextFormat like "name: value", to the end of
+// the proto at path.  Returns a result like the parse_ functions.
+protoviewer.add_fields = function(proto, path, text) {
+    var fields = protoviewer.parse_proto(text);
+    var message = protoviewer.get_value(proto, path);
+    if (!fields.error && !protoviewer.is_sub_proto(message)) {
+        fields.error = "There's no message at " + protoviewer.query_path(path);
+    }
+    if (!fields.error) {
+        protoviewer.entries(fields.value).forEach(function(entry) {
+            protoviewer.add_value(message, entry.name, entry.value);
+        });
+    }
+    return fields;
+};
+
+// The undo history keeps a copy of the proto from before each edit.
+protoviewer.make_history = function() {
+    return {undo: [], redo: []};
+};
+
+// Records the proto (a copy, from copy_value) from before an edit
+protoviewer.record_edit = function(history, old_proto) {
+    history.undo.push(old_proto);
+    history.redo = [];
+};
+
+// Returns the proto from before the last edit, or null if there's
+// nothing to undo.  proto is the current one, for redo.
+protoviewer.undo = function(history, proto) {
+    if (history.undo.length == 0) {
+        return null;
+    }
+    history.redo.push(protoviewer.copy_value(proto));
+    return history.undo.pop();
+};
+
+protoviewer.redo = function(history, proto) {
+    if (history.redo.length == 0) {
+        return null;
+    }
+    history.undo.push(protoviewer.copy_value(proto));
+    return history.redo.pop();
+};
+
+// ------------------------------------------------------------------ //
+// Conversions
+//
+// Conversion rules reshape a proto, one rule per line, applied in order.
+// Each one changes the fields that a query (see parse_query) matches:
+//   rename request.user_id to id     renames those fields
+//   drop_level **.wrapper            puts the fields of each wrapper in
+//                                    its place (other values are dropped)
+//   hoist outer.inner.x              moves each x out of its message, to
+//                                    just after the message
+//   move **.debug_info to debug.info moves them into debug.info at the
+//                                    top, adding the messages if needed
+// Lines that start with # are comments.  Since the rules are applied in
+// order, each one sees the names that the ones before it gave.  These
+// are like convert, but the paths can have wildcards.
+
+// Parses conversion rules.  This returns a result like the parse_
+// functions, whose value is a list of {op, query, to}, where to is the
+// new name for rename, or the list of names to move to.
+protoviewer.parse_conversion_rules = function(text) {
+    var result = {value: [], position: text.length, error: null};
+    var line_start = 0;
+    var lines = text.split("\n");
+    for (var ii = 0; ii < lines.length; line_start += lines[ii].length + 1, ii++) {
+        var line = lines[ii];
+        var start = protoviewer.consume_whitespace(line, 0);
+        if (start == line.length || line.charAt(start) == "#") {
+            continue;
+        }
+        var op = protoviewer.consume_regexp(line, start, /\w/);
+        if (["rename", "drop_level", "hoist", "move"].indexOf(op.value) < 0) {
+            return protoviewer.set_parse_error(
+                result, text, line_start + start, "rename, drop_level, hoist or move");
+        }
+        var rule = protoviewer.parse_conversion_rule(line, op.position, op.value);
+        if (rule.error) {
+            return protoviewer.set_parse_error(
+                result, text, line_start + rule.error_info.position,
+                null, rule.error_info.message);
+        }
+        result.value.push(rule.value);
+    }
+    return result;
+};
+
+// Parses the rest of a rule, after the op
+protoviewer.parse_conversion_rule = function(line, ii, op) {
+    var result = {value: {op: op, query: null, to: null}, position: ii, error: null};
+    var query = protoviewer.parse_query_test(line, ii);
+    if (query.error) {
+        return query;
+    }
+    result.value.query = {path: query.value.path, comparison: query.value.comparison};
+    ii = protoviewer.consume_whitespace(line, query.position);
+    if (op == "rename" || op == "move") {
+        if (!/^to\s/.test(line.substr(ii, 3))) {
+            return protoviewer.set_parse_error(result, line, ii, "'to'");
+        }
+        ii = protoviewer.consume_whitespace(line, ii + 2);
+        var to = protoviewer.parse_query_path(line, ii);
+        if (to.error) {
+            return to;
+        }
+        for (var jj = 0; jj < to.value.length; jj++) {
+            var step = to.value[jj];
+            if (step.name == "*" || step.name == "**" || step.selectors.length > 0 ||
+                    (op == "rename" && jj > 0)) {
+                return protoviewer.set_parse_error(
+                    result, line, ii, op == "rename" ? "a field name" : "a path of field names");
+            }
+        }
+        result.value.to = to.value.map(function(step) { return step.name; });
+        if (op == "rename") {
+            result.value.to = result.value.to[0];
+        }
+        ii = protoviewer.consume_whitespace(line, to.position);
+    }
+    if (ii < line.length && line.charAt(ii) != "#") {
+        return protoviewer.set_parse_error(result, line, ii, "the end of the rule");
+    }
+    result.position = ii;
+    return result;
+};
+
+// Applies conversion rules (from parse_conversion_rules) to a proto.
+// Returns the new proto; the old one isn't changed.
+protoviewer.apply_conversion_rules = function(proto, rules) {
+    rules.forEach(function(rule) {
+        var matched = {};
+        protoviewer.run_query(proto, rule.query).forEach(function(match) {
+            matched[protoviewer.query_path(match.path)] = true;
+        });
+        var moved = [];
+        proto = protoviewer.convert_matched(proto, rule, matched, moved, "").proto;
+        if (moved.length > 0) {
+            var message = proto;
+            // into the first message with each name, if there is one
+            rule.to.forEach(function(name) {
+                var sub = Object.prototype.hasOwnProperty.call(message, name) ?
+                    message[name].filter(protoviewer.is_sub_proto)[0] : undefined;
+                if (!sub) {
+                    sub = {};
+                    protoviewer.add_value(message, name, sub);
+                }
+                message = sub;
+            });
+            moved.forEach(function(entry) {
+                protoviewer.add_value(message, entry.name, entry.value);
+            });
+        }
+    });
+    return proto;
+};
+
+// Makes a new proto with a conversion rule applied to the values whose
+// paths (see query_path) are in matched.  path is the proto's own path.
+// Returns {proto, hoisted}, where hoisted are the values to add after
+// it, for hoist.  Values to move are added to moved.
+protoviewer.convert_matched = function(proto, rule, matched, moved, path) {
+    var new_proto = {};
+    var hoisted = [];
+    protoviewer.entries(proto).forEach(function(entry) {
+        var value_path = (path ? path + "." : "") + entry.name + "[" + entry.index + "]";
+        var value = entry.value;
+        var inner_hoisted = [];
+        if (protoviewer.is_sub_proto(value)) {
+            var converted = protoviewer.convert_matched(value, rule, matched, moved, value_path);
+            value = converted.proto;
+            inner_hoisted = converted.hoisted;
+        }
+        if (!(value_path in matched)) {
+            protoviewer.add_value(new_proto, entry.name, value, entry.span);
+        } else if (rule.op == "rename") {
+            protoviewer.add_value(new_proto, rule.to, value);
+        } else if (rule.op == "drop_level" && protoviewer.is_sub_proto(value)) {
+            protoviewer.entries(value).forEach(function(inner) {
+                protoviewer.add_value(new_proto, inner.name, inner.value, inner.span);
+            });
+        } else if (rule.op == "hoist") {
+            if (path) {
+                hoisted.push({name: entry.name, value: value});
+            } else {
+                // there's nowhere to move it to
+                protoviewer.add_value(new_proto, entry.name, value, entry.span);
+            }
+        } else if (rule.op == "move") {
+            moved.push({name: entry.name, value: value});
+        }
+        inner_hoisted.forEach(function(inner) {
+            protoviewer.add_value(new_proto, inner.name, inner.value);
+        });
+    });
+    return {proto: new_proto, hoisted: hoisted};
+};
+
+// ------------------------------------------------------------------ //
+// Documents
+//
+// Logs often have many TextFormat messages, one after another.  The text
+// can be split into documents, and each parsed with parse_proto, into a
+// proto with a DOCUMENT_FIELD for each one, so the usual search and
+// slicing work across all of them.  The ways to split it are:
+//
+//   "delimiter": the documents are between lines that match a pattern
+//       (see parse_pattern, exact and case sensitive), like ---
+//   "lines": each line is a document, like the flat output of format
+//   "prefix": each document starts on a line that matches a pattern,
+//       like /^\S+ \S+ INFO / for a log's timestamp and level, and the
+//       matched prefix is its label; lines before the first match are
+//       left out
+
+// The field that holds each document
+protoviewer.DOCUMENT_FIELD = "document";
+
+// The delimiter if none is given
+protoviewer.DEFAULT_DELIMITER = "---";
+
+// Splits text into documents.  Returns the usual {value, position, error},
+// where the value is a list of {label, start, end}, the start and end of
+// each document in the text.  Documents with nothing but whitespace and
+// comments are left out.
+protoviewer.split_documents = function(text, mode, pattern) {
+    var result = {value: [], position: 0, error: null};
+    var regexp = null;
+    if (mode == "delimiter" || mode == "prefix") {
+        if (mode == "prefix" && !pattern) {
+            result.error = "Splitting by prefix needs a pattern for the prefix";
+            return result;
+        }
+        var parsed = protoviewer.parse_pattern(
+            pattern || protoviewer.DEFAULT_DELIMITER, mode == "delimiter" ? "exact" : "contains", true);
+        if (parsed.error) {
+            parsed.value = [];
+            return parsed;
+        }
+        regexp = parsed.value;
+    } else if (mode != "lines") {
+        result.error = "Unknown way to split documents: " + mode;
+        return result;
+    }
+    var documents = [];
+    var current = null;
+    var line_start = 0;
+    var lines = text.split("\n");
+    for (var ii = 0; ii < lines.length; ii++) {
+        var line = lines[ii];
+        var label = "line " + (ii + 1);
+        var line_end = line_start + line.length;
+        var match = mode == "prefix" ? regexp.exec(line) : null;
+        if (mode == "lines") {
+            documents.push({label: label, start: line_start, end: line_end});
+        } else if (mode == "delimiter" && regexp.test(line.trim())) {
+            current = null;
+        } else if (match) {
+            current = {
+                label: line.substr(0, match.index + match[0].length).trim(),
+                start: line_start + match.index + match[0].length,
+                end: line_end,
+            };
+            documents.push(current);
+        } else if (current) {
+            current.end = line_end;
+        } else if (mode == "delimiter") {
+            current = {label: label, start: line_start, end: line_end};
+            documents.push(current);
+        }
+        line_start = line_end + 1;
+    }
+    result.value = documents.filter(function(doc) {
+        var document_text = text.substring(doc.start, doc.end);
+        return protoviewer.consume_comments(document_text, 0) < document_text.length;
+    });
+    result.position = text.length;
+    return result;
+};
+
+// Parses each of the documents (from split_documents) in the text with
+// parse_proto.  Returns a result like parse_proto's, whose value has a
+// DOCUMENT_FIELD for each document, and whose documents are the ones that
+// were parsed.  Errors are where they are in the whole text, with the
+// document in their path.  Without recover, it stops at the first error.
+protoviewer.parse_documents = function(text, documents, filter_func, recover) {
+    var result = {value: {}, position: text.length, error: null, documents: []};
+    if (recover) {
+        result.errors = [];
+    }
+    var progress_func = protoviewer.progress_func;
+    try {
+        for (var ii = 0; ii < documents.length && !result.error; ii++) {
+            var doc = documents[ii];
+            var document_text = text.substring(doc.start, doc.end);
+            if (progress_func) {
+                protoviewer.progress_func = function(position) {
+                    progress_func(doc.start + position, text);
+                };
+            }
+            var parsed = protoviewer.parse_proto(document_text, 0, filter_func, recover);
+            var path_name = protoviewer.DOCUMENT_FIELD + "[" + ii + "]";
+            if (parsed.error_info) {
+                protoviewer.move_error(parsed.error_info, text, doc.start, path_name);
+                result.error = protoviewer.describe_error(parsed.error_info);
+                result.error_info = parsed.error_info;
+            } else if (parsed.error) {
+                result.error = path_name + ": " + parsed.error;
+            }
+            (parsed.errors || []).forEach(function(error_info) {
+                protoviewer.move_error(error_info, text, doc.start, path_name);
+                result.errors.push(error_info);
+            });
+            protoviewer.add_value(result.value, protoviewer.DOCUMENT_FIELD, parsed.value, {
+                start: doc.start,
+                value_start: doc.start,
+                value_end: doc.end,
+                end: doc.end,
+            });
+            result.documents.push(doc);
+        }
+    } finally {
+        protoviewer.progress_func = progress_func;
+    }
+    return result;
+};
+
+// Moves an error from parsing a document to where it is in the whole
+// text, which the document starts at offset in.
+protoviewer.move_error = function(error_info, text, offset, path_name) {
+    var where = protoviewer.line_and_column(text, error_info.position + offset);
+    error_info.position += offset;
+    error_info.line = where.line;
+    error_info.column = where.column;
+    error_info.path.unshift(path_name);
+};
+
+// A proto of documents, from parse_documents, with each document
+// changed by func.
+protoviewer.map_documents = function(proto, func) {
+    var mapped = {};
+    protoviewer.entries(proto).forEach(function(entry) {
+        var value = entry.name == protoviewer.DOCUMENT_FIELD ? func(entry.value) : entry.value;
+        protoviewer.add_value(mapped, entry.name, value, entry.span);
+    });
+    return mapped;
+};
+
+// ------------------------------------------------------------------ //
+// Tables
+//
+// A repeated message field, like items, can be shown as a table, with a
+// row for each message and a column for each path to a leaf value in any
+// of them, like name or price.currency.  A cell has all the values at its
+// path in the message (there can be more than one, if a field on the way
+// repeats), which are written separated by commas.
+
+// The repeated message fields of a proto, as {path, count}, in the order
+// they're first found.  path is the names of the fields from the top,
+// joined by dots, like a.items, and count is how many messages there are
+// at that path (in all the a's).  Only fields that repeat somewhere are
+// listed.
+protoviewer.repeated_message_fields = function(proto) {
+    var fields = {};
+    var paths = [];
+    var add_fields = function(sub, path) {
+        for (var name in sub) {
+            var messages = protoviewer.field_messages(sub, name);
+            if (messages.length == 0) {
+                continue;
+            }
+            var field_path = (path ? path + "." : "") + name;
+            if (!Object.prototype.hasOwnProperty.call(fields, field_path)) {
+                fields[field_path] = {path: field_path, count: 0, is_repeated: false};
+                paths.push(field_path);
+            }
+            fields[field_path].count += messages.length;
+            fields[field_path].is_repeated = fields[field_path].is_repeated || messages.length > 1;
+            messages.forEach(function(message) {
+                add_fields(message, field_path);
+            });
+        }
+    };
+    add_fields(proto, "");
+    return paths.filter(function(path) {
+        return fields[path].is_repeated;
+    }).map(function(path) {
+        return {path: path, count: fields[path].count};
+    });
+};
+
+// The messages in a field, including those in lists like [{...}, {...}]
+protoviewer.field_messages = function(proto, name) {
+    var messages = [];
+    (proto[name] || []).forEach(function(value) {
+        (protoviewer.is_array(value) ? value : [value]).forEach(function(item) {
+            if (protoviewer.is_sub_proto(item)) {
+                messages.push(item);
+            }
+        });
+    });
+    return messages;
+};
+
+// The messages at a path from repeated_message_fields, like a.items
+protoviewer.table_messages = function(proto, path) {
+    var messages = [proto];
+    path.split(".").forEach(function(name) {
+        var next = [];
+        messages.forEach(function(message) {
+            next = next.concat(protoviewer.field_messages(message, name));
+        });
+        messages = next;
+    });
+    return messages;
+};
+
+// Makes a table of messages, as {columns, rows}, where columns are the
+// paths to the leaf values in any of the messages, in the order they're
+// first found, and each row is {index, cells}: the index of its message,
+// and a list of the values at each column's path, as they're spelled.
+protoviewer.make_table = function(messages) {
+    var columns = [];
+    var column_indexes = {};
+    var rows = messages.map(function(message, index) {
+        var cells = [];
+        var add_value = function(value, path) {
+            if (protoviewer.is_sub_proto(value)) {
+                for (var name in value) {
+                    value[name].forEach(function(inner) {
+                        add_value(inner, (path ? path + "." : "") + name);
+                    });
+                }
+                return;
+            } else if (protoviewer.is_array(value)) {
+                value.forEach(function(item) {
+                    add_value(item, path);
+                });
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(column_indexes, path)) {
+                column_indexes[path] = columns.length;
+                columns.push(path);
+            }
+            var column = column_indexes[path];
+            cells[column] = (cells[column] || []).concat([value]);
+        };
+        add_value(message, "");
+        return {index: index, cells: cells};
+    });
+    rows.forEach(function(row) {
+        for (var ii = 0; ii < columns.length; ii++) {
+            row.cells[ii] = row.cells[ii] || [];
+        }
+    });
+    return {columns: columns, rows: rows};
+};
+
+// The text of a cell: what its values stand for (see decoded_text),
+// separated by commas
+protoviewer.cell_text = function(cell) {
+    return cell.map(protoviewer.decoded_text).join(", ");
+};
+
+// Sorts the rows of a table by a column (its index), by what the first
+// value in each cell stands for (see decode_value): numbers in order,
+// before text in order.  Empty cells go last, either way.  Returns a new
+// table; rows that are the same stay in the order they were.
+protoviewer.sort_table = function(table, column, is_descending) {
+    var is_number = function(x) {
+        return typeof x == "number" || typeof x == "bigint";
+    };
+    var compare = function(left, right) {
+        if (is_number(left) != is_number(right)) {
+            return is_number(left) ? -1 : 1;
+        } else if (!is_number(left)) {
+            left = String(left);
+            right = String(right);
+        }
+        return left < right ? -1 : (left > right ? 1 : 0);
+    };
+    var rows = table.rows.slice();
+    rows.sort(function(a, b) {
+        var left = a.cells[column];
+        var right = b.cells[column];
+        if (left.length == 0 || right.length == 0) {
+            return (left.length == 0) - (right.length == 0);
+        }
+        var order = compare(protoviewer.decode_value(left[0]), protoviewer.decode_value(right[0]));
+        return is_descending ? -order : order;
+    });
+    return {columns: table.columns, rows: rows};
+};
+
+// Keeps the rows of a table whose cells match the patterns (see
+// parse_pattern) for their columns.  patterns has a pattern, or null, for
+// each column.  Returns a new table.
+protoviewer.filter_table = function(table, patterns) {
+    return {
+        columns: table.columns,
+        rows: table.rows.filter(function(row) {
+            return patterns.every(function(pattern, column) {
+                return !pattern ||
+                    protoviewer.matches_pattern(protoviewer.cell_text(row.cells[column]), pattern);
+            });
+        }),
+    };
+};
+
+// Writes a table as CSV (if separator is ",") or TSV (if it's "\t"), with
+// the columns in the first line.  CSV quotes the cells that need it, and
+// TSV escapes tabs, newlines and backslashes in them with backslashes.
+protoviewer.format_table = function(table, separator) {
+    var escape = function(text) {
+        if (separator == "\t") {
+            return text.replace(/[\\\t\n\r]/g, function(c) {
+                return {"\\": "\\\\", "\t": "\\t", "\n": "\\n", "\r": "\\r"}[c];
+            });
+        }
+        return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    var lines = [table.columns.map(escape).join(separator)];
+    table.rows.forEach(function(row) {
+        lines.push(row.cells.map(function(cell) {
+            return escape(protoviewer.cell_text(cell));
+        }).join(separator));
+    });
+    return lines.join("\n") + "\n";
+};
+
+// ------------------------------------------------------------------ //
+// Permalinks
+//
+// A permalink keeps the state of the page (the input, the search and
+// filter settings, and which items of the tree are open) in the url's
+// fragment, so it can be sent to someone else.  The state is JSON,
+// compressed with deflate if the browser can, in url-safe base64:
+//
+//   #z=<compressed>  or  #j=<not compressed>
+
+// Links longer than this may not make it through email and chat apps
+protoviewer.PERMALINK_WARNING_SIZE = 8000;
+
+// Compresses bytes with deflate (or decompresses them, if is_compressed)
+// and calls on_done with the usual {value, position, error}.
+protoviewer.deflate_bytes = function(bytes, is_compressed, on_done) {
+    var result = {value: null, position: 0, error: null};
+    var stream = is_compressed ?
+        new DecompressionStream("deflate-raw") : new CompressionStream("deflate-raw");
+    new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(
+        function(buffer) {
+            result.value = new Uint8Array(buffer);
+            on_done(result);
+        }, function(e) {
+            result.error = "Can't " + (is_compressed ? "decompress" : "compress") + ": " + e.message;
+            on_done(result);
+        });
+};
+
+// Calls on_done with the fragment (without the #) for a state, which can
+// be anything that JSON can hold.
+protoviewer.make_permalink = function(state, on_done) {
+    var bytes = protoviewer.encode_utf8(JSON.stringify(state));
+    var to_base64 = function(encoded) {
+        return protoviewer.format_bytes(encoded, "base64")
+            .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    };
+    if (typeof CompressionStream == "undefined") {
+        on_done("j=" + to_base64(bytes));
+        return;
+    }
+    protoviewer.deflate_bytes(bytes, false, function(compressed) {
+        on_done(compressed.error ? "j=" + to_base64(bytes) : "z=" + to_base64(compressed.value));
+    });
+};
+
+// Reads the state from the fragment of a permalink (with or without the
+// #), and calls on_done with the usual {value, position, error}.  The
+// value is null if the fragment isn't a permalink.
+protoviewer.read_permalink = function(fragment, on_done) {
+    var result = {value: null, position: 0, error: null};
+    var match = /^#?([zj])=(.*)$/.exec(fragment);
+    if (!match) {
+        on_done(result);
+        return;
+    }
+    var from_json = function(bytes) {
+        var text = protoviewer.decode_utf8(bytes);
+        try {
+            if (text === null) {
+                throw new Error("it isn't UTF-8");
+            }
+            result.value = JSON.parse(text);
+        } catch (e) {
+            result.error = "The link is broken: " + e.message;
+        }
+        on_done(result);
+    };
+    var bytes = protoviewer.parse_bytes(match[2], "base64");
+    if (bytes.error) {
+        result.error = "The link is broken: " + bytes.error;
+        on_done(result);
+    } else if (match[1] == "j") {
+        from_json(bytes.value);
+    } else if (typeof DecompressionStream == "undefined") {
+        result.error = "This browser can't read compressed links";
+        on_done(result);
+    } else {
+        protoviewer.deflate_bytes(bytes.value, true, function(decompressed) {
+            if (decompressed.error) {
+                result.error = "The link is broken: " + decompressed.error;
+                on_done(result);
+                return;
+            }
+            from_json(decompressed.value);
+        });
+    }
+};
+
+// ------------------------------------------------------------------ //
+// Workers
+//
+// Big protos are parsed, formatted and sliced in a Web Worker (see
+// worker.js), so that the page doesn't freeze.  Protos are sent to and
+// from it packed with pack_proto, since the order of their values (see
+// add_value) would otherwise be lost on the way.
+
+// A function that's true for the field names to filter out (see
+// filter_proto): the ones that match a pattern from parse_pattern, or
+// the ones that don't, if is_reversed is set.  Returns undefined if
+// there's no pattern.
+protoviewer.make_name_filter = function(pattern, is_reversed) {
+    if (!pattern) {
+        return undefined;
+    }
+    return function(name) {
+        return protoviewer.matches_pattern(name, pattern) != Boolean(is_reversed);
+    };
+};
+
+// A proto as a plain object, with its values as a list of {name, value,
+// span} in order, and the things kept with set_hidden
+protoviewer.pack_proto = function(proto) {
+    return {
+        entries: protoviewer.entries(proto).map(function(entry) {
+            return {
+                name: entry.name,
+                value: protoviewer.is_sub_proto(entry.value) ?
+                    protoviewer.pack_proto(entry.value) : entry.value,
+                span: entry.span,
+            };
+        }),
+        source_end: protoviewer.get_hidden(proto, "source_end"),
+        parse_errors: protoviewer.get_hidden(proto, "parse_errors"),
+    };
+};
+
+protoviewer.unpack_proto = function(packed) {
+    var proto = {};
+    protoviewer.set_hidden(proto, "entries", []);
+    packed.entries.forEach(function(entry) {
+        protoviewer.add_value(
+            proto, entry.name,
+            protoviewer.is_sub_proto(entry.value) ?
+                protoviewer.unpack_proto(entry.value) : entry.value,
+            entry.span);
+    });
+    if (protoviewer.is_defined(packed.source_end)) {
+        protoviewer.set_hidden(proto, "source_end", packed.source_end);
+    }
+    if (packed.parse_errors) {
+        protoviewer.set_hidden(proto, "parse_errors", packed.parse_errors);
+    }
+    return proto;
+};
+
+// Does what the worker is asked to, and returns what it should send
+// back.  The requests are:
+//
+//   {op: "parse", text, filter_pattern, is_reversed, recover, filter_rules, split}
+//       parses TextFormat like read_input, and returns the result with
+//       its value packed.  If split is given, as {mode, pattern}, the text
+//       is split into documents (see split_documents) and parsed with
+//       parse_documents, and filter_rules apply to each document.
+//   {op: "format", proto, text}
+//       formats a packed proto as TextFormat, keeping the layout of text
+//       if it's given (see format_preserving)
+//   {op: "slice", proto, pattern}
+//       slices a packed proto with slice_by_pattern, and returns it packed
+//
+// While parsing, report_progress is called with how much of the text
+// has been read, as a whole percentage, each time it goes up.
+protoviewer.handle_worker_request = function(request, report_progress) {
+    if (request.op == "parse") {
+        var percent = 0;
+        protoviewer.progress_func = function(position, text) {
+            var new_percent = Math.floor(100 * position / text.length);
+            if (new_percent > percent) {
+                percent = new_percent;
+                report_progress(percent);
+            }
+        };
+        var filter_func = protoviewer.make_name_filter(request.filter_pattern, request.is_reversed);
+        try {
+            var result;
+            if (request.split) {
+                result = protoviewer.split_documents(
+                    request.text, request.split.mode, request.split.pattern);
+                if (!result.error) {
+                    result = protoviewer.parse_documents(
+                        request.text, result.value, filter_func, request.recover);
+                } else {
+                    result.value = {};
+                }
+            } else {
+                result = protoviewer.parse_proto(request.text, 0, filter_func, request.recover);
+            }
+        } finally {
+            protoviewer.progress_func = null;
+        }
+        if (request.filter_rules && request.filter_rules.length > 0) {
+            var apply_rules = function(proto) {
+                return protoviewer.apply_filter_rules(proto, request.filter_rules);
+            };
+            result.value = request.split ?
+                protoviewer.map_documents(result.value, apply_rules) : apply_rules(result.value);
+        }
+        result.value = protoviewer.pack_proto(result.value);
+        return result;
+    } else if (request.op == "format") {
+        var proto = protoviewer.unpack_proto(request.proto);
+        return request.text === null ?
+            protoviewer.format(proto) : protoviewer.format_preserving(request.text, proto);
+    } else if (request.op == "slice") {
+        return protoviewer.pack_proto(protoviewer.slice_by_pattern(
+            protoviewer.unpack_proto(request.proto), request.pattern));
+    }
+    throw new Error("Unknown request for the worker: " + request.op);
+};
+
+// ------------------------------------------------------------------ //
+
+// How many items of a message or list draw_proto draws at a time
+protoviewer.DRAW_CHUNK_SIZE = 200;
+
+// How many items expand_all and reveal_diff may draw in all.  Past that,
+// they leave the rest of the tree closed.
+protoviewer.EXPAND_LIMIT = 5000;
+
+// If type_info is given (from check_proto), each field is labelled with
+// its type, and fields with problems are marked.  If diff_info is given
+// (from diff_proto), fields are marked as added, removed or changed.
+// Each item has its path (see query_path) in its data-path attribute;
+// path is the path of the proto itself.  An Any in its expanded form is
+// drawn as the message it holds, with its type url as a badge, and
+// values of well-known types are described (see describe_well_known).
+//
+// So that huge protos stay quick, only the top level is drawn right away.
+// The items of a message or list are drawn when it's opened (see
+// draw_pending), and only DRAW_CHUNK_SIZE of them at a time, with a
+// button to draw more.  Whatever draws the tree can give it an "on_draw"
+// function (see set_hidden), which is called with each list of new items
+// before they're added, to set them up like the rest of the tree.
+protoviewer.draw_proto = function(
+        elt, proto, should_not_add_ul, 
+        add_collapse_expand, info, type_info, diff_info, path) {
+    var list = elt;
+    var collapse, expand;
+    if (add_collapse_expand) {
+        collapse = protoviewer.add_child_element(elt, "input");
+        expand = protoviewer.add_child_element(elt, "input");
+    }
+    if (!should_not_add_ul) {
+        list = protoviewer.add_child_element(elt, "ul");
+    }
+    if (add_collapse_expand) {
+        collapse.setAttribute("type", "button");
+        collapse.setAttribute("value", "-");
+        protoviewer.add_event_listener(collapse, "click", function() {
+            protoviewer.collapse_all(list);
+        });
+        expand.setAttribute("type", "button");
+        expand.setAttribute("value", "+");
+        protoviewer.add_event_listener(expand, "click", function() {
+            protoviewer.expand_all(list);
+        });
+    }
+    if (!info) {
+        info = protoviewer.get_depth_info(proto);
+    }
+    var is_list = protoviewer.is_array(proto);
+    // in the order they were parsed, even if the values of a field are
+    // mixed in with other fields
+    var entries = is_list ? [] : protoviewer.entries(proto);
+    var count = is_list ? proto.length : entries.length;
+    var draw_from = function(items, start) {
+        var end = Math.min(count, start + protoviewer.DRAW_CHUNK_SIZE);
+        for (var jj = start; is_list && jj < end; jj++) {
+            // the items of a list
+            var item_li = protoviewer.add_child_element(items, "li");
+            protoviewer.add_child_text(item_li, protoviewer.format_list_item(proto[jj]));
+        }
+        for (var kk = start; !is_list && kk < end; kk++) {
+            protoviewer.draw_entry(
+                items, proto, entries[kk], add_collapse_expand, info, type_info, diff_info, path);
+        }
+        if (end < count) {
+            protoviewer.draw_more_button(list, items, count - end, function(more_items) {
+                draw_from(more_items, end);
+            });
+            return;
+        }
+        // errors that aren't next to any field that we kept
+        protoviewer.node_errors(proto).forEach(function(error) {
+            if (error.name === null || !protoviewer.is_array(proto[error.name])) {
+                protoviewer.draw_parse_error(items, error.error_info);
+            }
+        });
+    };
+    if (!protoviewer.is_defined(path)) {
+        // the top level, which keeps the proto for search_tree
+        protoviewer.set_hidden(list, "proto", proto);
+        protoviewer.set_hidden(list, "search", null);
+        draw_from(list, 0);
+        return;
+    }
+    protoviewer.set_hidden(list, "draw", function() {
+        protoviewer.draw_more(list, function(items) {
+            draw_from(items, 0);
+        });
+    });
+    protoviewer.add_event_listener(elt, "click", function(e) {
+        var li = e.target;
+        while (li && li.nodeName != "LI") {
+            li = li.parentNode;
+        }
+        if (li === elt) {
+            protoviewer.draw_pending(elt);
+        }
+    });
+};
+
+// Draws one value of a field, from entries, as an item in a list
+protoviewer.draw_entry = function(
+        list, proto, entry, add_collapse_expand, info, type_info, diff_info, path) {
+    var name = entry.name;
+    var ii = entry.index;
+    var value_path = (path ? path + "." : "") + name + "[" + ii + "]";
+    var li = protoviewer.add_child_element(list, "li");
+    li.setAttribute("data-path", value_path);
+    protoviewer.add_child_text(li, name + " " + protoviewer.metric_label(info, name, ii));
+    var value_info = null;
+    if (type_info && name in type_info.values) {
+        value_info = type_info.values[name].values[ii];
+        protoviewer.draw_type_info(li, type_info.values[name].field, value_info);
+    }
+    var value_diff = null;
+    if (diff_info && name in diff_info.values) {
+        value_diff = diff_info.values[name].values[ii];
+        li.className += " diff_" + value_diff.status;
+    }
+    if (protoviewer.is_object(proto[name][ii])) {
+        // only messages have type or diff info for their fields
+        var sub = {
+            proto: proto[name][ii],
+            info: info.values[name].values[ii],
+            type_info: value_info && value_info.values ? value_info : null,
+            diff_info: value_diff && value_diff.values ? value_diff : null,
+            path: value_path,
+        };
+        var type_name = protoviewer.message_type_name(name, value_info);
+        var payload = protoviewer.is_sub_proto(sub.proto) && protoviewer.any_payload(sub.proto);
+        if (payload) {
+            // an Any is drawn as the message it holds, with its type url
+            sub = protoviewer.any_payload_info(sub, payload);
+            type_name = protoviewer.message_type_name(payload.name, sub.type_info);
+            var badge = protoviewer.add_child_element(li, "span");
+            badge.className = "any_type";
+            badge.textContent = payload.type_url;
+        }
+        var described = protoviewer.is_sub_proto(sub.proto) ?
+            protoviewer.describe_well_known(sub.proto, type_name) : null;
+        if (described !== null) {
+            var span = protoviewer.add_child_element(li, "span");
+            span.className = "well_known";
+            span.textContent = " = " + described;
+        }
+        protoviewer.draw_proto(
+                li, sub.proto, false, add_collapse_expand,
+                sub.info, sub.type_info, sub.diff_info, sub.path);
+    } else {
+        protoviewer.add_child_text(li, ": " + proto[name][ii]);
+    }
+    if (value_diff && protoviewer.is_defined(value_diff.old_value)) {
+        protoviewer.draw_old_value(li, value_diff.old_value);
+    }
+    if (ii == proto[name].length - 1) {
+        protoviewer.node_errors(proto, name).forEach(function(error) {
+            protoviewer.draw_parse_error(list, error.error_info);
+        });
+    }
+};
+
+// For an Any drawn as the message it holds (see any_payload): the proto,
+// info, type info, diff info and path to draw it with.
+protoviewer.any_payload_info = function(sub, payload) {
+    var inner = function(node_info) {
+        return node_info ?
+            protoviewer.entry_type_info(node_info, {name: payload.name, index: 0}) : null;
+    };
+    return {
+        proto: payload.value,
+        info: sub.info.values[payload.name].values[0],
+        type_info: inner(sub.type_info),
+        diff_info: inner(sub.diff_info),
+        path: sub.path + "." + payload.name + "[0]",
+    };
+};
+
+// Adds an item with a button that draws the next num_left items of list.
+// draw_items draws them into the list it's given.
+protoviewer.draw_more_button = function(list, items, num_left, draw_items) {
+    var more = protoviewer.add_child_element(items, "li");
+    more.className = "more_items";
+    var button = protoviewer.add_child_element(more, "input");
+    button.setAttribute("type", "button");
+    button.setAttribute("value", "show more (" + num_left + " left)");
+    protoviewer.set_hidden(more, "draw", function() {
+        list.removeChild(more);
+        protoviewer.draw_more(list, draw_items);
+    });
+    protoviewer.add_event_listener(button, "click", function(e) {
+        e.stopPropagation();
+        protoviewer.get_hidden(more, "draw")();
+    });
+};
+
+// Draws more of the items in a list from draw_proto, until it has at
+// least num_items of them, or all of them.
+protoviewer.draw_more_items = function(list, num_items) {
+    while (list.lastChild && list.lastChild.className == "more_items" &&
+           protoviewer.count_items(list) - 1 < num_items) {
+        protoviewer.get_hidden(list.lastChild, "draw")();
+    }
+};
+
+protoviewer.count_items = function(list) {
+    var count = 0;
+    for (var ii = 0; ii < list.childNodes.length; ii++) {
+        if (list.childNodes[ii].nodeName == "LI") {
+            count++;
+        }
+    }
+    return count;
+};
+
+// Adds items to a list in a tree from draw_proto.  draw_items draws them
+// into a new list, which is passed to the tree's on_draw function, if it
+// has one, before they're moved to the end of list.
+protoviewer.draw_more = function(list, draw_items) {
+    var items = document.createElement("ul");
+    draw_items(items);
+    for (var node = list; node; node = node.parentNode) {
+        var on_draw = protoviewer.get_hidden(node, "on_draw");
+        if (on_draw) {
+            on_draw(items);
+            break;
+        }
+    }
+    while (items.firstChild) {
+        list.appendChild(items.firstChild);
+    }
+};
+
+// Draws the items in an item's list, if draw_proto left them for later
+protoviewer.draw_pending = function(li) {
+    for (var ii = 0; ii < li.childNodes.length; ii++) {
+        var draw = protoviewer.get_hidden(li.childNodes[ii], "draw");
+        if (draw) {
+            protoviewer.set_hidden(li.childNodes[ii], "draw", null);
+            draw();
+        }
+    }
+};
+
+// Shows an error that the parser skipped over in recovery mode (see
+// parse_proto) as an item in the list.
+protoviewer.draw_parse_error = function(list, error_info) {
+    var li = protoviewer.add_child_element(list, "li");
+    li.className = "parse_error";
+    li.textContent = "parse error: " + error_info.message +
+        " (line " + error_info.line + ", column " + error_info.column + ")";
+};
+
+// Labels a field with its type from the schema, and marks it
+// if check_proto found any problems with it.
+protoviewer.draw_type_info = function(li, field, value_info) {
+    var span = protoviewer.add_child_element(li, "span");
+    span.className = "field_type";
+    if (!field) {
+        span.textContent = " <unknown field>";
+    } else if (field.type == "message" || field.type == "group" || field.type == "enum") {
+        span.textContent = " <" + field.type_name + ">";
+    } else {
+        span.textContent = " <" + field.type + ">";
+    }
+    var problems = value_info.problems.slice();
+    for (var ii = 0; value_info.list && ii < value_info.list.length; ii++) {
+        problems = problems.concat(value_info.list[ii].problems);
+    }
+    if (problems.length > 0) {
+        li.className += " proto_problem";
+        li.title = problems.join("\n");
+    }
+};
+
+// Shows what a changed value used to be
+protoviewer.draw_old_value = function(li, old_value) {
+    var span = protoviewer.add_child_element(li, "span");
+    span.className = "diff_old_value";
+    if (protoviewer.is_sub_proto(old_value)) {
+        span.textContent = " (was: { " + protoviewer.format(old_value, true) + "})";
+    } else {
+        span.textContent = " (was: " + old_value + ")";
+    }
+};
+
+protoviewer.is_defined = function(obj) {
+    return typeof obj !== 'undefined';
+};
+
+// This is true for Arrays as well.
+protoviewer.is_object = function(obj) {
+    return (obj !== null && typeof obj === 'object');
+};
+
+protoviewer.is_array = function(obj) {
+    return Array.isArray(obj);
+};
+
+protoviewer.is_sub_proto = function(obj) {
+    return protoviewer.is_object(obj) && !protoviewer.is_array(obj);
+};
+
+protoviewer.is_string = function(obj) {
+  return (typeof obj === 'string' || obj instanceof String);
+};
+
+protoviewer.add_child_text = function(par, text) {
+    var elt = document.createTextNode(text);
+    par.appendChild(elt);
+    return elt;
+};
+
+protoviewer.add_child_element = function(par, type) {
+    var elt = document.createElement(type);
+    par.appendChild(elt);
+    return elt;
+};
+
+protoviewer.set_toggle_display = function(button_id, elt_id) {
+    var button = document.getElementById(button_id);
+    this.add_event_listener(button, "click", function() {
+        protoviewer.toggle_display(elt_id);
+    });
+    return this;
+};
+
+protoviewer.toggle_display = function(elt_id) {
+    var elt = document.getElementById(elt_id);
+    var display = elt.style.display;
+    if (display == "none") {
+        elt.style.display = "inline";
+    } else {
+        elt.style.display = "none";
+    }
+    return elt;
+};
+
+protoviewer.add_event_listener = function(elt, type, func) {
+    if (elt.addEventListener) {
+        elt.addEventListener(type, func, false);
+        return true;
+    } else if (elt.attachEvent) {
+        return elt.attachEvent("on" + type, func);
+    } else {
+        return false;
+    }
+};
+
+protoviewer.remove_children = function(node) {
+    while (node.firstChild) {
+        node.removeChild(node.firstChild);
+    }
+};
+
+// Parses a pattern from the search or filter box.  It can be a regular
+// expression, written like /regexp/flags, or else, depending on mode:
+//   "contains": matches strings that contain the text
+//   "glob":     matches strings like the text, where * matches anything,
+//               ? matches any one character, and \ escapes the next one
+//   "exact":    matches just the text
+// These ignore case unless case_sensitive is true.  Regular expressions
+// ignore case if they have the i flag.  This returns a result like the
+// parse_ functions, whose value is a RegExp for matches_pattern.
+protoviewer.parse_pattern = function(text, mode, case_sensitive) {
+    var result = {value: null, position: text.length, error: null};
+    var flags = case_sensitive ? "" : "i";
+    var regexp = /^\/([\s\S]*)\/([A-Za-z]*)$/.exec(text);
+    if (regexp) {
+        var bad_flag = /[^imsu]/.exec(regexp[2]);
+        if (bad_flag) {
+            return protoviewer.set_parse_error(
+                result, text, text.length - regexp[2].length + bad_flag.index, null,
+                "Flag " + bad_flag[0] + " isn't supported for the regular expression" +
+                " (use i, m, s or u)");
+        }
+        try {
+            result.value = new RegExp(regexp[1], regexp[2]);
+        } catch (e) {
+            protoviewer.set_parse_error(result, text, 0, null, "Invalid regular expression: " +
+                                        e.message.replace(/^Invalid regular expression: /, ""));
+        }
+        return result;
+    }
+    var escape = function(str) {
+        return str.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+    };
+    if (mode == "glob") {
+        var parts = text.match(/\\[\s\S]?|\*|\?|[^\\*?]+/g) || [];
+        result.value = new RegExp("^" + parts.map(function(part) {
+            if (part == "*") {
+                return "[\\s\\S]*";
+            } else if (part == "?") {
+                return "[\\s\\S]";
+            }
+            return escape(part.charAt(0) == "\\" ? part.substr(1) : part);
+        }).join("") + "$", flags);
+    } else if (mode == "exact") {
+        result.value = new RegExp("^" + escape(text) + "$", flags);
+    } else {
+        result.value = new RegExp(escape(text), flags);
+    }
+    return result;
+};
+
+// True if the string matches the pattern from parse_pattern.  pattern
+// can also be the text of one, which is parsed in "contains" mode; if it
+// doesn't parse, nothing matches it.
+protoviewer.matches_pattern = function(string, pattern) {
+    if (!protoviewer.is_string(string)) {
+        return false;
+    }
+    if (protoviewer.is_string(pattern)) {
+        pattern = protoviewer.parse_pattern(pattern).value;
+        if (!pattern) {
+            return false;
+        }
+    }
+    return pattern.test(string);
+};
+
+protoviewer.set_node_state = function(node, should_close) {
+    if (!should_close) {
+        protoviewer.draw_pending(node);
+    }
+    if ((CollapsibleLists.isClosed(node) && !should_close) ||
+            (!CollapsibleLists.isClosed(node) && should_close)) {
+        CollapsibleLists.toggle(node);
+    }
+};
+
+// Searches the proto in a tree from draw_proto (see get_expand_info), or
+// shows the matches from a query (see run_query).  The tree is collapsed
+// except for the parts with matches, which are highlighted, and the
+// search is kept with the tree for show_match.  Returns the search, as
+// {matches, pattern, by_path, current}.
+protoviewer.search_tree = function(tree, matches, pattern) {
+    var search = {matches: matches, pattern: pattern || null, by_path: {}, current: -1};
+    matches.forEach(function(match) {
+        search.by_path[protoviewer.query_path(match.path)] = match;
+    });
+    protoviewer.clear_highlights(tree);
+    protoviewer.set_hidden(tree, "search", search);
+    var lis = tree.getElementsByTagName("li");
+    for (var ii = 0; ii < lis.length; ii++) {
+        if (CollapsibleLists.isCollapsible(lis[ii])) {
+            protoviewer.set_node_state(lis[ii], true);
+        }
+    }
+    protoviewer.highlight_matches(tree, tree);
+    matches.forEach(function(match) {
+        var li = protoviewer.reveal_path(tree, match.path);
+        if (li && match.items.length > 0) {
+            protoviewer.set_node_state(li, false);
+        }
+    });
+    return search;
+};
+
+// Shows the next match (or, if step is -1, the previous one) of the
+// search in a tree (see search_tree): it's expanded, marked as the
+// current match and scrolled to.  Returns the item, or null if there
+// are no matches.
+protoviewer.show_match = function(tree, step) {
+    var search = protoviewer.get_hidden(tree, "search");
+    if (!search || search.matches.length == 0) {
+        return null;
+    }
+    var count = search.matches.length;
+    if (search.current < 0) {
+        search.current = step < 0 ? count - 1 : 0;
+    } else {
+        search.current = (search.current + step + count) % count;
+    }
+    protoviewer.clear_current_match(tree);
+    var match = search.matches[search.current];
+    var li = protoviewer.reveal_path(tree, match.path);
+    if (!li) {
+        return null;
+    }
+    if (match.items.length > 0) {
+        protoviewer.set_node_state(li, false);
+    }
+    li.className += " current_match";
+    if (li.scrollIntoView) {
+        li.scrollIntoView({block: "center"});
+    }
+    return li;
+};
+
+// Draws and expands what's needed to show the value at path (a list of
+// {name, index}) in a tree from draw_proto, and returns its item, or null
+// if there's no such value.
+protoviewer.reveal_path = function(tree, path) {
+    var proto = protoviewer.get_hidden(tree, "proto");
+    var list = tree;
+    for (var ii = 0; ii < path.length; ii++) {
+        var found = protoviewer.find_entry(proto, path.slice(0, ii + 1));
+        if (!found || !list) {
+            return null;
+        }
+        protoviewer.draw_more_items(list, found.position + 1);
+        var li = protoviewer.find_item(list, protoviewer.query_path(path.slice(0, ii + 1)));
+        if (!li) {
+            // an Any drawn as the message it holds (see any_payload)
+            continue;
+        }
+        if (ii == path.length - 1) {
+            return li;
+        }
+        protoviewer.set_node_state(li, false);
+        list = li.getElementsByTagName("ul")[0];
+    }
+    return null;
+};
+
+// The item in a list with the path, or null
+protoviewer.find_item = function(list, path_text) {
+    for (var ii = 0; ii < list.childNodes.length; ii++) {
+        var child = list.childNodes[ii];
+        if (child.nodeName == "LI" && child.getAttribute("data-path") == path_text) {
+            return child;
+        }
+    }
+    return null;
+};
+
+// Highlights what matched the tree's search (see search_tree) in the items
+// that are drawn under node.  The tree's on_draw function should call this
+// for the items it's given.
+protoviewer.highlight_matches = function(tree, node) {
+    var search = protoviewer.get_hidden(tree, "search");
+    if (!search) {
+        return;
+    }
+    var lis = node.getElementsByTagName("li");
+    for (var ii = 0; ii < lis.length; ii++) {
+        var path = lis[ii].getAttribute("data-path");
+        if (path !== null && path in search.by_path) {
+            protoviewer.highlight_item(lis[ii], search.by_path[path], search.pattern);
+        }
+    }
+};
+
+// Highlights the parts of an item that matched: the name, the value or
+// the items of its list.  Without a pattern (for queries), the whole name
+// is highlighted.
+protoviewer.highlight_item = function(li, match, pattern) {
+    var texts = [];
+    for (var ii = 0; ii < li.childNodes.length; ii++) {
+        if (li.childNodes[ii].nodeName == "#text") {
+            texts.push(li.childNodes[ii]);
+        }
+    }
+    // the first text is the name, like "a (3)", and the second the value,
+    // like ": 1"
+    if (match.is_name_match || !pattern) {
+        var name = match.path[match.path.length - 1].name;
+        var found = pattern ? pattern.exec(name) : {index: 0, 0: name};
+        protoviewer.highlight_text(texts[0], found.index, found.index + found[0].length);
+    }
+    if (match.is_value_match && match.items.length == 0 && texts.length > 1) {
+        protoviewer.highlight_value(texts[1], 2, pattern);
+    }
+    if (match.items.length == 0) {
+        return;
+    }
+    protoviewer.draw_pending(li);
+    var items = li.getElementsByTagName("ul")[0];
+    protoviewer.draw_more_items(items, match.items[match.items.length - 1] + 1);
+    for (var jj = 0; jj < match.items.length; jj++) {
+        var item = items.childNodes[match.items[jj]];
+        if (item && item.firstChild && item.firstChild.nodeName == "#text") {
+            protoviewer.highlight_value(item.firstChild, 0, pattern);
+        }
+    }
+};
+
+// Highlights a value in a text node, starting at start: just the part
+// that matches, or all of it if only the string it decodes to matches.
+protoviewer.highlight_value = function(text, start, pattern) {
+    var value = text.nodeValue.substr(start);
+    var found = pattern.exec(value);
+    if (found) {
+        protoviewer.highlight_text(text, start + found.index, start + found.index + found[0].length);
+    } else {
+        protoviewer.highlight_text(text, start, text.nodeValue.length);
+    }
+};
+
+// Wraps the part of a text node from start to end in a <mark>
+protoviewer.highlight_text = function(text, start, end) {
+    if (end <= start) {
+        return;
+    }
+    var matched = text.splitText(start);
+    matched.splitText(end - start);
+    var mark = document.createElement("mark");
+    matched.parentNode.replaceChild(mark, matched);
+    mark.appendChild(matched);
+};
+
+protoviewer.clear_current_match = function(tree) {
+    var current = tree.getElementsByClassName("current_match");
+    while (current.length > 0) {
+        current[0].className = current[0].className.replace(/(^| )current_match( |$)/, " ").trim();
+    }
+};
+
+// Takes out the highlights from highlight_matches
+protoviewer.clear_highlights = function(tree) {
+    var marks = tree.getElementsByTagName("mark");
+    while (marks.length > 0) {
+        var parent = marks[0].parentNode;
+        parent.replaceChild(marks[0].firstChild, marks[0]);
+        parent.normalize();
+    }
+    protoviewer.clear_current_match(tree);
+};
+
+// Given a proto, create a new proto which is like the original,
+// except that we pass each field name to should_filter_func and
+// if that function returns true, we remove that field.
+protoviewer.filter_proto = function(proto, should_filter_func) {
+    var new_proto = {};
+    protoviewer.entries(proto).forEach(function(entry) {
+        if (should_filter_func(entry.name)) {
+            return;
+        }
+        var value = entry.value;
+        if (protoviewer.is_sub_proto(value)) {
+            value = protoviewer.filter_proto(value, should_filter_func);
+        }
+        protoviewer.add_value(new_proto, entry.name, value, entry.span);
+    });
+    return protoviewer.copy_node_errors(proto, new_proto);
+};
+
+// return a slice of a proto: for any leaf node, if should_keep_slice_func returns true,
+// then keep it and all of its parents.
+protoviewer.proto_slice = function(proto, should_keep_slice_func, is_toplevel) {
+    if (!protoviewer.is_defined(is_toplevel)) {
+        is_toplevel = true;
+    }
+    var new_proto = {};
+    var keep = false;
+    protoviewer.entries(proto).forEach(function(entry) {
+        var value = entry.value;
+        if (should_keep_slice_func(entry.name, {})) {
+            keep = true;
+        } else if (protoviewer.is_sub_proto(value)) {
+            value = protoviewer.proto_slice(value, should_keep_slice_func, false);
+            if (Object.keys(value).length > 0) {
+                keep = true;
+            }
+        } else if (should_keep_slice_func(entry.name, value)) {
+            keep = true;
+        }
+        protoviewer.add_value(new_proto, entry.name, value, entry.span);
+    });
+    if (keep || is_toplevel) {
+        return protoviewer.copy_node_errors(proto, new_proto);
+    }
+    return {};
+};
+
+protoviewer.slice_by_pattern = function(proto, pattern, is_toplevel) {
+    return protoviewer.proto_slice(
+        proto,
+        function(name, val) {
+            var obj = {};
+            obj[name] = [val];
+            // match what the value stands for, too, not just how it's spelled
+            return protoviewer.matches_pattern(protoviewer.format(obj), pattern) ||
+                (!protoviewer.is_sub_proto(val) &&
+                 protoviewer.matches_pattern(protoviewer.decoded_text(val), pattern));
+        },
+        is_toplevel);
+}
+
+// Opens the items in a list from draw_proto that have a text node (in
+// them, or in an item inside them) that predicate is true for, and closes
+// the rest.  This draws all of the list to check it, so it's only for
+// small trees: to open everything, use expand_all, and to close it,
+// collapse_all.
+protoviewer.set_expansion = function(ul, predicate) {
+    var ul_has_match = false;
+    // this has to draw all of the tree to search it
+    protoviewer.draw_more_items(ul, Infinity);
+    for (var ii = 0; ii < ul.childNodes.length; ii++) {
+        var child = ul.childNodes[ii];
+        if (child.nodeName != "LI") {
+            continue;
+        }
+        protoviewer.draw_pending(child);
+        var li_has_match = false;
+        for (var jj = 0; jj < child.childNodes.length; jj++) {
+            var grandchild = child.childNodes[jj];
+            if (grandchild.nodeName == "#text") {
+                if (predicate(grandchild)) {
+                    li_has_match = true;
+                }
+            } else if (grandchild.nodeName == "UL") {
+                var is_match = protoviewer.set_expansion(grandchild, predicate);
+                if (is_match) {
+                    li_has_match = true;
+                }
+            }
+        }
+        protoviewer.set_node_state(child, !li_has_match);
+        if (li_has_match) {
+            ul_has_match = true;
+        }
+    }
+    protoviewer.set_node_state(ul, !ul_has_match);
+    return ul_has_match;
+};
+
+// Opens the items in a list from draw_proto, and in the lists inside
+// them, a level at a time, until EXPAND_LIMIT items have been drawn.  Like
+// opening them by hand, this only draws the first DRAW_CHUNK_SIZE items of
+// each list, so a huge tree is drawn a part at a time instead of all at
+// once.
+protoviewer.expand_all = function(ul) {
+    var num_drawn = ul.getElementsByTagName("li").length;
+    var lists = [ul];
+    for (var ii = 0; ii < lists.length; ii++) {
+        for (var jj = 0; jj < lists[ii].childNodes.length; jj++) {
+            var child = lists[ii].childNodes[jj];
+            if (child.nodeName != "LI" || !CollapsibleLists.isCollapsible(child)) {
+                continue;
+            }
+            if (num_drawn >= protoviewer.EXPAND_LIMIT) {
+                return;
+            }
+            var is_drawn = !protoviewer.get_hidden(child.getElementsByTagName("ul")[0], "draw");
+            protoviewer.set_node_state(child, false);
+            var sub = child.getElementsByTagName("ul")[0];
+            if (!is_drawn) {
+                num_drawn += protoviewer.count_items(sub);
+            }
+            lists.push(sub);
+        }
+    }
+};
+
+// Opens what's needed to show the differences in a tree drawn from a
+// diff (see diff_proto), in order, until EXPAND_LIMIT items have been
+// drawn.  Added and removed messages are opened too.
+protoviewer.reveal_diff = function(tree, info) {
+    var drawn = tree.getElementsByTagName("li");
+    var paths = protoviewer.diff_paths(info);
+    for (var ii = 0; ii < paths.length && drawn.length < protoviewer.EXPAND_LIMIT; ii++) {
+        var li = protoviewer.reveal_path(tree, paths[ii].path);
+        if (li && paths[ii].status != "changed" && CollapsibleLists.isCollapsible(li)) {
+            protoviewer.set_node_state(li, false);
+        }
+    }
+};
+
+// Closes the items in a list from draw_proto, and in the lists inside
+// them.  Unlike set_expansion, this doesn't draw any more of the tree:
+// what isn't drawn yet is already closed.
+protoviewer.collapse_all = function(ul) {
+    for (var ii = 0; ii < ul.childNodes.length; ii++) {
+        var child = ul.childNodes[ii];
+        if (child.nodeName != "LI") {
+            continue;
+        }
+        for (var jj = 0; jj < child.childNodes.length; jj++) {
+            var grandchild = child.childNodes[jj];
+            if (grandchild.nodeName == "UL" && !protoviewer.get_hidden(grandchild, "draw")) {
+                protoviewer.collapse_all(grandchild);
+            }
+        }
+        protoviewer.set_node_state(child, true);
+    }
+    protoviewer.set_node_state(ul, true);
+};
+
+// If type_info is given (from check_proto, or {values: {}} if there's no
+// schema), messages of well-known types are described in a comment (see
+// describe_well_known).  That needs a line per field, so flat is ignored.
+protoviewer.format = function(proto, flat, indent, type_info) {
+  var str = "";
+  if (type_info) {
+    flat = false;
+  }
+  if (!protoviewer.is_defined(indent)) {
+    indent = "";
+  }
+  // in the order they were parsed, even if the values of a field are
+  // mixed in with other fields
+  var entries = protoviewer.entries(proto);
+  for (var ii = 0; ii < entries.length; ii++) {
+    var value = entries[ii].value;
+    if (!flat) {
+      str += indent;
+    }
+    str += entries[ii].name;
+    if (protoviewer.is_array(value)) {
+      str += ": [ ";
+      for (var jj = 0; jj < value.length; jj++) {
+        str += protoviewer.format_list_item(value[jj]);
+        if (jj < value.length - 1) {
+          str += ", ";
+        }
+      }
+      str += " ]";
+    } else if (protoviewer.is_object(value)) {
+      var sub_info = null;
+      str += " { ";
+      if (type_info) {
+        sub_info = protoviewer.entry_type_info(type_info, entries[ii]);
+        var described = protoviewer.describe_well_known(
+            value, protoviewer.message_type_name(entries[ii].name, sub_info));
+        if (described !== null) {
+          str += "# " + described;
+        }
+      }
+      if (!flat) {
+        str += "\n";
+      }
+      str += protoviewer.format(value, flat, indent + "  ", sub_info || (type_info && {values: {}}));
+      if (!flat) {
+        str += indent;
+      }
+      str += " }";
+    } else {
+      str += ": ";
+      str += value;
+    }
+    if (!flat) {
+      str += "\n";
+    } else {
+      str += " ";
+    }
+  }
+  return str;
+};
+
+// The type info of a message in entries, or null if there isn't any
+protoviewer.entry_type_info = function(type_info, entry) {
+  if (!(entry.name in type_info.values)) {
+    return null;
+  }
+  var value_info = type_info.values[entry.name].values[entry.index];
+  return value_info && value_info.values ? value_info : null;
+};
+
+// Formats a proto that was parsed from text (and maybe changed since
+// then), keeping the comments, order and layout of the text.  Only the
+// fields that were changed, added or removed are different, so if the
+// proto wasn't changed, you get the text back exactly.  Values are
+// matched up by name and index, so moving a value in front of a different
+// field (see move_value) doesn't move it in the text.
+protoviewer.format_preserving = function(text, proto) {
+    var original = protoviewer.parse_proto(text);
+    if (original.error) {
+        return protoviewer.format(proto);
+    }
+    var edits = [];
+    protoviewer.patch_message(text, original.value, proto, true, edits);
+    // edits don't overlap, and ones at the same place stay in order
+    edits.sort(function(a, b) { return a.start - b.start; });
+    var str = "";
+    var ii = 0;
+    for (var jj = 0; jj < edits.length; jj++) {
+        str += text.substring(ii, edits[jj].start) + edits[jj].text;
+        ii = edits[jj].end;
+    }
+    return str + text.substring(ii);
+};
+
+// Adds the edits to turn the text of the original proto into the text
+// of the new one to edits, as {start, end, text}.
+protoviewer.patch_message = function(text, original, proto, is_toplevel, edits) {
+    var entries = protoviewer.entries(original);
+    for (var ii = 0; ii < entries.length; ii++) {
+        var span = entries[ii].span;
+        var values = proto[entries[ii].name];
+        if (!values || entries[ii].index >= values.length) {
+            edits.push(protoviewer.remove_field_edit(text, span));
+            continue;
+        }
+        var old_value = entries[ii].value;
+        var new_value = values[entries[ii].index];
+        if (protoviewer.is_sub_proto(old_value) && protoviewer.is_sub_proto(new_value)) {
+            protoviewer.patch_message(text, old_value, new_value, false, edits);
+        } else if (JSON.stringify(old_value) != JSON.stringify(new_value)) {
+            edits.push({
+                start: span.value_start,
+                end: span.value_end,
+                text: protoviewer.format_value(new_value, protoviewer.line_indent(text, span.start)),
+            });
+        }
+    }
+    for (var name in proto) {
+        var count = name in original ? original[name].length : 0;
+        for (var jj = count; jj < proto[name].length; jj++) {
+            var added = {};
+            added[name] = [proto[name][jj]];
+            edits.push(protoviewer.add_field_edit(text, original, proto, added, is_toplevel));
+        }
+    }
+};
+
+// Messages in a list go on one line
+protoviewer.format_list_item = function(value) {
+    if (protoviewer.is_sub_proto(value)) {
+        return "{ " + protoviewer.format(value, true) + "}";
+    }
+    return value;
+};
+
+// Formats a single value the same way that format does.
+protoviewer.format_value = function(value, indent) {
+    if (protoviewer.is_array(value)) {
+        return "[ " + value.map(protoviewer.format_list_item).join(", ") + " ]";
+    } else if (protoviewer.is_object(value)) {
+        return "{ \n" + protoviewer.format(value, false, indent + "  ") + indent + " }";
+    }
+    return value;
+};
+
+// The whitespace before position on its line, or null if there's
+// something else there.
+protoviewer.line_indent = function(text, position) {
+    var line_start = text.lastIndexOf("\n", position - 1) + 1;
+    var before = text.substring(line_start, position);
+    return /^[ \t]*$/.test(before) ? before : null;
+};
+
+// The position after any spaces and comment that follow position on the
+// same line, but before the newline.
+protoviewer.end_of_line = function(text, position) {
+    var match = /^[ \t]*(#[^\n]*)?/.exec(text.substr(position));
+    return position + match[0].length;
+};
+
+// The edit that takes a field out of the text.  If it's on a line by
+// itself, the whole line goes, including a comment at the end of it.
+protoviewer.remove_field_edit = function(text, span) {
+    var end = protoviewer.end_of_line(text, span.end);
+    var indent = protoviewer.line_indent(text, span.start);
+    if (indent !== null && (end == text.length || text.charAt(end) == "\n")) {
+        return {start: span.start - indent.length, end: Math.min(end + 1, text.length), text: ""};
+    }
+    return {start: span.start, end: protoviewer.consume_whitespace(text, span.end), text: ""};
+};
+
+// The edit that adds a field to the text of a proto: after the last
+// field with the same name if there is one, or else after the last
+// field that's still in proto, or else before the end of the proto.
+// It's indented like the field before it.
+protoviewer.add_field_edit = function(text, original, proto, added, is_toplevel) {
+    // only fields that are still there
+    var entries = protoviewer.entries(original).filter(function(entry) {
+        return entry.name in proto && entry.index < proto[entry.name].length;
+    });
+    var after = entries.length > 0 ? entries[entries.length - 1].span : null;
+    for (var ii = 0; ii < entries.length; ii++) {
+        if (entries[ii].name in added) {
+            after = entries[ii].span;
+        }
+    }
+    if (after) {
+        var indent = protoviewer.line_indent(text, after.start);
+        if (indent === null) {
+            return {start: after.end, end: after.end,
+                    text: " " + protoviewer.format(added, true).trim()};
+        }
+        var position = protoviewer.end_of_line(text, after.end);
+        return {start: position, end: position,
+                text: "\n" + protoviewer.format(added, false, indent).replace(/\n$/, "")};
+    }
+    var end = protoviewer.get_hidden(original, "source_end");
+    var end_indent = protoviewer.line_indent(text, end);
+    if (is_toplevel) {
+        return {start: end, end: end,
+                text: (end_indent === null ? "\n" : "") + protoviewer.format(added)};
+    } else if (end_indent === null) {
+        // like "p {}"
+        var space = /\s/.test(text.charAt(end - 1)) ? "" : " ";
+        return {start: end, end: end, text: space + protoviewer.format(added, true).trim() + " "};
+    }
+    // the '}' is on a line by itself
+    var line_start = end - end_indent.length;
+    return {start: line_start, end: line_start,
+            text: protoviewer.format(added, false, end_indent + "  ")};
+};
+
+protoviewer.convert = function(proto, paths) {
+  var retval = {};
+  for (var key in proto) {
+    if (key in paths) {
+      if (paths[key][0] !== null) {
+        retval[paths[key][0]] = protoviewer.convert_list(proto[key], paths[key][1]);
+      } else {
+        // If the first element of the path is null, that means
+        // drop this level of the proto tree
+        var newlist = protoviewer.convert_list(proto[key], paths[key][1]);
+        for (var ii = 0; ii < newlist.length; ii++) {
+          if (protoviewer.is_object(newlist[ii])) {
+            // non objects just get dropped
+            for (subkey in newlist[ii]) {
+              retval[subkey] = newlist[ii][subkey];
+            }
+          }
+        }
+      }
+    } else {
+      retval[key] = proto[key];
+    }
+  }
+  return retval;
+};
+
+protoviewer.convert_list = function(list, paths) {
+  var retval = [];
+  for (var ii = 0; ii < list.length; ii++) {
+    if (protoviewer.is_object(list[ii])) {
+      retval.push(protoviewer.convert(list[ii], paths));
+    } else {
+      retval.push(list[ii]);
+    }
+  }
+  return retval;
+};
+
+// protoviewer.format(protoviewer.discourse_convert(protoviewer.GLOBAL_PROTO.value), true)
+
+protoviewer.DISCOURSE_RULES = [
+  "rename dialog_turn_intent.user_turn_feature.feature_name to name",
+  "rename dialog_turn_intent.user_turn_feature.feature_weight to value",
+  "rename dialog_turn_intent.user_turn_feature to dialog_feature",
+  "rename dialog_turn_intent.[quality.dialog_manager.DialogCoreConfig.dialog_core_config]" +
+      ".user_turn_field to dialog_field",
+  "drop_level dialog_turn_intent.[quality.dialog_manager.DialogCoreConfig.dialog_core_config]",
+  "drop_level dialog_turn_intent.advance",
+  "drop_level dialog_turn_intent.conversation_id",
+  "drop_level dialog_turn_intent.initial_trigger",
+  "drop_level dialog_turn_intent.issued_system_turn_count",
+  "rename dialog_turn_intent to dialog_context",
+].join("\n");
+
+protoviewer.discourse_convert = function(proto) {
+  return protoviewer.apply_conversion_rules(
+    proto, protoviewer.parse_conversion_rules(protoviewer.DISCOURSE_RULES).value);
+};
+
+// Adds a line to the "problems" list on the page.  Returns the
+// list item, or null if there's no list.
+protoviewer.add_problem = function(text) {
+    var problems = document.getElementById("problems");
+    if (!problems) {
+        return null;
+    }
+    var li = protoviewer.add_child_element(problems, "li");
+    li.textContent = text;
+    return li;
+};
+
+// Takes the problems with the class class_name out of the "problems" list
+protoviewer.clear_problems = function(class_name) {
+    var problems = document.getElementById("problems");
+    var old_problems = problems ? problems.getElementsByClassName(class_name) : [];
+    while (old_problems.length > 0) {
+        problems.removeChild(old_problems[0]);
+    }
+};
+
+// Shows the error from one of the parse_ functions in the "problems"
+// list.  If it has error_info, we also show the line with a caret under
+// the spot, and select that spot in the textarea that was parsed.
+// Clicking on the problem selects it again.  If should_not_select is
+// set, we don't select it until then.  Returns the problem's list item.
+protoviewer.show_error = function(prefix, result, textarea, should_not_select) {
+    var li = protoviewer.add_problem(prefix + result.error);
+    var info = result.error_info;
+    if (!li || !info || !textarea) {
+        return li;
+    }
+    var line = textarea.value.split("\n")[info.line - 1] || "";
+    var pre = protoviewer.add_child_element(li, "pre");
+    // keep any tabs so that the caret lines up
+    pre.textContent = line + "\n" +
+        line.substr(0, info.column - 1).replace(/[^\t]/g, " ") + "^";
+    var select = function() {
+        protoviewer.select_text(textarea, info.position, info.line);
+    };
+    protoviewer.add_event_listener(li, "click", select);
+    if (!should_not_select) {
+        select();
+    }
+    return li;
+};
+
+// Shows the error from one of the parse_ functions, along with any that
+// were skipped over in recovery mode (see parse_proto).  Only the first
+// one is selected.
+protoviewer.show_errors = function(prefix, result, textarea) {
+    if (result.error) {
+        protoviewer.show_error(prefix, result, textarea);
+    }
+    var errors = result.errors || [];
+    for (var ii = 0; ii < errors.length; ii++) {
+        protoviewer.show_error(
+            prefix, {error: protoviewer.describe_error(errors[ii]), error_info: errors[ii]},
+            textarea, result.error || ii > 0);
+    }
+};
+
+// Selects the character at position in a textarea and scrolls to
+// its line.
+protoviewer.select_text = function(textarea, position, line) {
+    textarea.focus();
+    textarea.setSelectionRange(position, Math.min(position + 1, textarea.value.length));
+    var num_lines = textarea.value.split("\n").length;
+    textarea.scrollTop = textarea.scrollHeight * (line - 1) / num_lines -
+        textarea.clientHeight / 2;
+};
+
+// Loads the schema from the "schema" textarea, if there is one.  Errors
+// are listed in the "problems" element.  Returns null if there is no
+// schema.
+protoviewer.load_input_schema = function() {
+    var schema_input = document.getElementById("schema");
+    protoviewer.GLOBAL_SCHEMA = null;
+    if (!schema_input || !schema_input.value.trim()) {
+        return null;
+    }
+    var schema = protoviewer.load_schema(schema_input.value);
+    if (schema.error) {
+        protoviewer.show_error("Error loading schema: ", schema, schema_input);
+        return null;
+    }
+    protoviewer.GLOBAL_SCHEMA = schema.value;
+    for (var ii = 0; ii < schema.value.errors.length; ii++) {
+        protoviewer.add_problem("Schema: " + schema.value.errors[ii]);
+    }
+    return schema.value;
+};
+
+// The message type named in the "message_type" box, or null
+protoviewer.input_message_type = function() {
+    var message_type = document.getElementById("message_type");
+    return message_type && message_type.value.trim() ? message_type.value.trim() : null;
+};
+
+// Checks the proto against the schema, listing any problems in the
+// "problems" element.  Returns the type info for draw_proto.
+protoviewer.check_with_schema = function(proto, schema) {
+    var checked = protoviewer.check_proto(proto, schema, protoviewer.input_message_type());
+    for (var ii = 0; ii < checked.problems.length; ii++) {
+        protoviewer.add_problem((checked.problems[ii].path || "(top level)") + ": " +
+                                checked.problems[ii].message);
+    }
+    return checked.value;
+};
+
+// The format selected for the input: "textformat", "json", or "bytes",
+// "hex" or "base64" for serialized protos.
+protoviewer.input_format = function() {
+    var input_format = document.getElementById("input_format");
+    return input_format ? input_format.value : "textformat";
+};
+
+// Reads the proto from the input textarea, in whichever format is
+// selected: TextFormat, JSON, or serialized bytes as hex or base64.
+// TextFormat is parsed in recovery mode if the "recover" box is checked.
+// filter_func is applied to the field names, and then filter_rules (from
+// parse_filter_rules), if there are any.
+protoviewer.read_input = function(text, schema, filter_func, filter_rules) {
+    var result = protoviewer.read_input_format(text, schema, filter_func);
+    if (filter_rules && filter_rules.length > 0) {
+        result.value = protoviewer.apply_filter_rules(result.value, filter_rules);
+    }
+    return result;
+};
+
+protoviewer.read_input_format = function(text, schema, filter_func) {
+    var format = protoviewer.input_format();
+    if (format == "textformat") {
+        var recover = document.getElementById("recover");
+        return protoviewer.parse_proto(text, 0, filter_func, recover && recover.checked);
+    }
+    var result;
+    if (format == "json") {
+        try {
+            var json = JSON.parse(text);
+        } catch (e) {
+            return {value: {}, position: 0, error: "Invalid JSON: " + e.message};
+        }
+        result = protoviewer.from_json(json, schema, protoviewer.input_message_type());
+        if (filter_func) {
+            result.value = protoviewer.filter_proto(result.value, filter_func);
+        }
+        return result;
+    }
+    var bytes = protoviewer.parse_bytes(text, format == "bytes" ? null : format);
+    if (bytes.error) {
+        return {value: {}, position: bytes.position, error: bytes.error};
+    }
+    result = protoviewer.decode_proto(bytes.value, schema, protoviewer.input_message_type());
+    if (filter_func) {
+        result.value = protoviewer.filter_proto(result.value, filter_func);
+    }
+    return result;
+};
+
+// Shows a proto in the "parsed" textarea, as TextFormat or JSON,
+// depending on what's selected.  TextFormat is formatted in the worker
+// (see run_in_worker), so it may show up later.
+protoviewer.show_parsed = function(proto) {
+    var parsed = document.getElementById("parsed");
+    var parsed_format = document.getElementById("parsed_format");
+    if (!parsed) {
+        return;
+    }
+    // so that the worker doesn't replace a proto that was shown after
+    var pending = protoviewer.set_hidden(parsed, "pending", {});
+    if (parsed_format && parsed_format.value == "json") {
+        var json = protoviewer.to_json(
+            proto, protoviewer.GLOBAL_SCHEMA, protoviewer.input_message_type());
+        if (json.error) {
+            protoviewer.add_problem("JSON: " + json.error);
+        }
+        parsed.value = JSON.stringify(json.value, null, 2);
+        return;
+    }
+    if (parsed_format && parsed_format.value == "well_known") {
+        // needs the schema, so it isn't done in the worker
+        var type_info = protoviewer.GLOBAL_SCHEMA ? protoviewer.check_proto(
+            proto, protoviewer.GLOBAL_SCHEMA, protoviewer.input_message_type()).value : null;
+        parsed.value = protoviewer.format(proto, false, "", type_info || {values: {}});
+        return;
+    }
+    var is_as_written = parsed_format && parsed_format.value == "as_written" &&
+        protoviewer.input_format() == "textformat" && !protoviewer.input_split();
+    protoviewer.run_in_worker({
+        op: "format",
+        proto: protoviewer.pack_proto(proto),
+        text: is_as_written ? document.getElementById("input").value : null,
+    }, function(formatted) {
+        if (protoviewer.get_hidden(parsed, "pending") === pending) {
+            parsed.value = formatted;
+        }
+    });
+};
+
+// Compares the proto read from the "input2" textarea (the new one) with
+// the one read from "input" (the old one).  The tree shows both, with the
+// differences marked, and the "parsed" textarea lists them.
+protoviewer.show_diff = function(left, right) {
+    protoviewer.show_errors("Second proto: ", right, document.getElementById("input2"));
+    var diff_keys = document.getElementById("diff_keys");
+    var diff = protoviewer.diff_proto(
+        left.value, right.value,
+        protoviewer.parse_diff_keys(diff_keys ? diff_keys.value : ""));
+    protoviewer.GLOBAL_PROTO = right;
+    protoviewer.GLOBAL_DIFF = diff;
+    var output = document.getElementById("tree");
+    protoviewer.remove_children(output);
+    protoviewer.set_hidden(output, "on_draw", function(items) {
+        CollapsibleLists.applyTo(items);
+        protoviewer.highlight_matches(output, items);
+    });
+    protoviewer.draw_proto(output, diff.value, true, true, null, null, diff.info);
+    CollapsibleLists.applyTo(output);
+    protoviewer.show_search_count(output);
+    // start with the differences showing
+    protoviewer.reveal_diff(output, diff.info);
+    var parsed = document.getElementById("parsed");
+    if (parsed) {
+        // see show_parsed
+        protoviewer.set_hidden(parsed, "pending", null);
+        var lines = protoviewer.format_diff(diff.value, diff.info);
+        parsed.value = diff.counts.added + " added, " + diff.counts.removed + " removed, " +
+            diff.counts.changed + " changed\n" + lines.join("\n");
+    }
+};
+
+// Parses the pattern in a search or filter box (see parse_pattern), using
+// the mode selected in the mode_id select and the "match_case" box.
+protoviewer.input_pattern = function(input, mode_id) {
+    var mode = document.getElementById(mode_id);
+    var match_case = document.getElementById("match_case");
+    return protoviewer.parse_pattern(
+        input.value, mode ? mode.value : "contains", match_case && match_case.checked);
+};
+
+// Takes the problems from the last search out of the "problems" list, and
+// shows the error from parsing this one, if there is one.  Returns true
+// if there was an error.
+protoviewer.show_search_error = function(prefix, result, input) {
+    protoviewer.clear_problems("search_problem");
+    if (!result.error) {
+        return false;
+    }
+    var li = protoviewer.show_error(prefix, result, input);
+    if (li) {
+        li.className = "search_problem";
+    }
+    return true;
+};
+
+// The rules in the "filter_rules" textarea (see parse_filter_rules).  If
+// they don't parse, this shows the error and returns null.
+protoviewer.input_filter_rules = function() {
+    var filter_rules = document.getElementById("filter_rules");
+    if (!filter_rules) {
+        return [];
+    }
+    var rules = protoviewer.parse_filter_rules(filter_rules.value);
+    if (rules.error) {
+        protoviewer.show_error("Filter rules: ", rules, filter_rules);
+        return null;
+    }
+    return rules.value;
+};
+
+// Sends a request to the worker (see handle_worker_request), starting it
+// if it isn't running, and calls on_done with what it sends back.
+// on_progress, if given, is called with its progress reports.  If
+// workers can't be used (like in a page loaded from a file), the request
+// is handled right here instead.
+protoviewer.run_in_worker = function(request, on_done, on_progress) {
+    var state = protoviewer.GLOBAL_WORKER;
+    if (!state.worker && !state.is_broken) {
+        try {
+            state.worker = new Worker("worker.js");
+            state.worker.onmessage = protoviewer.receive_from_worker;
+            state.worker.onerror = protoviewer.worker_failed;
+        } catch (e) {
+            state.is_broken = true;
+        }
+    }
+    if (state.is_broken) {
+        on_done(protoviewer.handle_worker_request(request, on_progress || function() {}));
+        return;
+    }
+    request.id = state.next_id++;
+    state.requests[request.id] = {request: request, on_done: on_done, on_progress: on_progress};
+    state.worker.postMessage(request);
+};
+
+protoviewer.receive_from_worker = function(e) {
+    var state = protoviewer.GLOBAL_WORKER;
+    var pending = state.requests[e.data.id];
+    if (!pending) {
+        // it was cancelled
+        return;
+    }
+    if ("progress" in e.data) {
+        if (pending.on_progress) {
+            pending.on_progress(e.data.progress);
+        }
+        return;
+    }
+    delete state.requests[e.data.id];
+    if ("error" in e.data) {
+        protoviewer.show_progress(null);
+        protoviewer.add_problem("Worker: " + e.data.error);
+        return;
+    }
+    pending.on_done(e.data.value);
+};
+
+// If the worker can't be loaded, or it crashes, we stop using it, and do
+// what was asked of it here.
+protoviewer.worker_failed = function(e) {
+    var state = protoviewer.GLOBAL_WORKER;
+    var requests = state.requests;
+    if (e && e.preventDefault) {
+        e.preventDefault();
+    }
+    state.worker.terminate();
+    state.worker = null;
+    state.is_broken = true;
+    state.requests = {};
+    for (var id in requests) {
+        protoviewer.run_in_worker(
+            requests[id].request, requests[id].on_done, requests[id].on_progress);
+    }
+};
+
+// Stops whatever the worker is doing.  Nothing that was asked of it is
+// done.
+protoviewer.cancel_worker = function() {
+    var state = protoviewer.GLOBAL_WORKER;
+    if (state.worker && Object.keys(state.requests).length > 0) {
+        state.worker.terminate();
+        state.worker = null;
+    }
+    state.requests = {};
+    protoviewer.show_progress(null);
+};
+
+// Shows how far the parser has got, as a percentage, with a button to
+// cancel it.  If percent is null, they're hidden.
+protoviewer.show_progress = function(percent) {
+    var progress = document.getElementById("parse_progress");
+    var cancel = document.getElementById("cancel_parse");
+    if (progress) {
+        progress.style.display = percent === null ? "none" : "inline";
+        progress.value = percent || 0;
+    }
+    if (cancel) {
+        cancel.style.display = percent === null ? "none" : "inline";
+    }
+};
+
+// How the input is split into documents (see split_documents), as
+// {mode, pattern}, or null if it's one message.
+protoviewer.input_split = function() {
+    var split_mode = document.getElementById("split_mode");
+    var split_pattern = document.getElementById("split_pattern");
+    if (!split_mode || split_mode.value == "none") {
+        return null;
+    }
+    return {mode: split_mode.value, pattern: split_pattern ? split_pattern.value : ""};
+};
+
+// Lists the documents that the input was split into (see parse_documents)
+// in the "documents" element, as a table of contents.  Clicking on one
+// shows it in the tree.
+protoviewer.show_documents = function(documents) {
+    var list = document.getElementById("documents");
+    if (!list) {
+        return;
+    }
+    protoviewer.remove_children(list);
+    var text = document.getElementById("input").value;
+    (documents || []).forEach(function(doc, ii) {
+        var li = protoviewer.add_child_element(list, "li");
+        var first_line = text.substring(doc.start, doc.end).trim().split("\n")[0];
+        li.textContent = (doc.label ? doc.label + ": " : "") + first_line.substr(0, 80);
+        protoviewer.add_event_listener(li, "click", function() {
+            var tree = document.getElementById("tree");
+            var item = protoviewer.reveal_path(tree, [{name: protoviewer.DOCUMENT_FIELD, index: ii}]);
+            if (item) {
+                protoviewer.set_node_state(item, false);
+                if (item.scrollIntoView) {
+                    item.scrollIntoView();
+                }
+            }
+        });
+    });
+};
+
+// Reads a proto like read_input, except that TextFormat is parsed in the
+// worker, and field names are filtered with a pattern (see
+// make_name_filter).  Calls on_done with the result.
+protoviewer.read_input_in_worker = function(
+        text, schema, filter_pattern, is_reversed, filter_rules, on_done) {
+    if (protoviewer.input_format() != "textformat") {
+        on_done(protoviewer.read_input(
+            text, schema, protoviewer.make_name_filter(filter_pattern, is_reversed),
+            filter_rules));
+        return;
+    }
+    var recover = document.getElementById("recover");
+    protoviewer.show_progress(0);
+    protoviewer.run_in_worker({
+        op: "parse",
+        text: text,
+        filter_pattern: filter_pattern,
+        is_reversed: is_reversed,
+        recover: Boolean(recover && recover.checked),
+        filter_rules: filter_rules,
+        split: protoviewer.input_split(),
+    }, function(result) {
+        protoviewer.show_progress(null);
+        result.value = protoviewer.unpack_proto(result.value);
+        on_done(result);
+    }, protoviewer.show_progress);
+};
+
+// Searches with the path query (see parse_query) in the search box:
+// the tree is expanded to show what it matched, and the "parsed"
+// textarea shows just those values.
+protoviewer.search_by_query = function(search) {
+    var query = protoviewer.parse_query(search.value);
+    if (protoviewer.show_search_error("Search: ", query, search)) {
+        return;
+    }
+    var tree = document.getElementById("tree");
+    var matches = protoviewer.run_query(protoviewer.get_hidden(tree, "proto"), query.value);
+    protoviewer.search_tree(tree, matches.map(function(match) {
+        return {path: match.path, is_name_match: true, is_value_match: false, items: []};
+    }));
+    protoviewer.show_match(tree, 1);
+    protoviewer.show_search_count(tree);
+    protoviewer.show_parsed(protoviewer.slice_by_query(protoviewer.GLOBAL_PROTO.value, matches));
+};
+
+// Shows which match of the tree's search (see search_tree) is the current
+// one, and how many there are, in the "search_count" element.
+protoviewer.show_search_count = function(tree) {
+    var search_count = document.getElementById("search_count");
+    var search = protoviewer.get_hidden(tree, "search");
+    if (!search_count) {
+        return;
+    } else if (!search) {
+        search_count.textContent = "";
+    } else if (search.matches.length == 0) {
+        search_count.textContent = "no matches";
+    } else {
+        search_count.textContent = (search.current + 1) + " of " + search.matches.length;
+    }
+};
+
+// Draws the proto in the "tree" element and lets it be edited (see
+// make_editable).  type_info is from check_with_schema, if there's a
+// schema.  If should_keep_open is set, the items that were open stay
+// open, with as many items drawn as before.
+protoviewer.show_tree = function(proto, type_info, should_keep_open) {
+    var output = document.getElementById("tree");
+    // the paths of the items that are open, and how many items were drawn
+    // in each list, by the path of the item it's in
+    var open = {};
+    var num_drawn = {};
+    var lis = output.getElementsByTagName("li");
+    for (var ii = 0; should_keep_open && ii < lis.length; ii++) {
+        if (CollapsibleLists.isCollapsible(lis[ii]) && !CollapsibleLists.isClosed(lis[ii])) {
+            open[lis[ii].getAttribute("data-path")] = true;
+        } else if (lis[ii].className == "more_items") {
+            var list = lis[ii].parentNode;
+            var list_path = list === output ? "" : list.parentNode.getAttribute("data-path");
+            num_drawn[list_path] = protoviewer.count_items(list) - 1;
+        }
+    }
+    protoviewer.remove_children(output);
+    var on_draw = function(items) {
+        protoviewer.make_editable(items);
+        CollapsibleLists.applyTo(items);
+        protoviewer.highlight_matches(output, items);
+    };
+    protoviewer.set_hidden(output, "on_draw", on_draw);
+    protoviewer.draw_proto(
+        output, proto, true, true,
+        protoviewer.get_metric_info(proto, [protoviewer.input_metric()]), type_info);
+    on_draw(output);
+    protoviewer.draw_more_items(output, num_drawn[""] || 0);
+    // this draws the items in them, which might be open too
+    for (var jj = 0; jj < lis.length; jj++) {
+        var path = lis[jj].getAttribute("data-path");
+        if (path in open) {
+            protoviewer.set_node_state(lis[jj], false);
+            protoviewer.draw_more_items(lis[jj].getElementsByTagName("ul")[0], num_drawn[path] || 0);
+        }
+    }
+    protoviewer.show_stats(proto);
+    protoviewer.show_table_fields(proto);
+    protoviewer.show_table(proto);
+    protoviewer.show_search_count(output);
+};
+
+// The metric selected to show next to each item in the tree (see METRICS)
+protoviewer.input_metric = function() {
+    var tree_metric = document.getElementById("tree_metric");
+    return tree_metric ? tree_metric.value : "depth";
+};
+
+// Lists the largest subtrees and the most frequent fields of the proto
+// (see proto_stats) in the "stats" element, if it's shown.
+protoviewer.show_stats = function(proto) {
+    var stats = document.getElementById("stats");
+    if (!stats || stats.style.display == "none") {
+        return;
+    }
+    protoviewer.remove_children(stats);
+    var found = protoviewer.proto_stats(proto);
+    protoviewer.add_child_text(
+        stats, "About " + found.bytes + " bytes serialized, " + found.nodes + " nodes.");
+    protoviewer.add_child_text(protoviewer.add_child_element(stats, "div"), "Largest subtrees:");
+    var largest = protoviewer.add_child_element(stats, "ol");
+    found.largest.forEach(function(subtree) {
+        protoviewer.add_child_text(protoviewer.add_child_element(largest, "li"),
+            subtree.path + ": about " + subtree.bytes + " bytes, " + subtree.nodes + " nodes");
+    });
+    protoviewer.add_child_text(protoviewer.add_child_element(stats, "div"), "Most frequent fields:");
+    var names = protoviewer.add_child_element(stats, "ol");
+    found.names.forEach(function(name) {
+        protoviewer.add_child_text(protoviewer.add_child_element(names, "li"),
+            name.name + ": " + name.count);
+    });
+};
+
+// Lists the repeated message fields of the proto (see
+// repeated_message_fields) in the "table_field" select, keeping the one
+// that was selected, if it's still there.
+protoviewer.show_table_fields = function(proto) {
+    var table_field = document.getElementById("table_field");
+    if (!table_field) {
+        return;
+    }
+    var selected = table_field.value;
+    protoviewer.remove_children(table_field);
+    protoviewer.repeated_message_fields(proto).forEach(function(field) {
+        var option = protoviewer.add_child_element(table_field, "option");
+        option.value = field.path;
+        option.textContent = field.path + " (" + field.count + ")";
+        if (field.path == selected) {
+            option.selected = true;
+        }
+    });
+};
+
+// How the "table" element shows its table: the path of the column it's
+// sorted by (or null) and which way, and the text of the filter for each
+// column, by its path.  Kept by path, so they stay when the proto changes.
+protoviewer.table_state = function(elt) {
+    return protoviewer.get_hidden(elt, "state") || protoviewer.set_hidden(
+        elt, "state", {sort: null, is_descending: false, filters: {}});
+};
+
+// Filters and sorts a table (see make_table) the way state says (see
+// table_state).  Filters that don't parse are left out, and their errors
+// are shown.
+protoviewer.view_table = function(table, state) {
+    var match_case = document.getElementById("match_case");
+    protoviewer.clear_problems("table_problem");
+    var patterns = table.columns.map(function(column) {
+        var text = state.filters[column];
+        if (!text) {
+            return null;
+        }
+        var pattern = protoviewer.parse_pattern(text, "contains", match_case && match_case.checked);
+        if (pattern.error) {
+            var li = protoviewer.add_problem("Table filter for " + column + ": " + pattern.error);
+            if (li) {
+                li.className = "table_problem";
+            }
+            return null;
+        }
+        return pattern.value;
+    });
+    table = protoviewer.filter_table(table, patterns);
+    var column = table.columns.indexOf(state.sort);
+    return column < 0 ? table : protoviewer.sort_table(table, column, state.is_descending);
+};
+
+// The table of the field selected in "table_field", filtered and sorted
+// like the "table" element (see view_table), or null if none is selected
+protoviewer.input_table = function(proto) {
+    var table_field = document.getElementById("table_field");
+    if (!table_field || !table_field.value) {
+        return null;
+    }
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, table_field.value));
+    return protoviewer.view_table(table, protoviewer.table_state(document.getElementById("table")));
+};
+
+// Draws the repeated message field selected in "table_field" as a table
+// (see make_table) in the "table" element, if "table_view" is shown.
+// Clicking on a column's heading sorts by it (and clicking again
+// reverses it), and the box under it filters the rows by that column.
+protoviewer.show_table = function(proto) {
+    var elt = document.getElementById("table");
+    var table_view = document.getElementById("table_view");
+    var table_field = document.getElementById("table_field");
+    if (!elt || !table_view || table_view.style.display == "none") {
+        return;
+    }
+    protoviewer.remove_children(elt);
+    if (!table_field || !table_field.value) {
+        protoviewer.add_child_text(elt, "There are no repeated messages to show.");
+        return;
+    }
+    var state = protoviewer.table_state(elt);
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, table_field.value));
+    var head = protoviewer.add_child_element(elt, "thead");
+    var headings = protoviewer.add_child_element(head, "tr");
+    var filters = protoviewer.add_child_element(head, "tr");
+    var body = protoviewer.add_child_element(elt, "tbody");
+    var draw_rows = function() {
+        protoviewer.remove_children(body);
+        protoviewer.view_table(table, state).rows.forEach(function(row) {
+            var tr = protoviewer.add_child_element(body, "tr");
+            protoviewer.add_child_text(protoviewer.add_child_element(tr, "td"), String(row.index));
+            row.cells.forEach(function(cell) {
+                protoviewer.add_child_text(
+                    protoviewer.add_child_element(tr, "td"), protoviewer.cell_text(cell));
+            });
+        });
+    };
+    protoviewer.add_child_text(protoviewer.add_child_element(headings, "th"), "#");
+    protoviewer.add_child_element(filters, "th");
+    table.columns.forEach(function(column) {
+        var th = protoviewer.add_child_element(headings, "th");
+        var arrow = column != state.sort ? "" : (state.is_descending ? " \u25bc" : " \u25b2");
+        protoviewer.add_child_text(th, column + arrow);
+        protoviewer.add_event_listener(th, "click", function() {
+            state.is_descending = column == state.sort && !state.is_descending;
+            state.sort = column;
+            protoviewer.show_table(proto);
+        });
+        var filter = protoviewer.add_child_element(protoviewer.add_child_element(filters, "th"), "input");
+        filter.type = "text";
+        filter.size = 8;
+        filter.value = state.filters[column] || "";
+        protoviewer.add_event_listener(filter, "input", function() {
+            state.filters[column] = filter.value;
+            draw_rows();
+        });
+    });
+    draw_rows();
+};
+
+// Shows the table (see input_table) in the "parsed" textarea as CSV or
+// TSV, depending on what's selected in "table_export".
+protoviewer.export_table = function(proto) {
+    var parsed = document.getElementById("parsed");
+    var table_export = document.getElementById("table_export");
+    var table = protoviewer.input_table(proto);
+    if (!table) {
+        protoviewer.add_problem("Choose a repeated message field to export");
+        return;
+    }
+    // so that a format from the worker doesn't replace it
+    protoviewer.set_hidden(parsed, "pending", {});
+    parsed.value = protoviewer.format_table(
+        table, table_export && table_export.value == "tsv" ? "\t" : ",");
+};
+
+// Makes an edit to the proto in the tree, then draws it again and shows
+// it in the "parsed" textarea.  edit changes the proto in place, and can
+// return a result like the parse_ functions if it might fail.  The edit
+// can be undone.
+protoviewer.edit_proto = function(edit) {
+    protoviewer.clear_problems("edit_problem");
+    var proto = protoviewer.GLOBAL_PROTO.value;
+    var old_proto = protoviewer.copy_value(proto);
+    var result = edit(proto);
+    if (result && result.error) {
+        var li = protoviewer.show_error("Edit: ", result, null);
+        if (li) {
+            li.className = "edit_problem";
+        }
+        return false;
+    }
+    protoviewer.record_edit(protoviewer.GLOBAL_HISTORY, old_proto);
+    protoviewer.show_edited(proto);
+    return true;
+};
+
+// Shows a proto that was edited, or that an edit was undone to
+protoviewer.show_edited = function(proto) {
+    protoviewer.GLOBAL_PROTO.value = proto;
+    var type_info = null;
+    if (protoviewer.GLOBAL_SCHEMA) {
+        // the problems from the schema were listed when it was parsed
+        type_info = protoviewer.check_proto(
+            proto, protoviewer.GLOBAL_SCHEMA, protoviewer.input_message_type()).value;
+    }
+    protoviewer.show_tree(proto, type_info, true);
+    protoviewer.show_parsed(proto);
+};
+
+// Adds the editing controls to each item of a tree from draw_proto:
+// buttons to duplicate and delete it (and to add fields to messages), a
+// handle to drag it to another spot in the same message, and clicking on
+// a value (or the "edit" button for lists) edits it.
+protoviewer.make_editable = function(tree) {
+    var lis = tree.getElementsByTagName("li");
+    for (var ii = 0; ii < lis.length; ii++) {
+        if (lis[ii].hasAttribute("data-path")) {
+            protoviewer.make_item_editable(lis[ii]);
+        }
+    }
+};
+
+protoviewer.make_item_editable = function(li) {
+    var path_text = li.getAttribute("data-path");
+    var path = protoviewer.parse_value_path(path_text);
+    var value = path && protoviewer.get_value(protoviewer.GLOBAL_PROTO.value, path);
+    if (!protoviewer.is_defined(value)) {
+        return;
+    }
+    var handle = protoviewer.add_child_element(li, "span");
+    li.insertBefore(handle, li.firstChild);
+    handle.className = "drag_handle";
+    handle.textContent = ":: ";
+    handle.title = "drag to move";
+    handle.setAttribute("draggable", "true");
+    // CollapsibleLists stops mousedown on the items, which would stop dragging
+    protoviewer.add_event_listener(handle, "mousedown", function(e) {
+        e.stopPropagation();
+    });
+    protoviewer.add_event_listener(handle, "dragstart", function(e) {
+        protoviewer.GLOBAL_DRAGGED = path;
+        e.dataTransfer.setData("text/plain", path_text);
+        e.stopPropagation();
+    });
+    var is_sibling = function(other) {
+        return other && other !== path &&
+            protoviewer.query_path(other.slice(0, -1)) == protoviewer.query_path(path.slice(0, -1));
+    };
+    protoviewer.add_event_listener(li, "dragover", function(e) {
+        if (is_sibling(protoviewer.GLOBAL_DRAGGED)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    });
+    protoviewer.add_event_listener(li, "drop", function(e) {
+        var dragged = protoviewer.GLOBAL_DRAGGED;
+        protoviewer.GLOBAL_DRAGGED = null;
+        if (is_sibling(dragged)) {
+            e.preventDefault();
+            e.stopPropagation();
+            protoviewer.edit_proto(function(proto) {
+                protoviewer.move_value(proto, dragged, path);
+            });
+        }
+    });
+
+    var buttons = protoviewer.add_child_element(li, "span");
+    buttons.className = "edit_buttons";
+    // next to the name, before the list of fields if there is one
+    for (var ii = 0; ii < li.childNodes.length; ii++) {
+        var child = li.childNodes[ii];
+        if (child !== buttons && (child.nodeName == "INPUT" || child.nodeName == "UL")) {
+            li.insertBefore(buttons, child);
+            break;
+        }
+    }
+    var add_button = function(label, title, func) {
+        var button = protoviewer.add_child_element(buttons, "input");
+        button.setAttribute("type", "button");
+        button.setAttribute("value", label);
+        button.title = title;
+        protoviewer.add_event_listener(button, "click", function(e) {
+            e.stopPropagation();
+            func();
+        });
+    };
+    if (protoviewer.is_sub_proto(value)) {
+        add_button("add", "add fields to this message", function() {
+            protoviewer.prompt_add_fields(path);
+        });
+    } else {
+        var edit = function() {
+            protoviewer.start_editing(li, path, value);
+        };
+        add_button("edit", "change this value", edit);
+        if (!protoviewer.is_array(value)) {
+            protoviewer.add_event_listener(li, "click", function(e) {
+                if (e.target === li) {
+                    edit();
+                }
+            });
+        }
+    }
+    add_button("copy", "add a copy of this after it", function() {
+        protoviewer.edit_proto(function(proto) {
+            protoviewer.duplicate_value(proto, path);
+        });
+    });
+    add_button("delete", "delete this", function() {
+        protoviewer.edit_proto(function(proto) {
+            protoviewer.remove_value(proto, path);
+        });
+    });
+};
+
+// Puts a text box in the item for a value, to edit it in TextFormat.
+// Enter changes it, and Escape puts it back.
+protoviewer.start_editing = function(li, path, value) {
+    if (li.getElementsByClassName("value_editor").length > 0) {
+        return;
+    }
+    var input = protoviewer.add_child_element(li, "input");
+    input.setAttribute("type", "text");
+    input.className = "value_editor";
+    input.value = protoviewer.format_value(value, "");
+    var stop = function(e) {
+        e.stopPropagation();
+    };
+    protoviewer.add_event_listener(input, "mousedown", stop);
+    protoviewer.add_event_listener(input, "click", stop);
+    protoviewer.add_event_listener(input, "keydown", function(e) {
+        if (e.key == "Enter") {
+            e.preventDefault();
+            protoviewer.edit_proto(function(proto) {
+                return protoviewer.set_value(proto, path, input.value);
+            });
+        } else if (e.key == "Escape") {
+            li.removeChild(input);
+        }
+    });
+    input.focus();
+    input.select();
+};
+
+// Asks for fields to add to the message at path, in TextFormat
+protoviewer.prompt_add_fields = function(path) {
+    var text = window.prompt("Fields to add, like: name: \"value\"");
+    if (text) {
+        protoviewer.edit_proto(function(proto) {
+            return protoviewer.add_fields(proto, path, text);
+        });
+    }
+};
+
+// The conversion rules saved in the browser, as {name: rules}
+protoviewer.load_conversions = function() {
+    try {
+        return JSON.parse(window.localStorage.getItem("protoviewer.conversions")) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+protoviewer.save_conversions = function(conversions) {
+    try {
+        window.localStorage.setItem("protoviewer.conversions", JSON.stringify(conversions));
+    } catch (e) {
+        protoviewer.add_problem("Couldn't save the conversion rules: " + e.message);
+    }
+};
+
+// Lists the saved conversion rules in the "saved_conversions" select,
+// with selected_name selected.
+protoviewer.show_saved_conversions = function(selected_name) {
+    var select = document.getElementById("saved_conversions");
+    if (!select) {
+        return;
+    }
+    protoviewer.remove_children(select);
+    var none = protoviewer.add_child_element(select, "option");
+    none.value = "";
+    none.textContent = "saved rules";
+    Object.keys(protoviewer.load_conversions()).sort().forEach(function(name) {
+        var option = protoviewer.add_child_element(select, "option");
+        option.value = name;
+        option.textContent = name;
+    });
+    select.value = selected_name || "";
+};
+
+// Converts the proto in the tree with the rules in the
+// "conversion_rules" textarea (see parse_conversion_rules).  It's an
+// edit, so it can be undone.
+protoviewer.convert_input = function() {
+    var textarea = document.getElementById("conversion_rules");
+    var rules = protoviewer.parse_conversion_rules(textarea.value);
+    protoviewer.clear_problems("edit_problem");
+    if (rules.error) {
+        var li = protoviewer.show_error("Conversion rules: ", rules, textarea);
+        if (li) {
+            li.className = "edit_problem";
+        }
+        return;
+    }
+    protoviewer.edit_proto(function(proto) {
+        var converted = protoviewer.apply_conversion_rules(proto, rules.value);
+        protoviewer.set_entries(proto, protoviewer.entries(converted));
+    });
+};
+
+// Searches the tree for what's in the search box, and shows the part of
+// the proto that matched in the "parsed" textarea.
+protoviewer.search_input = function() {
+    var pattern = document.getElementById("search");
+    var tree = document.getElementById("tree");
+    var search_query = document.getElementById("search_query");
+    if (!protoviewer.GLOBAL_PROTO) {
+        return;
+    }
+    if (search_query && search_query.checked) {
+        protoviewer.search_by_query(pattern);
+        return;
+    }
+    var search = protoviewer.input_pattern(pattern, "search_mode");
+    if (protoviewer.show_search_error("Search: ", search, pattern)) {
+        return;
+    }
+    var search_target = document.getElementById("search_target");
+    var matches = protoviewer.get_expand_info(
+        protoviewer.get_hidden(tree, "proto"), search.value,
+        search_target ? search_target.value : "both");
+    protoviewer.search_tree(tree, matches, search.value);
+    protoviewer.show_match(tree, 1);
+    protoviewer.show_search_count(tree);
+    protoviewer.run_in_worker({
+        op: "slice",
+        proto: protoviewer.pack_proto(protoviewer.GLOBAL_PROTO.value),
+        pattern: search.value,
+    }, function(sliced) {
+        protoviewer.show_parsed(protoviewer.unpack_proto(sliced));
+    });
+};
+
+// Parses the input (in the worker, see read_input_in_worker) and shows
+// it, or the diff with the second input in diff mode.  on_shown, if it's
+// given, is called once it's drawn.
+protoviewer.parse_input = function(on_shown) {
+    var input = document.getElementById("input");
+    var filter = document.getElementById("filter");
+    var should_reverse = document.getElementById("reverse_filter");
+    var problems = document.getElementById("problems");
+    if (problems) {
+        protoviewer.remove_children(problems);
+    }
+    var filter_pattern = null;
+    if (filter && filter.value) {
+        filter_pattern = protoviewer.input_pattern(filter, "filter_mode");
+        if (filter_pattern.error) {
+            protoviewer.show_error("Filter: ", filter_pattern, filter);
+            return;
+        }
+        filter_pattern = filter_pattern.value;
+    }
+    var is_reversed = Boolean(should_reverse && should_reverse.checked);
+    var schema = protoviewer.load_input_schema();
+    var filter_rules = protoviewer.input_filter_rules();
+    if (filter_rules === null) {
+        return;
+    }
+    // this parse replaces any that's still going
+    protoviewer.cancel_worker();
+    var read = function(textarea, on_done) {
+        protoviewer.read_input_in_worker(
+            textarea.value, schema, filter_pattern, is_reversed, filter_rules, on_done);
+    };
+    read(input, function(result) {
+        protoviewer.GLOBAL_PROTO = result;
+        protoviewer.show_errors("", protoviewer.GLOBAL_PROTO, input);
+        protoviewer.show_documents(result.documents);
+        protoviewer.GLOBAL_HISTORY = protoviewer.make_history();
+        var diff_mode = document.getElementById("diff_mode");
+        if (diff_mode && diff_mode.checked) {
+            read(document.getElementById("input2"), function(right) {
+                protoviewer.show_diff(result, right);
+                if (on_shown) {
+                    on_shown();
+                }
+            });
+            return;
+        }
+        var type_info = null;
+        if (schema) {
+            type_info = protoviewer.check_with_schema(protoviewer.GLOBAL_PROTO.value, schema);
+        }
+        protoviewer.show_tree(protoviewer.GLOBAL_PROTO.value, type_info);
+        protoviewer.show_parsed(protoviewer.GLOBAL_PROTO.value);
+        if (on_shown) {
+            on_shown();
+        }
+    });
+};
+
+// The inputs that a permalink keeps, by id
+protoviewer.PERMALINK_INPUTS = [
+    "input", "input_format", "message_type", "recover", "filter", "filter_mode",
+    "reverse_filter", "match_case", "filter_rules", "search", "search_mode",
+    "search_target", "search_query", "diff_mode", "input2", "diff_keys",
+    "split_mode", "split_pattern",
+];
+
+// The state of the page for a permalink, as {inputs, open}: inputs has the
+// values of the PERMALINK_INPUTS that are set, and open has the paths of
+// the items in the tree that are open.
+protoviewer.page_state = function() {
+    var state = {inputs: {}, open: []};
+    protoviewer.PERMALINK_INPUTS.forEach(function(id) {
+        var elt = document.getElementById(id);
+        if (!elt) {
+            return;
+        }
+        var value = elt.type == "checkbox" ? elt.checked : elt.value;
+        if (value) {
+            state.inputs[id] = value;
+        }
+    });
+    var lis = document.getElementById("tree").getElementsByTagName("li");
+    for (var ii = 0; ii < lis.length; ii++) {
+        if (CollapsibleLists.isCollapsible(lis[ii]) && !CollapsibleLists.isClosed(lis[ii]) &&
+                lis[ii].getAttribute("data-path")) {
+            state.open.push(lis[ii].getAttribute("data-path"));
+        }
+    }
+    return state;
+};
+
+// Puts the page back the way it was for a permalink (see page_state):
+// sets the inputs, parses the input, searches if there was a search, and
+// opens the items that were open.
+protoviewer.restore_page_state = function(state) {
+    var inputs = state.inputs || {};
+    protoviewer.PERMALINK_INPUTS.forEach(function(id) {
+        var elt = document.getElementById(id);
+        if (!elt) {
+            return;
+        } else if (elt.type == "checkbox") {
+            elt.checked = Boolean(inputs[id]);
+        } else if (id in inputs || elt.nodeName != "SELECT") {
+            elt.value = id in inputs ? inputs[id] : "";
+        }
+        // e.g. so that diff mode shows the second input
+        elt.dispatchEvent(new Event("change"));
+    });
+    protoviewer.parse_input(function() {
+        var tree = document.getElementById("tree");
+        if (inputs.search) {
+            protoviewer.search_input();
+        }
+        (state.open || []).forEach(function(path_text) {
+            var path = protoviewer.parse_value_path(path_text);
+            var li = path && protoviewer.reveal_path(tree, path);
+            if (li) {
+                protoviewer.set_node_state(li, false);
+            }
+        });
+    });
+};
+
+// Puts a permalink to the page in the address bar and the "permalink" box,
+// and copies it, with a warning if it's too long to send.
+protoviewer.copy_permalink = function() {
+    protoviewer.make_permalink(protoviewer.page_state(), function(fragment) {
+        var url = location.href.replace(/#.*$/, "") + "#" + fragment;
+        history.replaceState(null, "", url);
+        var permalink = document.getElementById("permalink");
+        if (permalink) {
+            permalink.value = url;
+            permalink.select();
+        }
+        var status = document.getElementById("permalink_status");
+        var message = url.length > protoviewer.PERMALINK_WARNING_SIZE ?
+            "The link is " + url.length + " characters long, which may be too long " +
+            "to send in an email or chat app. " : "";
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(function() {
+                if (status) {
+                    status.textContent = message + "Copied.";
+                }
+            }, function() {
+                if (status) {
+                    status.textContent = message + "Copy it from the box.";
+                }
+            });
+        } else if (status) {
+            status.textContent = message + "Copy it from the box.";
+        }
+    });
+};
+
+protoviewer.main = function() {
+    protoviewer.GLOBAL_PROTO = null;
+    protoviewer.GLOBAL_SCHEMA = null;
+    protoviewer.GLOBAL_HISTORY = protoviewer.make_history();
+    protoviewer.GLOBAL_DRAGGED = null;
+    protoviewer.GLOBAL_WORKER = {worker: null, requests: {}, next_id: 0, is_broken: false};
+    var parse_button = document.getElementById("parse");
+    protoviewer.add_event_listener(parse_button, "click", function() {
+        protoviewer.parse_input();
+    });
+    var tree_metric = document.getElementById("tree_metric");
+    if (tree_metric) {
+        protoviewer.add_event_listener(tree_metric, "change", function() {
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.show_edited(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+    }
+    var stats_button = document.getElementById("show_stats");
+    if (stats_button) {
+        protoviewer.add_event_listener(stats_button, "click", function() {
+            protoviewer.toggle_display("stats");
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.show_stats(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+    }
+    var table_button = document.getElementById("show_table");
+    if (table_button) {
+        protoviewer.add_event_listener(table_button, "click", function() {
+            protoviewer.toggle_display("table_view");
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.show_table(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+        var table_field = document.getElementById("table_field");
+        protoviewer.add_event_listener(table_field, "change", function() {
+            // the columns are different, so start over
+            protoviewer.set_hidden(document.getElementById("table"), "state", null);
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.show_table(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+        protoviewer.add_event_listener(document.getElementById("export_table"), "click", function() {
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.export_table(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+    }
+    var cancel_button = document.getElementById("cancel_parse");
+    if (cancel_button) {
+        protoviewer.add_event_listener(cancel_button, "click", function() {
+            protoviewer.cancel_worker();
+        });
+    }
+    var undo_button = document.getElementById("undo");
+    if (undo_button) {
+        protoviewer.add_event_listener(undo_button, "click", function() {
+            var proto = protoviewer.GLOBAL_PROTO &&
+                protoviewer.undo(protoviewer.GLOBAL_HISTORY, protoviewer.GLOBAL_PROTO.value);
+            if (proto) {
+                protoviewer.show_edited(proto);
+            }
+        });
+    }
+    var redo_button = document.getElementById("redo");
+    if (redo_button) {
+        protoviewer.add_event_listener(redo_button, "click", function() {
+            var proto = protoviewer.GLOBAL_PROTO &&
+                protoviewer.redo(protoviewer.GLOBAL_HISTORY, protoviewer.GLOBAL_PROTO.value);
+            if (proto) {
+                protoviewer.show_edited(proto);
+            }
+        });
+    }
+    var convert_button = document.getElementById("convert");
+    if (convert_button) {
+        protoviewer.show_saved_conversions();
+        protoviewer.add_event_listener(convert_button, "click", function() {
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.convert_input();
+            }
+        });
+        var saved_conversions = document.getElementById("saved_conversions");
+        protoviewer.add_event_listener(saved_conversions, "change", function() {
+            var conversions = protoviewer.load_conversions();
+            if (saved_conversions.value in conversions) {
+                document.getElementById("conversion_name").value = saved_conversions.value;
+                document.getElementById("conversion_rules").value =
+                    conversions[saved_conversions.value];
+            }
+        });
+        protoviewer.add_event_listener(document.getElementById("save_conversion"), "click", function() {
+            var name = document.getElementById("conversion_name").value.trim();
+            if (!name) {
+                protoviewer.add_problem("Give the conversion rules a name to save them");
+                return;
+            }
+            var conversions = protoviewer.load_conversions();
+            conversions[name] = document.getElementById("conversion_rules").value;
+            protoviewer.save_conversions(conversions);
+            protoviewer.show_saved_conversions(name);
+        });
+        protoviewer.add_event_listener(document.getElementById("delete_conversion"), "click", function() {
+            var conversions = protoviewer.load_conversions();
+            delete conversions[saved_conversions.value];
+            protoviewer.save_conversions(conversions);
+            protoviewer.show_saved_conversions();
+        });
+    }
+    var add_field_button = document.getElementById("add_field");
+    if (add_field_button) {
+        protoviewer.add_event_listener(add_field_button, "click", function() {
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.prompt_add_fields([]);
+            }
+        });
+    }
+    var diff_mode = document.getElementById("diff_mode");
+    if (diff_mode) {
+        protoviewer.add_event_listener(diff_mode, "change", function() {
+            var inputs = document.getElementById("inputs");
+            document.getElementById("input2").style.display = diff_mode.checked ? "inline" : "none";
+            inputs.className = diff_mode.checked ? "side_by_side" : "";
+        });
+    }
+    var parsed_format = document.getElementById("parsed_format");
+    if (parsed_format) {
+        protoviewer.add_event_listener(parsed_format, "change", function() {
+            if (protoviewer.GLOBAL_PROTO) {
+                protoviewer.show_parsed(protoviewer.GLOBAL_PROTO.value);
+            }
+        });
+    }
+    var encode_button = document.getElementById("encode");
+    if (encode_button) {
+        protoviewer.add_event_listener(encode_button, "click", function() {
+            var problems = document.getElementById("problems");
+            if (problems) {
+                protoviewer.remove_children(problems);
+            }
+            var encoded = document.getElementById("encoded");
+            var output_format = document.getElementById("output_format");
+            var schema = protoviewer.load_input_schema();
+            // the proto in the tree, with any edits, or the input if
+            // nothing has been parsed yet
+            var proto = protoviewer.GLOBAL_PROTO ||
+                protoviewer.read_input(document.getElementById("input").value, schema);
+            // don't encode a proto that we only partly parsed
+            if (proto.error || (proto.errors && proto.errors.length > 0)) {
+                protoviewer.show_errors("", proto, document.getElementById("input"));
+                return;
+            }
+            var bytes = protoviewer.encode_proto(
+                proto.value, schema, protoviewer.input_message_type());
+            if (bytes.error) {
+                protoviewer.add_problem(bytes.error);
+                encoded.value = "";
+                return;
+            }
+            encoded.value = protoviewer.format_bytes(
+                bytes.value, output_format ? output_format.value : "hex");
+        });
+    }
+    var search_button = document.getElementById("search_button");
+    protoviewer.add_event_listener(search_button, "click", function() {
+        protoviewer.search_input();
+    });
+    [["search_next", 1], ["search_previous", -1]].forEach(function(button) {
+        var elt = document.getElementById(button[0]);
+        if (elt) {
+            protoviewer.add_event_listener(elt, "click", function() {
+                var tree = document.getElementById("tree");
+                protoviewer.show_match(tree, button[1]);
+                protoviewer.show_search_count(tree);
+            });
+        }
+    });
+    var copy_link = document.getElementById("copy_link");
+    if (copy_link) {
+        protoviewer.add_event_listener(copy_link, "click", function() {
+            protoviewer.copy_permalink();
+        });
+    }
+    protoviewer.read_permalink(location.hash, function(result) {
+        if (result.error) {
+            protoviewer.add_problem("Link: " + result.error);
+        } else if (result.value) {
+            protoviewer.restore_page_state(result.value);
+        }
+    });
+};
+
+// In node, this is a module (see bin/protoviewer.js).  The parts that
+// draw the page need a document, but the rest work without one.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = protoviewer;
+}
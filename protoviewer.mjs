@@ -0,0 +1,6 @@
+// protoviewer.js as an ES module, for `import protoviewer from
+// "protoviewer"`.  protoviewer.js itself stays a plain script, so that
+// index.html and worker.js can load it without a bundler.
+import protoviewer from "./protoviewer.js";
+
+export default protoviewer;
@@ -0,0 +1,72 @@
+// bin/protoviewer.js, run as a command.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var child_process = require("child_process");
+var path = require("path");
+
+var BIN = path.join(__dirname, "..", "bin", "protoviewer.js");
+
+// Runs the command with input on stdin, and returns {status, stdout, stderr}
+var run = function(args, input) {
+    var result = child_process.spawnSync(process.execPath, [BIN].concat(args), {
+        input: input || "",
+        encoding: "utf8",
+        timeout: 20000,
+    });
+    return {status: result.status, stdout: result.stdout, stderr: result.stderr};
+};
+
+test("it prints the proto, and exits with 0", function() {
+    var result = run([], "a: 1 b { c: 2 }");
+    assert.deepStrictEqual(result, {status: 0, stdout: "a: 1\nb { \n  c: 2\n }\n", stderr: ""});
+    assert.strictEqual(run(["--flat"], "a: 1 b { c: 2 }").stdout, "a: 1 b { c: 2  }\n");
+});
+
+test("it exits with 1 if the proto doesn't parse", function() {
+    var result = run([], "a: 1 b {");
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout, "");
+    assert.ok(/^<stdin>: Expected '}'/.test(result.stderr), result.stderr);
+});
+
+test("it exits with 2 if it can't run", function() {
+    var result = run(["--bogus"]);
+    assert.strictEqual(result.status, 2);
+    assert.ok(/^Unknown option --bogus\n\nusage:/.test(result.stderr), result.stderr);
+    assert.strictEqual(run(["--table"]).status, 2);
+    assert.strictEqual(run([path.join(__dirname, "no such file")]).status, 2);
+});
+
+test("--recover prints what it could parse, and the errors", function() {
+    var result = run(["--recover", "--flat"], "a: 1 b: } c: 3");
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout, "a: 1 c: 3\n");
+    assert.ok(/Expected a value but found '}' at line 1, column 9/.test(result.stderr),
+              result.stderr);
+});
+
+test("--filter and --slice pick the fields to print", function() {
+    var text = "a: 1 b { debug: 2 c: 3 } d { e: 4 }";
+    assert.strictEqual(run(["--flat", "--filter", "debug"], text).stdout,
+                       "a: 1 b { c: 3  } d { e: 4  }\n");
+    assert.strictEqual(run(["--flat", "--filter=/^[bd]$/", "--reverse-filter"], text).stdout,
+                       "b {  } d {  }\n");
+    assert.strictEqual(run(["--flat", "--slice", "e: 4"], text).stdout,
+                       "a: 1 b {  } d { e: 4  }\n");
+});
+
+test("--json prints JSON", function() {
+    var result = run(["--json"], 'a: 1 b { c: "x" } b { c: "y" }');
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), {a: 1, b: [{c: "x"}, {c: "y"}]});
+});
+
+test("--table prints a repeated field as CSV, or TSV with --tsv", function() {
+    var text = 'r { i { n: "a" v: 1 } i { n: "b,c" } }';
+    assert.strictEqual(run(["--table", "r.i"], text).stdout, 'n,v\na,1\n"b,c",\n');
+    assert.strictEqual(run(["--table", "r.i", "--tsv"], text).stdout, "n\tv\na\t1\nb,c\t\n");
+    var result = run(["--table", "r.x"], text);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stderr, "<stdin>: there are no messages in r.x\n");
+});
@@ -0,0 +1,78 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+
+var convert = function(text, rules) {
+    var parsed = protoviewer.parse_conversion_rules(rules);
+    assert.strictEqual(parsed.error, null);
+    var proto = protoviewer.parse_proto(text).value;
+    return protoviewer.format(protoviewer.apply_conversion_rules(proto, parsed.value), true).trim();
+};
+
+test("rename renames what the query matches, in place", function() {
+    assert.strictEqual(convert("a: 1 b: 2 a: 3", "rename a[1] to c"), "a: 1 b: 2 c: 3");
+    assert.strictEqual(convert("x { n: 1 } y { n: 5 }", "rename *.n > 2 to big"),
+                       "x { n: 1  } y { big: 5  }");
+});
+
+test("drop_level puts the fields of a message in its place", function() {
+    assert.strictEqual(convert("a { w { x: 1 y: 2 } z: 3 }", "drop_level **.w"),
+                       "a { x: 1 y: 2 z: 3  }");
+    // there's nothing to put in place of other values
+    assert.strictEqual(convert("a: 1 b: 2", "drop_level a"), "b: 2");
+});
+
+test("hoist moves values out of their message", function() {
+    assert.strictEqual(convert("a { b { x: 1 y: 2 } c: 3 }", "hoist a.b.x"),
+                       "a { b { y: 2  } x: 1 c: 3  }");
+    // the top level stays where it is
+    assert.strictEqual(convert("x: 1", "hoist x"), "x: 1");
+});
+
+test("move collects values into a new message", function() {
+    assert.strictEqual(convert("a { d: 1 } b { c { d: 2 } }", "move **.d to all.ds"),
+                       "a {  } b { c {  }  } all { ds { d: 1 d: 2  }  }");
+});
+
+test("move adds to the first message with the name, if there is one", function() {
+    assert.strictEqual(convert("a: 1 a { z: 1 }", "move **.z to a.q"), "a: 1 a { q { z: 1  }  }");
+    assert.strictEqual(convert("a { b: 1 } a { c: 2 }", "move **.c to a"),
+                       "a { b: 1 c: 2  } a {  }");
+    assert.strictEqual(convert("a: 1", "move a to toString"), "toString { a: 1  }");
+});
+
+test("rules are applied in order", function() {
+    assert.strictEqual(convert("a { b: 1 }", "rename a to x\n# a comment\nrename x.b to y"),
+                       "x { y: 1  }");
+});
+
+test("apply_conversion_rules doesn't change the proto it's given", function() {
+    var proto = protoviewer.parse_proto("a { b: 1 }").value;
+    protoviewer.apply_conversion_rules(
+        proto, protoviewer.parse_conversion_rules("rename a.b to c\nhoist a.c").value);
+    assert.strictEqual(protoviewer.format(proto, true), "a { b: 1  } ");
+});
+
+test("parse_conversion_rules reports where the mistake is", function() {
+    [
+        ["frob a", 1, /rename, drop_level, hoist or move/],
+        ["rename a", 9, /'to'/],
+        ["rename a to b.c", 13, /a field name/],
+        ["move a to *", 11, /a path of field names/],
+        ["hoist a extra", 9, /the end of the rule/],
+    ].forEach(function(example) {
+        var result = protoviewer.parse_conversion_rules("# rules\n" + example[0]);
+        assert.match(result.error, example[2], example[0]);
+        assert.strictEqual(result.error_info.line, 2, example[0]);
+        assert.strictEqual(result.error_info.column, example[1], example[0]);
+    });
+});
+
+test("discourse_convert does what its rules say", function() {
+    var proto = protoviewer.parse_proto(
+        "dialog_turn_intent { user_turn_feature { feature_name: \"a\" feature_weight: 1 } " +
+        "advance { x: 1 } conversation_id: 5 keep: 6 }").value;
+    assert.strictEqual(
+        protoviewer.format(protoviewer.discourse_convert(proto), true).trim(),
+        "dialog_context { dialog_feature { name: \"a\" value: 1  } x: 1 keep: 6  }");
+});
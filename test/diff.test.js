@@ -0,0 +1,42 @@
+// diff_proto and format_diff.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var LEFT = 'x: 1 i { n: "a" v: 1 } i { n: "b" v: 2 }';
+
+test("diff_proto matches repeated fields by key", function() {
+    var left = helpers.parse(LEFT);
+    var right = helpers.parse('x: 2 i { n: "c" } i { n: "b" v: 3 } y: 1');
+    var diff = protoviewer.diff_proto(left, right, protoviewer.parse_diff_keys("i=n"));
+    assert.deepStrictEqual(diff.counts, {added: 2, removed: 1, changed: 2});
+    assert.deepStrictEqual(protoviewer.format_diff(diff.value, diff.info), [
+        "~ x: 1 -> 2",
+        '- i[0] { n: "a" v: 1 }',
+        "~ i[1].v: 2 -> 3",
+        '+ i[2] { n: "c" }',
+        "+ y: 1",
+    ]);
+});
+
+test("diff_proto matches repeated fields by position without a key", function() {
+    var left = helpers.parse(LEFT);
+    var right = helpers.parse('x: 1 i { n: "b" v: 2 }');
+    var diff = protoviewer.diff_proto(left, right);
+    assert.deepStrictEqual(diff.counts, {added: 0, removed: 1, changed: 2});
+    assert.deepStrictEqual(protoviewer.format_diff(diff.value, diff.info), [
+        '~ i[0].n: "a" -> "b"',
+        "~ i[0].v: 1 -> 2",
+        '- i[1] { n: "b" v: 2 }',
+    ]);
+    diff = protoviewer.diff_proto(left, right, protoviewer.parse_diff_keys("i=n"));
+    assert.deepStrictEqual(diff.counts, {added: 0, removed: 1, changed: 0});
+});
+
+test("diff_proto finds nothing between equal protos", function() {
+    var diff = protoviewer.diff_proto(helpers.parse(LEFT), helpers.parse(LEFT));
+    assert.deepStrictEqual(diff.counts, {added: 0, removed: 0, changed: 0});
+    assert.deepStrictEqual(protoviewer.format_diff(diff.value, diff.info), []);
+});
@@ -0,0 +1,74 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+
+var split = function(text, mode, pattern) {
+    var result = protoviewer.split_documents(text, mode, pattern);
+    assert.strictEqual(result.error, null);
+    return result.value.map(function(doc) {
+        return doc.label + " | " + text.substring(doc.start, doc.end);
+    });
+};
+
+test("split_documents splits by delimiter, by line and by prefix", function() {
+    assert.deepStrictEqual(split("a: 1\n---\n\nb: 2\nc: 3\n---\n# nothing\n", "delimiter"), [
+        "line 1 | a: 1", "line 3 | \nb: 2\nc: 3",
+    ]);
+    assert.deepStrictEqual(split("a: 1\n==\nb: 2", "delimiter", "=="), ["line 1 | a: 1", "line 3 | b: 2"]);
+    assert.deepStrictEqual(split("a: 1 b { c: 2 }\n\nd: 3\n", "lines"), [
+        "line 1 | a: 1 b { c: 2 }", "line 3 | d: 3",
+    ]);
+    var log = [
+        "started",
+        "2024-01-02 10:00:00 INFO request { id: 1 }",
+        "2024-01-02 10:00:01 INFO request {",
+        "  id: 2",
+        "}",
+    ].join("\n");
+    assert.deepStrictEqual(split(log, "prefix", "/^\\S+ \\S+ INFO /"), [
+        "2024-01-02 10:00:00 INFO | request { id: 1 }",
+        "2024-01-02 10:00:01 INFO | request {\n  id: 2\n}",
+    ]);
+    assert.ok(protoviewer.split_documents(log, "prefix", "").error);
+    assert.ok(protoviewer.split_documents(log, "prefix", "/(/").error);
+});
+
+test("parse_documents parses each document, with errors where they are in the text", function() {
+    var text = "a: 1\n---\nb { c: 2 }\n---\nd: [1,\n";
+    var documents = protoviewer.split_documents(text, "delimiter").value;
+    var result = protoviewer.parse_documents(text, documents);
+    assert.strictEqual(protoviewer.format(result.value, true),
+                       "document { a: 1  } document { b { c: 2  }  } document { d: [ 1 ]  } ");
+    assert.strictEqual(result.error_info.line, 6);
+    assert.deepStrictEqual(result.error_info.path, ["document[2]", "d"]);
+    assert.ok(/ in document\[2\]\.d /.test(result.error), result.error);
+
+    result = protoviewer.parse_documents("a: }\nb: 1", [
+        {label: "", start: 0, end: 4}, {label: "", start: 5, end: 9},
+    ], null, true);
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.errors.map(function(error) {
+        return error.position + " " + error.path.join(".");
+    }), ["3 document[0].a", "3 document[0]"]);
+    assert.strictEqual(result.documents.length, 2);
+});
+
+test("search and slicing work across documents", function() {
+    var result = protoviewer.handle_worker_request({
+        op: "parse",
+        text: 'x: 1 y: "a"\nx: 2 y: "b"\nx: 3 y: "a"\n',
+        filter_pattern: null,
+        recover: false,
+        filter_rules: protoviewer.parse_filter_rules("- y").value,
+        split: {mode: "lines", pattern: ""},
+    }, function() {});
+    var proto = protoviewer.unpack_proto(result.value);
+    assert.strictEqual(protoviewer.format(proto, true),
+                       "document { x: 1  } document { x: 2  } document { x: 3  } ");
+    var matches = protoviewer.get_expand_info(proto, protoviewer.parse_pattern("3").value, "value");
+    assert.deepStrictEqual(matches.map(function(match) {
+        return protoviewer.query_path(match.path);
+    }), ["document[2].x[0]"]);
+    var sliced = protoviewer.slice_by_pattern(proto, protoviewer.parse_pattern("2", "exact").value);
+    assert.strictEqual(protoviewer.format(sliced, true), "document {  } document { x: 2  } document {  } ");
+});
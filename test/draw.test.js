@@ -0,0 +1,146 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// Draws a proto like the page does, and returns the tree
+var draw = function(window, text) {
+    var protoviewer = window.protoviewer;
+    var tree = window.document.getElementById("tree");
+    var result = protoviewer.parse_proto(text);
+    assert.strictEqual(result.error, null);
+    protoviewer.set_hidden(tree, "on_draw", function(items) {
+        window.CollapsibleLists.applyTo(items);
+    });
+    protoviewer.draw_proto(tree, result.value, true, true);
+    window.CollapsibleLists.applyTo(tree);
+    return tree;
+};
+
+var item = function(tree, path) {
+    return tree.querySelector('li[data-path="' + path + '"]');
+};
+
+var is_open = function(window, li) {
+    return !window.CollapsibleLists.isClosed(li);
+};
+
+test("draw_proto draws each field with its depth", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = draw(window, 'a: 1 b { c: "<x>" }');
+    assert.strictEqual(item(tree, "a[0]").textContent, "a (0): 1");
+    assert.strictEqual(item(tree, "b[0]").firstChild.nodeValue, "b (1)");
+});
+
+test("draw_proto draws messages when they're opened", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = draw(window, 'b { c: "<x>" }');
+    assert.strictEqual(item(tree, "b[0].c[0]"), null);
+    item(tree, "b[0]").click();
+    assert.ok(is_open(window, item(tree, "b[0]")));
+    // values are text, not HTML
+    assert.strictEqual(item(tree, "b[0].c[0]").textContent, 'c (0): "<x>"');
+});
+
+test("draw_proto draws long lists a part at a time", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var count = window.protoviewer.DRAW_CHUNK_SIZE + 5;
+    var tree = draw(window, new Array(count + 1).join("x: 1 "));
+    assert.ok(item(tree, "x[" + (count - 6) + "]"));
+    assert.strictEqual(item(tree, "x[" + (count - 5) + "]"), null);
+    tree.querySelector(".more_items input").click();
+    assert.ok(item(tree, "x[" + (count - 1) + "]"));
+    assert.strictEqual(tree.querySelector(".more_items"), null);
+});
+
+test("draw_proto draws the sample in index.html", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = draw(window, helpers.index_html_sample());
+    window.protoviewer.set_expansion(tree, function() { return true; });
+    assert.ok(item(tree, "b[0].[f/g/hi][0].jk[0]"));
+    assert.ok(item(tree, "q[0].[type.googleapis.com/agsdfa][0].s[0].t[0]"));
+});
+
+test("set_expansion opens just the parts that match", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var tree = draw(window, "a { b { c: 1 } } d { e: 2 }");
+    protoviewer.set_expansion(tree, function(node) {
+        return node.nodeValue == "c (0)";
+    });
+    assert.ok(is_open(window, item(tree, "a[0]")));
+    assert.ok(is_open(window, item(tree, "a[0].b[0]")));
+    assert.ok(!is_open(window, item(tree, "d[0]")));
+});
+
+test("set_expansion can open and close everything", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var tree = draw(window, "a { b { c: 1 } } d { e: 2 }");
+    protoviewer.set_expansion(tree, function() { return true; });
+    ["a[0]", "a[0].b[0]", "d[0]"].forEach(function(path) {
+        assert.ok(is_open(window, item(tree, path)), path);
+    });
+    protoviewer.set_expansion(tree, function() { return false; });
+    ["a[0]", "a[0].b[0]", "d[0]"].forEach(function(path) {
+        assert.ok(!is_open(window, item(tree, path)), path);
+    });
+});
+
+test("collapse_all closes what's drawn without drawing more", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var count = protoviewer.DRAW_CHUNK_SIZE * 2;
+    var tree = draw(window, "a { b { c: 1 } } d { " + new Array(count + 1).join("x { y: 1 } ") + "}");
+    protoviewer.set_node_state(item(tree, "a[0]"), false);
+    protoviewer.set_node_state(item(tree, "d[0]"), false);
+    var num_drawn = tree.getElementsByTagName("li").length;
+    tree.querySelector('input[value="-"]').click();
+    assert.strictEqual(tree.getElementsByTagName("li").length, num_drawn);
+    ["a[0]", "d[0]", "d[0].x[0]"].forEach(function(path) {
+        assert.ok(!is_open(window, item(tree, path)), path);
+    });
+    assert.strictEqual(item(tree, "a[0].b[0].c[0]"), null);
+});
+
+test("expand_all opens everything in a small tree", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = draw(window, "a { b { c: 1 } } d { e: 2 }");
+    tree.querySelector('input[value="+"]').click();
+    ["a[0]", "a[0].b[0]", "d[0]"].forEach(function(path) {
+        assert.ok(is_open(window, item(tree, path)), path);
+    });
+    assert.ok(item(tree, "a[0].b[0].c[0]"));
+});
+
+test("expand_all stops drawing at EXPAND_LIMIT", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    protoviewer.EXPAND_LIMIT = 50;
+    var count = protoviewer.DRAW_CHUNK_SIZE + 10;
+    var tree = draw(window, "a { " + new Array(count + 1).join("x { y: 1 } ") + "}");
+    protoviewer.expand_all(tree);
+    assert.ok(is_open(window, item(tree, "a[0]")));
+    assert.ok(tree.querySelector(".more_items"));
+    assert.ok(!is_open(window, item(tree, "a[0].x[0]")));
+    assert.strictEqual(item(tree, "a[0].x[0].y[0]"), null);
+});
+
+test("reveal_diff opens just the differences", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var diff = protoviewer.diff_proto(
+        protoviewer.parse_proto("a { b { c: 1 } } d { e: 2 }").value,
+        protoviewer.parse_proto("a { b { c: 2 } } d { e: 2 } h { i: 1 }").value);
+    var tree = window.document.getElementById("tree");
+    protoviewer.set_hidden(tree, "on_draw", function(items) {
+        window.CollapsibleLists.applyTo(items);
+    });
+    protoviewer.draw_proto(tree, diff.value, true, true, null, null, diff.info);
+    window.CollapsibleLists.applyTo(tree);
+    protoviewer.reveal_diff(tree, diff.info);
+    assert.ok(is_open(window, item(tree, "a[0].b[0]")));
+    assert.ok(/diff_changed/.test(item(tree, "a[0].b[0].c[0]").className));
+    assert.ok(!is_open(window, item(tree, "d[0]")));
+    assert.ok(is_open(window, item(tree, "h[0]")));
+    assert.ok(item(tree, "h[0].i[0]"));
+});
@@ -0,0 +1,51 @@
+// Editing values, and the undo and redo history.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var flat = function(proto) {
+    return protoviewer.format(proto, true);
+};
+
+// Makes an edit like edit_proto does: the proto from before it is kept
+// in the history
+var edit = function(history, proto, func) {
+    protoviewer.record_edit(history, protoviewer.copy_value(proto));
+    var result = func(proto);
+    assert.ok(!result || !result.error, result && result.error);
+};
+
+test("edits can be undone and redone", function() {
+    var history = protoviewer.make_history();
+    var proto = helpers.parse('a { b: 1 b: 2 } c: "x"');
+    edit(history, proto, function(edited) {
+        return protoviewer.set_value(edited, protoviewer.parse_value_path("a[0].b[1]"), "5");
+    });
+    edit(history, proto, function(edited) {
+        protoviewer.remove_value(edited, protoviewer.parse_value_path("c[0]"));
+    });
+    assert.strictEqual(flat(proto), "a { b: 1 b: 5  } ");
+    var undone = protoviewer.undo(history, proto);
+    assert.strictEqual(flat(undone), 'a { b: 1 b: 5  } c: "x" ');
+    undone = protoviewer.undo(history, undone);
+    assert.strictEqual(flat(undone), 'a { b: 1 b: 2  } c: "x" ');
+    assert.strictEqual(protoviewer.undo(history, undone), null);
+    var redone = protoviewer.redo(history, undone);
+    assert.strictEqual(flat(redone), 'a { b: 1 b: 5  } c: "x" ');
+    // a new edit can't be redone past
+    edit(history, redone, function(edited) {
+        protoviewer.duplicate_value(edited, protoviewer.parse_value_path("a[0]"));
+    });
+    assert.strictEqual(flat(redone), 'a { b: 1 b: 5  } a { b: 1 b: 5  } c: "x" ');
+    assert.strictEqual(protoviewer.redo(history, redone), null);
+    assert.strictEqual(flat(protoviewer.undo(history, redone)), 'a { b: 1 b: 5  } c: "x" ');
+});
+
+test("a bad value isn't set", function() {
+    var proto = helpers.parse("a: 1");
+    var result = protoviewer.set_value(proto, protoviewer.parse_value_path("a[0]"), "{");
+    assert.ok(result.error);
+    assert.strictEqual(flat(proto), "a: 1 ");
+});
@@ -0,0 +1,52 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+
+var filter = function(text, rules) {
+    var parsed = protoviewer.parse_filter_rules(rules);
+    assert.strictEqual(parsed.error, null);
+    var proto = protoviewer.parse_proto(text).value;
+    return protoviewer.format(protoviewer.apply_filter_rules(proto, parsed.value), true).trim();
+};
+
+test("+ keeps what it matches, and what it's in", function() {
+    assert.strictEqual(filter("a { b: 1 c: 2 } d: 3", "+ a.b"), "a { b: 1  }");
+    assert.strictEqual(filter("a: 1 b: 2 c: 3", "+ a\n+ c"), "a: 1 c: 3");
+});
+
+test("- drops what it matches", function() {
+    assert.strictEqual(filter("a { b: 1 c: 2 } d: 3", "- a.b"), "a { c: 2  } d: 3");
+});
+
+test("- drops from what + kept", function() {
+    var text = 'items { status: ERROR debug: "x" } items { status: OK debug: "y" }';
+    assert.strictEqual(filter(text, "+ items[status == ERROR]\n- items.debug"),
+                       "items { status: ERROR  }");
+});
+
+test("* matches one level and ** any number", function() {
+    var text = "request { a { debug_info: 1 } b { c { debug_info: 2 } } debug_info: 3 }";
+    assert.strictEqual(filter(text, "- request.*.debug_info"),
+                       "request { a {  } b { c { debug_info: 2  }  } debug_info: 3  }");
+    assert.strictEqual(filter(text, "- request.**.debug_info"),
+                       "request { a {  } b { c {  }  }  }");
+});
+
+test("== @default matches default values", function() {
+    assert.strictEqual(filter('a: 0 b: 1 c: "" d: false e { f: 0 g: 2 }', "- **.* == @default"),
+                       "b: 1 e { g: 2  }");
+});
+
+test("rules are applied in order, after all of the + rules", function() {
+    // the second - sees what the first one left
+    assert.strictEqual(filter("a { b: 1 } c: 2", "- a.b\n- a[!b]"), "c: 2");
+    // a + after a - still keeps only what it matches in the parsed proto
+    assert.strictEqual(filter("a: 1 b: 2", "- a\n+ a"), "");
+});
+
+test("parse_filter_rules reports where a rule goes wrong", function() {
+    var result = protoviewer.parse_filter_rules("# comment\n+ a\nb");
+    assert.strictEqual(result.error_info.position, 14);
+    result = protoviewer.parse_filter_rules("+ a[");
+    assert.strictEqual(result.error_info.position, 4);
+});
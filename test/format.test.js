@@ -0,0 +1,51 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+var helpers = require("./helpers.js");
+
+test("format puts each field on its own line, indented", function() {
+    assert.strictEqual(
+        protoviewer.format(helpers.parse('a: 1 b { c: "x" d { e: [1, 2] } }')),
+        'a: 1\nb { \n  c: "x"\n  d { \n    e: [ 1, 2 ]\n   }\n }\n');
+});
+
+test("format can put everything on one line", function() {
+    assert.strictEqual(
+        protoviewer.format(helpers.parse("a: 1 b { c: 2 }"), true), "a: 1 b { c: 2  } ");
+});
+
+test("format keeps the order of interleaved fields", function() {
+    assert.strictEqual(
+        protoviewer.format(helpers.parse("a: 1 b: 2 a: 3"), true), "a: 1 b: 2 a: 3 ");
+});
+
+test("format writes messages in lists", function() {
+    assert.strictEqual(
+        protoviewer.format(helpers.parse("m: [{a: 1}, {b: 2}]"), true),
+        "m: [ { a: 1 }, { b: 2 } ] ");
+});
+
+test("format keeps extension names and strings as written", function() {
+    var text = '[type.googleapis.com/a.B] { s: "a\\"b" t: \'c\' "d" }';
+    assert.strictEqual(
+        protoviewer.format(helpers.parse(text), true),
+        '[type.googleapis.com/a.B] { s: "a\\"b" t: \'c\' "d"  } ');
+});
+
+test("format_preserving gives back the corpus exactly", function() {
+    helpers.corpus().forEach(function(input) {
+        assert.strictEqual(
+            protoviewer.format_preserving(input.text, helpers.parse(input.text)),
+            input.text, input.name);
+    });
+});
+
+test("format_preserving only changes what was changed", function() {
+    var text = "# comment\na: 1  # one\nb {\n  c: 2\n}\n";
+    var proto = helpers.parse(text);
+    proto.a[0] = "5";
+    proto.b[0].c.push("3");
+    assert.strictEqual(
+        protoviewer.format_preserving(text, proto),
+        "# comment\na: 5  # one\nb {\n  c: 2\n  c: 3\n}\n");
+});
@@ -0,0 +1,55 @@
+// Things the tests share: the corpus of TextFormat inputs, a parser that
+// fails the test on errors, and a page (from jsdom) to draw trees in.
+
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var protoviewer = require("../protoviewer.js");
+
+var ROOT = path.join(__dirname, "..");
+var CORPUS = path.join(__dirname, "corpus");
+
+// The sample proto in index.html's input textarea
+var index_html_sample = function() {
+    var html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+    var match = /<textarea id="input"[^>]*>\n?([\s\S]*?)<\/textarea>/.exec(html);
+    return match[1];
+};
+
+// The corpus, as a list of {name, text}, with index.html's sample first
+var corpus = function() {
+    var files = fs.readdirSync(CORPUS).filter(function(name) {
+        return /\.txtpb$/.test(name);
+    }).sort();
+    return [{name: "index.html", text: index_html_sample()}].concat(files.map(function(name) {
+        return {name: name, text: fs.readFileSync(path.join(CORPUS, name), "utf8")};
+    }));
+};
+
+// Parses TextFormat, failing the test if there's an error
+var parse = function(text) {
+    var result = protoviewer.parse_proto(text);
+    assert.strictEqual(result.error, null);
+    return result.value;
+};
+
+// A page with CollapsibleLists.js and protoviewer.js loaded, for the parts
+// that need a document.  Returns its window; window.protoviewer is the
+// page's copy of protoviewer.
+var load_page = function(body) {
+    var JSDOM = require("jsdom").JSDOM;
+    var dom = new JSDOM("<!doctype html><html><body>" + (body || "") + "</body></html>", {
+        runScripts: "outside-only",
+    });
+    ["CollapsibleLists.js", "protoviewer.js"].forEach(function(file) {
+        dom.window.eval(fs.readFileSync(path.join(ROOT, file), "utf8"));
+    });
+    return dom.window;
+};
+
+module.exports = {
+    corpus: corpus,
+    index_html_sample: index_html_sample,
+    load_page: load_page,
+    parse: parse,
+};
@@ -0,0 +1,103 @@
+// The proto3 JSON mapping: to_json, and from_json, which should give the
+// same proto back.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var SCHEMA = [
+    'syntax = "proto3";',
+    "package demo;",
+    'import "google/protobuf/timestamp.proto";',
+    "enum Status { UNKNOWN = 0; OK = 1; ERROR = 2; }",
+    "message Item {",
+    "  string name = 1; int64 count = 2; repeated int32 sizes = 3; Status status = 4;",
+    "  bytes data = 5; double ratio = 6; uint64 id = 8; bool on = 9; string user_id = 10;",
+    "}",
+    "message Order {",
+    "  repeated Item items = 1; google.protobuf.Timestamp at = 2;",
+    "  map<string, int32> totals = 3; float f = 4;",
+    "}",
+].join("\n");
+
+var TEXT = [
+    'items { name: "a\\nb" count: -5 sizes: [1, 300] status: ERROR data: "\\x00\\xff"',
+    '        ratio: 0.5 id: 18446744073709551615 on: true user_id: "u" }',
+    'items { name: "c" }',
+    "at { seconds: 1600000000 nanos: 500000000 }",
+    'totals { key: "x" value: 2 }',
+    "f: 1.5",
+].join("\n");
+
+var JSON_VALUE = {
+    items: [
+        {
+            name: "a\nb", count: "-5", sizes: [1, 300], status: "ERROR", data: "AP8=",
+            ratio: 0.5, id: "18446744073709551615", on: true, userId: "u",
+        },
+        {name: "c"},
+    ],
+    at: "2020-09-13T12:26:40.500Z",
+    totals: {x: 2},
+    f: 1.5,
+};
+
+var schema = function() {
+    var loaded = protoviewer.load_schema(SCHEMA);
+    assert.strictEqual(loaded.error, null);
+    return loaded.value;
+};
+
+test("to_json follows the JSON mapping", function() {
+    var json = protoviewer.to_json(helpers.parse(TEXT), schema(), "demo.Order");
+    assert.strictEqual(json.error, null);
+    assert.deepStrictEqual(json.value, JSON_VALUE);
+});
+
+test("to_json reports well-known values that aren't valid", function() {
+    var json = protoviewer.to_json(helpers.parse("at { seconds: 253402300800 }"),
+                                   schema(), "demo.Order");
+    assert.strictEqual(json.error, "at: Invalid timestamp");
+});
+
+test("from_json gives back the proto that to_json was given", function() {
+    var loaded = schema();
+    var proto = protoviewer.from_json(JSON_VALUE, loaded, "demo.Order");
+    assert.strictEqual(proto.error, null);
+    var json = protoviewer.to_json(proto.value, loaded, "demo.Order");
+    assert.deepStrictEqual(json.value, JSON_VALUE);
+    var item = protoviewer.first_value(proto.value, "items");
+    assert.strictEqual(protoviewer.format(item, true), [
+        'name: "a\\nb" count: -5 sizes: 1 sizes: 300 status: ERROR data: "\\000\\377"',
+        'ratio: 0.5 id: 18446744073709551615 on: true user_id: "u" ',
+    ].join(" "));
+    // the proto field names work too
+    proto = protoviewer.from_json({items: [{user_id: "v"}]}, loaded, "demo.Order");
+    assert.strictEqual(protoviewer.format(proto.value, true), 'items { user_id: "v"  } ');
+});
+
+test("from_json reports fields and values that don't fit the schema", function() {
+    var loaded = schema();
+    assert.ok(/zzz/.test(protoviewer.from_json({zzz: 1}, loaded, "demo.Item").error));
+    assert.ok(protoviewer.from_json({status: "NOPE"}, loaded, "demo.Item").error);
+    assert.ok(protoviewer.from_json({at: "yesterday"}, loaded, "demo.Order").error);
+    assert.ok(/toString/.test(protoviewer.from_json({toString: 1}, loaded, "demo.Item").error));
+    assert.ok(/constructor/.test(
+        protoviewer.from_json({items: [{constructor: 1}]}, loaded, "demo.Order").error));
+});
+
+test("to_json and from_json round trip without a schema", function() {
+    var proto = helpers.parse('a: 1 b { c: "x" } b { c: "y" } d: 1.5 e: true');
+    var json = protoviewer.to_json(proto);
+    assert.strictEqual(json.error, null);
+    assert.deepStrictEqual(json.value, {a: 1, b: [{c: "x"}, {c: "y"}], d: 1.5, e: true});
+    var back = protoviewer.from_json(json.value);
+    assert.strictEqual(back.error, null);
+    assert.strictEqual(protoviewer.format(back.value, true),
+                       'a: 1 b { c: "x"  } b { c: "y"  } d: 1.5 e: true ');
+    back = protoviewer.from_json({toString: 1, valueOf: {hasOwnProperty: "x"}});
+    assert.strictEqual(back.error, null);
+    assert.strictEqual(protoviewer.format(back.value, true),
+                       'toString: 1 valueOf { hasOwnProperty: "x"  } ');
+});
@@ -0,0 +1,55 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+test("get_metric_info counts nodes, leaves, values and depth", function() {
+    var proto = helpers.parse("a: 1 a: 2 b { c: [1, 2, 3] d { e: 1 } } f: [{ g: 1 }, { g: 2 }]");
+    var info = protoviewer.get_metric_info(proto, ["depth", "nodes", "leaves", "values"]);
+    assert.deepStrictEqual(info.total, {depth: 3, nodes: 13, leaves: 8, values: 1});
+    assert.deepStrictEqual(info.values.b.values[0].total, {depth: 2, nodes: 6, leaves: 4, values: 1});
+    assert.strictEqual(info.values.a.total.values, 2);
+    assert.strictEqual(info.values.b.values[0].values.c.total.values, 3);
+    assert.strictEqual(info.values.f.total.values, 2);
+    assert.strictEqual(info.values.f.values[0].values[1].total.leaves, 1);
+});
+
+test("the bytes metric is close to the serialized size", function() {
+    var proto = helpers.parse('a: 1 b: 300 c: "hello" d: 1.5 e: true m { a: 1 }');
+    var info = protoviewer.get_metric_info(proto, ["bytes"]);
+    // 2 + 3 + 7 + 9 + 2 + 4 for the fields, and 2 for the top level's own
+    // tag and length
+    assert.strictEqual(info.total.bytes, 29);
+    assert.strictEqual(protoviewer.varint_size(127), 1);
+    assert.strictEqual(protoviewer.varint_size(BigInt(128)), 2);
+    assert.strictEqual(protoviewer.varint_size(-1), 10);
+});
+
+test("metric_label shows the values of a field once for the field", function() {
+    var proto = helpers.parse("a: 1 a: 2 b { c: 1 }");
+    var info = protoviewer.get_metric_info(proto, ["depth", "values"]);
+    assert.strictEqual(protoviewer.metric_label(info, "a", 1), "(0, 2)");
+    assert.strictEqual(protoviewer.metric_label(info, "b", 0), "(1, 1)");
+});
+
+test("proto_stats lists the largest subtrees and the most frequent fields", function() {
+    var proto = helpers.parse('x { s: "a long string value" } y { s: "b" } z: 1 z: 2 z: 3');
+    var stats = protoviewer.proto_stats(proto, 2);
+    assert.deepStrictEqual(stats.largest.map(function(subtree) {
+        return subtree.path;
+    }), ["x[0]", "y[0]"]);
+    assert.strictEqual(stats.largest[0].nodes, 2);
+    assert.deepStrictEqual(stats.names, [{name: "z", count: 3}, {name: "s", count: 2}]);
+    assert.strictEqual(stats.nodes, 8);
+    assert.strictEqual(stats.bytes, 34);
+});
+
+test("the tree shows the selected metric", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = window.document.getElementById("tree");
+    var proto = window.protoviewer.parse_proto("a: 1 a: 2 b { c: 1 }").value;
+    window.protoviewer.draw_proto(
+        tree, proto, true, false, window.protoviewer.get_metric_info(proto, ["nodes"]));
+    assert.strictEqual(tree.querySelector('li[data-path="a[0]"]').textContent, "a (1): 1");
+    assert.strictEqual(tree.querySelector('li[data-path="b[0]"]').firstChild.nodeValue, "b (2)");
+});
@@ -0,0 +1,131 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+var helpers = require("./helpers.js");
+
+// A proto as plain objects, without the things kept by set_hidden, to
+// compare with deepStrictEqual
+var plain = function(proto) {
+    return JSON.parse(JSON.stringify(proto));
+};
+
+test("the corpus parses without errors", function() {
+    helpers.corpus().forEach(function(input) {
+        var result = protoviewer.parse_proto(input.text);
+        assert.strictEqual(result.error, null, input.name);
+    });
+});
+
+test("parse_proto keeps values as they're written", function() {
+    var result = protoviewer.parse_proto('a: 1 b { c: "x" d: ENUM } a: -2.5e3');
+    assert.deepStrictEqual(plain(result.value), {
+        a: ["1", "-2.5e3"],
+        b: [{c: ['"x"'], d: ["ENUM"]}],
+    });
+});
+
+test("parse_proto keeps the order of interleaved fields", function() {
+    var result = protoviewer.parse_proto("a: 1 b: 2 a: 3");
+    assert.deepStrictEqual(protoviewer.entries(result.value).map(function(entry) {
+        return entry.name + "=" + entry.value;
+    }), ["a=1", "b=2", "a=3"]);
+});
+
+test("parse_proto takes field names that objects already have", function() {
+    var result = protoviewer.parse_proto("toString: 1 constructor { a: 1 } a { valueOf: 2 }");
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(plain(result.value), {
+        toString: ["1"],
+        constructor: [{a: ["1"]}],
+        a: [{valueOf: ["2"]}],
+    });
+    assert.strictEqual(protoviewer.format(result.value, true),
+                       "toString: 1 constructor { a: 1  } a { valueOf: 2  } ");
+});
+
+test("parse_proto reads the sample in index.html", function() {
+    var result = protoviewer.parse_proto(helpers.index_html_sample());
+    assert.deepStrictEqual(Object.keys(result.value), ["a", "b", "q"]);
+    assert.deepStrictEqual(plain(result.value.b[0]["[f/g/hi]"]), [{jk: ['"lmnop"']}]);
+    assert.deepStrictEqual(
+        Object.keys(result.value.q[0]), ["[type.googleapis.com/agsdfa]", "u"]);
+});
+
+test("parse_proto takes <> and {} around messages, and , or ; between fields", function() {
+    var result = protoviewer.parse_proto("m < x: 1; y: 2 >, n: { z: 3 }");
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(plain(result.value), {
+        m: [{x: ["1"], y: ["2"]}],
+        n: [{z: ["3"]}],
+    });
+});
+
+test("parse_proto reports where the error is", function() {
+    var result = protoviewer.parse_proto("a: 1\nb {\n  c: \n}");
+    assert.ok(result.error);
+    assert.strictEqual(result.error_info.line, 4);
+    assert.strictEqual(result.error_info.column, 1);
+});
+
+test("parse_proto reports a } with nothing to close", function() {
+    var result = protoviewer.parse_proto("a: 1 }");
+    assert.match(result.error, /'}'/);
+});
+
+test("parse_proto can keep going past errors", function() {
+    var result = protoviewer.parse_proto("a: 1 b: $ c: 2", 0, undefined, true);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.errors.length, 1);
+    assert.deepStrictEqual(plain(result.value), {a: ["1"], c: ["2"]});
+});
+
+test("parse_proto filters field names", function() {
+    var result = protoviewer.parse_proto("a: 1 b { a: 2 c: 3 }", 0, function(name) {
+        return name == "a";
+    });
+    assert.deepStrictEqual(plain(result.value), {b: [{c: ["3"]}]});
+});
+
+test("parse_string handles escaped quotes", function() {
+    var result = protoviewer.parse_string('"a\\"b" rest', 0);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.value, '"a\\"b"');
+    assert.strictEqual(result.end, 6);
+});
+
+test("parse_string joins adjacent strings", function() {
+    var result = protoviewer.parse_string("\"one\" 'two' x", 0);
+    assert.strictEqual(result.value, "\"one\" 'two'");
+    assert.strictEqual(protoviewer.decode_value(result.value), "onetwo");
+});
+
+test("parse_string decodes escapes", function() {
+    [
+        ['"\\101\\x42\\n"', "AB\n"],
+        ['"\\u00e9\\U0001F600"', "é😀"],
+        ["'it\\'s'", "it's"],
+    ].forEach(function(pair) {
+        assert.strictEqual(protoviewer.decode_value(protoviewer.parse_string(pair[0], 0).value),
+                           pair[1]);
+    });
+});
+
+test("parse_string reports unclosed strings and bad escapes", function() {
+    assert.match(protoviewer.parse_string('"abc', 0).error, /No closing "/);
+    assert.match(protoviewer.parse_string('"a\\qb"', 0).error, /Unknown escape 'q'/);
+});
+
+test("parse_list reads values and messages", function() {
+    var result = protoviewer.parse_list('[1, "x", {a: 2}] rest', 0);
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(plain(result.value), ["1", '"x"', {a: ["2"]}]);
+    assert.strictEqual(result.end, 16);
+});
+
+test("parse_list reads empty lists", function() {
+    assert.deepStrictEqual(protoviewer.parse_list("[ ]", 0).value, []);
+});
+
+test("parse_list reports a missing ]", function() {
+    assert.ok(protoviewer.parse_list("[1, 2", 0).error);
+});
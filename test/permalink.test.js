@@ -0,0 +1,45 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+
+var make_permalink = function(state) {
+    return new Promise(function(resolve) {
+        protoviewer.make_permalink(state, resolve);
+    });
+};
+
+var read_permalink = function(fragment) {
+    return new Promise(function(resolve) {
+        protoviewer.read_permalink(fragment, resolve);
+    });
+};
+
+test("permalinks keep the state, compressed", async function() {
+    var input = new Array(200).join('items { name: "x" status: OK }\n');
+    var state = {inputs: {input: input, search: "näme"}, open: ["items[3]"]};
+    var fragment = await make_permalink(state);
+    assert.ok(/^z=[A-Za-z0-9_-]+$/.test(fragment), fragment);
+    assert.ok(fragment.length < input.length / 10);
+    var read = await read_permalink("#" + fragment);
+    assert.strictEqual(read.error, null);
+    assert.deepStrictEqual(read.value, state);
+});
+
+test("read_permalink reads links that aren't compressed", async function() {
+    var fragment = "j=" + protoviewer.format_bytes(
+        protoviewer.encode_utf8('{"inputs":{"input":"a: 1"}}'), "base64").replace(/=+$/, "");
+    var read = await read_permalink(fragment);
+    assert.deepStrictEqual(read.value, {inputs: {input: "a: 1"}});
+});
+
+test("read_permalink ignores other fragments and reports broken links", async function() {
+    var read = await read_permalink("#section-2");
+    assert.strictEqual(read.value, null);
+    assert.strictEqual(read.error, null);
+    read = await read_permalink("#z=AAAA");
+    assert.ok(/^The link is broken: /.test(read.error), read.error);
+    read = await read_permalink("#j=e30");
+    assert.deepStrictEqual(read.value, {});
+    read = await read_permalink("#j=e3");
+    assert.ok(/^The link is broken: /.test(read.error), read.error);
+});
@@ -0,0 +1,45 @@
+// parse_query and run_query.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var PROTO = 'items { name: "a" n: 1 } items { name: "b" n: 0x10 error: true } ' +
+    'other { items { name: "c" n: 3 } } e: 0';
+
+var query = function(text) {
+    var parsed = protoviewer.parse_query(text);
+    assert.strictEqual(parsed.error, null);
+    return protoviewer.run_query(helpers.parse(PROTO), parsed.value).map(function(match) {
+        return protoviewer.query_path(match.path);
+    });
+};
+
+test("run_query finds values by path and wildcard", function() {
+    assert.deepStrictEqual(query("items.name"), ["items[0].name[0]", "items[1].name[0]"]);
+    assert.deepStrictEqual(query("items[1].name"), ["items[1].name[0]"]);
+    assert.deepStrictEqual(query("*.items.name"), ["other[0].items[0].name[0]"]);
+    assert.deepStrictEqual(query("**.name"),
+                           ["items[0].name[0]", "items[1].name[0]", "other[0].items[0].name[0]"]);
+});
+
+test("run_query compares values", function() {
+    assert.deepStrictEqual(query("items.n > 2"), ["items[1].n[0]"]);
+    assert.deepStrictEqual(query("items.n == 16"), ["items[1].n[0]"]);
+    assert.deepStrictEqual(query("*.items.n > 2"), ["other[0].items[0].n[0]"]);
+    assert.deepStrictEqual(query("e == @default"), ["e[0]"]);
+});
+
+test("run_query selects by predicate", function() {
+    assert.deepStrictEqual(query('items[name == "b"]'), ["items[1]"]);
+    assert.deepStrictEqual(query("items[!error && n >= 1].name"), ["items[0].name[0]"]);
+    assert.deepStrictEqual(query('items[name == "a" || error].n'),
+                           ["items[0].n[0]", "items[1].n[0]"]);
+});
+
+test("parse_query reports where a query goes wrong", function() {
+    assert.ok(protoviewer.parse_query("items[").error);
+    assert.ok(protoviewer.parse_query("items]").error);
+    assert.ok(protoviewer.parse_query("items.n >").error);
+});
@@ -0,0 +1,125 @@
+// Property tests: random protos should come back the same after being
+// formatted and parsed again.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var protoviewer = require("../protoviewer.js");
+
+var NUM_PROTOS = 200;
+
+// A small random number generator, so that failures can be repeated
+var make_random = function(seed) {
+    return function(n) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return Math.floor(seed / 2147483648 * n);
+    };
+};
+
+var pick = function(random, list) {
+    return list[random(list.length)];
+};
+
+var NAMES = ["a", "b", "field_name", "x1", "[ext.name]", "[type.googleapis.com/pkg.Type]"];
+var CHARACTERS = ["a", "Z", " ", "\"", "'", "\\", "\n", "\t", "#", "{", "}", "[", "]",
+                  ":", ",", "é", "😀", "\x01"];
+var WORDS = ["0", "-1", "42", "0x1F", "3.25", "-1e10", "inf", "-nan", "1.5f",
+             "true", "false", "ENUM_VALUE"];
+
+var random_text = function(random) {
+    var str = "";
+    for (var ii = random(6); ii > 0; ii--) {
+        str += pick(random, CHARACTERS);
+    }
+    return str;
+};
+
+var random_string = function(random) {
+    return protoviewer.quote_string(random_text(random));
+};
+
+var random_leaf = function(random) {
+    return random(3) == 0 ? random_string(random) : pick(random, WORDS);
+};
+
+var random_proto = function(random, depth) {
+    var proto = {};
+    for (var ii = random(5); ii > 0; ii--) {
+        var name = pick(random, NAMES);
+        var kind = depth > 0 ? random(4) : random(2);
+        var value;
+        if (kind == 0) {
+            value = random_leaf(random);
+        } else if (kind == 1) {
+            value = [];
+            for (var jj = random(4); jj > 0; jj--) {
+                value.push(random_leaf(random));
+            }
+        } else {
+            value = random_proto(random, depth - 1);
+        }
+        protoviewer.add_value(proto, name, value);
+    }
+    return proto;
+};
+
+// The values of a proto in order, to compare protos
+var describe = function(proto) {
+    return protoviewer.entries(proto).map(function(entry) {
+        var value = entry.value;
+        if (protoviewer.is_sub_proto(value)) {
+            value = describe(value);
+        }
+        return [entry.name, value];
+    });
+};
+
+var each_proto = function(func) {
+    var random = make_random(1);
+    for (var ii = 0; ii < NUM_PROTOS; ii++) {
+        func(random_proto(random, 3), ii);
+    }
+};
+
+test("parse(format(proto)) is the same proto", function() {
+    each_proto(function(proto, ii) {
+        var text = protoviewer.format(proto);
+        var result = protoviewer.parse_proto(text);
+        assert.strictEqual(result.error, null, "proto " + ii + ":\n" + text);
+        assert.deepStrictEqual(describe(result.value), describe(proto), "proto " + ii);
+    });
+});
+
+test("parse(format(proto, flat)) is the same proto", function() {
+    each_proto(function(proto, ii) {
+        var text = protoviewer.format(proto, true);
+        var result = protoviewer.parse_proto(text);
+        assert.strictEqual(result.error, null, "proto " + ii + ":\n" + text);
+        assert.deepStrictEqual(describe(result.value), describe(proto), "proto " + ii);
+    });
+});
+
+test("format(parse(text)) doesn't change formatted text", function() {
+    each_proto(function(proto, ii) {
+        var text = protoviewer.format(proto);
+        assert.strictEqual(protoviewer.format(protoviewer.parse_proto(text).value), text,
+                           "proto " + ii);
+    });
+});
+
+test("format_preserving gives back formatted text", function() {
+    each_proto(function(proto, ii) {
+        var text = protoviewer.format(proto);
+        var parsed = protoviewer.parse_proto(text).value;
+        assert.strictEqual(protoviewer.format_preserving(text, parsed), text, "proto " + ii);
+    });
+});
+
+test("strings stand for the same text after a round trip", function() {
+    var random = make_random(2);
+    for (var ii = 0; ii < NUM_PROTOS; ii++) {
+        var text = random_text(random);
+        var result = protoviewer.parse_proto("s: " + protoviewer.quote_string(text));
+        assert.strictEqual(result.error, null, text);
+        assert.strictEqual(protoviewer.decode_value(result.value.s[0]), text);
+    }
+});
@@ -0,0 +1,55 @@
+// load_schema and check_proto.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var SCHEMA = [
+    'syntax = "proto2";',
+    "package demo;",
+    "enum Color { RED = 1; BLUE = 2; }",
+    "message M {",
+    "  required string name = 1;",
+    "  optional Color c = 2;",
+    "  repeated M m = 3;",
+    "}",
+].join("\n");
+
+var problems = function(text) {
+    var schema = protoviewer.load_schema(SCHEMA);
+    assert.strictEqual(schema.error, null);
+    assert.deepStrictEqual(schema.value.errors, []);
+    return protoviewer.check_proto(helpers.parse(text), schema.value, "demo.M").problems
+        .map(function(problem) {
+            return problem.path + ": " + problem.message;
+        });
+};
+
+test("check_proto flags unknown fields", function() {
+    assert.deepStrictEqual(problems('name: "a" zzz: 3'), ["zzz: Unknown field zzz in demo.M"]);
+    assert.deepStrictEqual(problems('name: "a" toString: 3'),
+                           ["toString: Unknown field toString in demo.M"]);
+});
+
+test("check_proto reports missing required fields", function() {
+    assert.deepStrictEqual(problems(""), [": Missing required field name"]);
+    assert.deepStrictEqual(problems('name: "a" m { name: "b" } m { }'),
+                           ["m[1]: Missing required field name"]);
+});
+
+test("check_proto recognizes enum values by name and number", function() {
+    assert.deepStrictEqual(problems('name: "a" c: BLUE'), []);
+    assert.deepStrictEqual(problems('name: "a" c: 1'), []);
+    assert.deepStrictEqual(problems('name: "a" c: 7'), ["c: Unknown value 7 for enum demo.Color"]);
+    assert.deepStrictEqual(problems('name: "a" c: toString'),
+                           ["c: Unknown value toString for enum demo.Color"]);
+    var schema = protoviewer.load_schema(SCHEMA).value;
+    var type_info = protoviewer.check_proto(helpers.parse('name: "a" c: 2'), schema, "demo.M");
+    assert.strictEqual(type_info.value.values.c.values[0].value, "BLUE");
+});
+
+test("load_schema reports unknown types", function() {
+    var schema = protoviewer.load_schema("message M { optional toString t = 1; }");
+    assert.deepStrictEqual(schema.value.errors, ["Unknown type toString for field t"]);
+});
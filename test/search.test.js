@@ -0,0 +1,117 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var search = function(text, pattern, target) {
+    var proto = protoviewer.parse_proto(text).value;
+    return protoviewer.get_expand_info(proto, protoviewer.parse_pattern(pattern).value, target)
+        .map(function(match) {
+            return protoviewer.query_path(match.path) + (match.is_name_match ? " name" : "") +
+                (match.is_value_match ? " value" : "") +
+                (match.items.length > 0 ? " " + match.items.join(",") : "");
+        });
+};
+
+test("get_expand_info matches names and values in the proto", function() {
+    var text = 'ab { b: "xab" c: [1, 2, 12] } d: "\\x61b" b: 2';
+    assert.deepStrictEqual(search(text, "ab"), [
+        "ab[0] name", "ab[0].b[0] value", "d[0] value",
+    ]);
+    assert.deepStrictEqual(search(text, "ab", "name"), ["ab[0] name"]);
+    assert.deepStrictEqual(search(text, "b", "name"), ["ab[0] name", "ab[0].b[0] name", "b[0] name"]);
+    assert.deepStrictEqual(search(text, "2", "value"), ["ab[0].c[0] value 1,2", "b[0] value"]);
+    // messages in a list match as its items
+    assert.deepStrictEqual(search("m: [{ needle: 1 }, { x: 2 }]", "needle"), ["m[0] value 0"]);
+    assert.deepStrictEqual(search("m: [{ x: 2 }, { needle: 1 }]", "needle", "name"),
+                           ["m[0] value 1"]);
+    assert.deepStrictEqual(search("m: [{ needle: 1 }]", "needle", "value"), []);
+    // not the depth in the tree's labels
+    assert.deepStrictEqual(search(text, "(1)"), []);
+});
+
+test("matches_pattern takes a pattern or its text", function() {
+    assert.ok(protoviewer.matches_pattern("abc", protoviewer.parse_pattern("B").value));
+    assert.ok(protoviewer.matches_pattern("abc", "a"));
+    assert.ok(protoviewer.matches_pattern("abc", "/^A/i"));
+    assert.ok(!protoviewer.matches_pattern("abc", "/^b/"));
+    assert.ok(!protoviewer.matches_pattern("abc", "/[/"));
+    assert.ok(!protoviewer.matches_pattern(1, "1"));
+});
+
+var draw = function(window, text) {
+    var tree = window.document.getElementById("tree");
+    var proto = window.protoviewer.parse_proto(text).value;
+    window.protoviewer.set_hidden(tree, "on_draw", function(items) {
+        window.CollapsibleLists.applyTo(items);
+        window.protoviewer.highlight_matches(tree, items);
+    });
+    window.protoviewer.draw_proto(tree, proto, true, true);
+    window.CollapsibleLists.applyTo(tree);
+    return tree;
+};
+
+var item = function(tree, path) {
+    return tree.querySelector('li[data-path="' + path + '"]');
+};
+
+test("search_tree expands and highlights the matches", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var tree = draw(window, 'a { b { name: "joe" } } c { d: 1 } e: [1, "joe"]');
+    var pattern = protoviewer.parse_pattern("jo").value;
+    protoviewer.search_tree(tree, protoviewer.get_expand_info(
+        protoviewer.get_hidden(tree, "proto"), pattern), pattern);
+    assert.ok(!window.CollapsibleLists.isClosed(item(tree, "a[0].b[0]")));
+    assert.ok(window.CollapsibleLists.isClosed(item(tree, "c[0]")));
+    var marks = Array.prototype.map.call(tree.getElementsByTagName("mark"), function(mark) {
+        return mark.parentNode.textContent + " / " + mark.textContent;
+    });
+    assert.deepStrictEqual(marks, ['name (0): "joe" / jo', '"joe" / jo']);
+
+    protoviewer.search_tree(tree, []);
+    assert.strictEqual(tree.getElementsByTagName("mark").length, 0);
+    assert.strictEqual(item(tree, "a[0].b[0].name[0]").textContent, 'name (0): "joe"');
+});
+
+test("search_tree highlights messages in a list", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var tree = draw(window, "a: 1 m: [{ x: 2 }, { needle: 1 }]");
+    var pattern = protoviewer.parse_pattern("needle").value;
+    protoviewer.search_tree(tree, protoviewer.get_expand_info(
+        protoviewer.get_hidden(tree, "proto"), pattern), pattern);
+    assert.ok(!window.CollapsibleLists.isClosed(item(tree, "m[0]")));
+    var marks = Array.prototype.map.call(tree.getElementsByTagName("mark"), function(mark) {
+        return mark.parentNode.textContent + " / " + mark.textContent;
+    });
+    assert.deepStrictEqual(marks, ["{ needle: 1 } / needle"]);
+    assert.strictEqual(protoviewer.show_match(tree, 1), item(tree, "m[0]"));
+});
+
+test("show_match goes through the matches, drawing what it needs to", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var count = protoviewer.DRAW_CHUNK_SIZE + 10;
+    var tree = draw(window, "m { " + new Array(count).join("x: 1 ") + "y: 2 } z: 2");
+    var pattern = protoviewer.parse_pattern("2").value;
+    var matches = protoviewer.get_expand_info(protoviewer.get_hidden(tree, "proto"), pattern);
+    protoviewer.search_tree(tree, matches, pattern);
+    assert.strictEqual(protoviewer.show_match(tree, -1), item(tree, "z[0]"));
+    assert.strictEqual(protoviewer.show_match(tree, 1), item(tree, "m[0].y[0]"));
+    assert.ok(/current_match/.test(item(tree, "m[0].y[0]").className));
+    assert.ok(!/current_match/.test(item(tree, "z[0]").className));
+    assert.strictEqual(protoviewer.get_hidden(tree, "search").current, 0);
+    assert.strictEqual(item(tree, "m[0].y[0]").getElementsByTagName("mark")[0].textContent, "2");
+});
+
+test("show_match finds values in an Any", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var protoviewer = window.protoviewer;
+    var tree = draw(window, "any { [type.googleapis.com/a.B] { c: 1 } }");
+    var pattern = protoviewer.parse_pattern("c", "exact").value;
+    protoviewer.search_tree(tree, protoviewer.get_expand_info(
+        protoviewer.get_hidden(tree, "proto"), pattern, "name"), pattern);
+    var li = protoviewer.show_match(tree, 1);
+    assert.strictEqual(li.getAttribute("data-path"), "any[0].[type.googleapis.com/a.B][0].c[0]");
+});
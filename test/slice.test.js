@@ -0,0 +1,83 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var flat = function(proto) {
+    return protoviewer.format(proto, true).trim();
+};
+
+test("filter_proto removes fields by name, at any depth", function() {
+    var proto = helpers.parse("a: 1 b { a: 2 c: 3 } a: 4");
+    var filtered = protoviewer.filter_proto(proto, function(name) {
+        return name == "a";
+    });
+    assert.strictEqual(flat(filtered), "b { c: 3  }");
+    // the original isn't changed
+    assert.strictEqual(flat(proto), "a: 1 b { a: 2 c: 3  } a: 4");
+});
+
+test("proto_slice keeps the leaves that match, and what they're in", function() {
+    var proto = helpers.parse("a: 1 b { c: 2 d { e: 3 } } f { g: 4 }");
+    var sliced = protoviewer.proto_slice(proto, function(name, value) {
+        return name == "e";
+    });
+    assert.strictEqual(flat(sliced), "a: 1 b { c: 2 d { e: 3  }  } f {  }");
+});
+
+test("proto_slice keeps all of a message whose name matches", function() {
+    var proto = helpers.parse("b { c: 2 d { e: 3 } } f { g: 4 }");
+    var sliced = protoviewer.proto_slice(proto, function(name, value) {
+        return name == "d";
+    });
+    assert.strictEqual(flat(sliced), "b { c: 2 d { e: 3  }  } f {  }");
+});
+
+test("slice_by_pattern matches fields as they're formatted", function() {
+    var proto = helpers.parse('items { name: "x" status: OK } items { name: "y" status: ERROR }');
+    var sliced = protoviewer.slice_by_pattern(proto, protoviewer.parse_pattern("ERROR").value);
+    assert.strictEqual(flat(sliced), 'items {  } items { name: "y" status: ERROR  }');
+});
+
+test("slice_by_pattern matches what strings stand for", function() {
+    var proto = helpers.parse('s: "caf\\303\\251"');
+    var sliced = protoviewer.slice_by_pattern(
+        proto, protoviewer.parse_pattern("café").value, false);
+    assert.strictEqual(flat(sliced), 's: "caf\\303\\251"');
+});
+
+test("convert renames fields", function() {
+    var proto = helpers.parse("a { b: 1 c: 2 }");
+    var converted = protoviewer.convert(proto, {a: ["x", {b: ["y", {}]}]});
+    assert.strictEqual(flat(converted), "x { y: 1 c: 2  }");
+});
+
+test("convert drops a level when the new name is null", function() {
+    var proto = helpers.parse("a { b: 1 } a { c: 2 } d: 3");
+    var converted = protoviewer.convert(proto, {a: [null, {}]});
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(converted)), {
+        b: ["1"],
+        c: ["2"],
+        d: ["3"],
+    });
+});
+
+test("filtering and slicing keep the errors from recovery mode", function() {
+    var result = protoviewer.parse_proto("a { b: $ c: 1 } d: 2 e: }", 0, undefined, true);
+    var error_names = function(proto) {
+        return [protoviewer.node_errors(proto), protoviewer.node_errors(proto.a[0])].map(
+            function(errors) {
+                return errors.map(function(error) { return error.name; });
+            });
+    };
+    var expected = [["e", null], ["b"]];
+    assert.deepStrictEqual(error_names(result.value), expected);
+    assert.deepStrictEqual(error_names(protoviewer.filter_proto(result.value, function(name) {
+        return name == "d";
+    })), expected);
+    assert.deepStrictEqual(error_names(protoviewer.slice_by_pattern(
+        result.value, protoviewer.parse_pattern("c").value)), expected);
+    var rules = protoviewer.parse_filter_rules("+ a.c\n+ d\n- d").value;
+    assert.deepStrictEqual(error_names(protoviewer.apply_filter_rules(result.value, rules)),
+                           expected);
+});
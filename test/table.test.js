@@ -0,0 +1,72 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var proto = helpers.parse([
+    'items { name: "b" price { units: 10 } }',
+    'items { name: "a, \\"quoted\\"" price { units: 9 } tags: ["x", "y"] }',
+    'items { tags: "z" }',
+    'other { items { name: "c" } }',
+    'groups { items { id: 0x10 } } groups { items { id: 2 } items { id: 3 } }',
+].join("\n"));
+
+test("repeated_message_fields lists the fields that repeat somewhere", function() {
+    assert.deepStrictEqual(protoviewer.repeated_message_fields(proto), [
+        {path: "items", count: 3}, {path: "groups", count: 2}, {path: "groups.items", count: 3},
+    ]);
+    var proto_with_list = helpers.parse("a { b: 1 } c: [{}, {}]");
+    assert.deepStrictEqual(protoviewer.repeated_message_fields(proto_with_list), [
+        {path: "c", count: 2},
+    ]);
+});
+
+test("make_table has a column for each leaf path in any message", function() {
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, "items"));
+    assert.deepStrictEqual(table.columns, ["name", "price.units", "tags"]);
+    assert.deepStrictEqual(table.rows.map(function(row) {
+        return row.index + ": " + row.cells.map(protoviewer.cell_text).join(" | ");
+    }), [
+        "0: b | 10 | ",
+        '1: a, "quoted" | 9 | x, y',
+        "2:  |  | z",
+    ]);
+    assert.strictEqual(protoviewer.table_messages(proto, "groups.items").length, 3);
+    assert.strictEqual(protoviewer.table_messages(proto, "nothing.items").length, 0);
+});
+
+test("sort_table sorts numbers before text, with empty cells last", function() {
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, "groups.items"));
+    var ids = function(sorted) {
+        return sorted.rows.map(function(row) {
+            return row.index;
+        });
+    };
+    assert.deepStrictEqual(ids(protoviewer.sort_table(table, 0)), [1, 2, 0]);
+    assert.deepStrictEqual(ids(protoviewer.sort_table(table, 0, true)), [0, 2, 1]);
+    table = protoviewer.make_table(protoviewer.table_messages(proto, "items"));
+    assert.deepStrictEqual(ids(protoviewer.sort_table(table, 0)), [1, 0, 2]);
+    assert.deepStrictEqual(ids(protoviewer.sort_table(table, 0, true)), [0, 1, 2]);
+    assert.deepStrictEqual(ids(protoviewer.sort_table(table, 1)), [1, 0, 2]);
+});
+
+test("filter_table keeps the rows whose cells match", function() {
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, "items"));
+    var filtered = protoviewer.filter_table(table, [null, null, protoviewer.parse_pattern("y").value]);
+    assert.deepStrictEqual(filtered.rows.map(function(row) { return row.index; }), [1]);
+    filtered = protoviewer.filter_table(table, [protoviewer.parse_pattern("/^$/").value]);
+    assert.deepStrictEqual(filtered.rows.map(function(row) { return row.index; }), [2]);
+});
+
+test("format_table writes CSV and TSV", function() {
+    var table = protoviewer.make_table(protoviewer.table_messages(proto, "items"));
+    assert.strictEqual(protoviewer.format_table(table, ","), [
+        "name,price.units,tags",
+        "b,10,",
+        '"a, ""quoted""",9,"x, y"',
+        ",,z",
+        "",
+    ].join("\n"));
+    table = protoviewer.make_table([helpers.parse('a: "tab\\there" b: "new\\nline\\\\"')]);
+    assert.strictEqual(protoviewer.format_table(table, "\t"), "a\tb\ntab\\there\tnew\\nline\\\\\n");
+});
@@ -0,0 +1,120 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var SCHEMA = [
+    'syntax = "proto3";',
+    'package demo;',
+    'import "google/protobuf/any.proto";',
+    'message Event {',
+    '  google.protobuf.Timestamp at = 1;',
+    '  google.protobuf.Duration took = 2;',
+    '  google.protobuf.StringValue note = 3;',
+    '  google.protobuf.Struct labels = 4;',
+    '  google.protobuf.Any detail = 5;',
+    '}',
+    'message Detail { string reason = 1; }',
+].join("\n");
+
+var type_info = function(proto) {
+    var schema = protoviewer.load_schema(SCHEMA);
+    assert.strictEqual(schema.error, null);
+    return protoviewer.check_proto(proto, schema.value, "demo.Event").value;
+};
+
+test("describe_well_known describes timestamps, durations and wrappers", function() {
+    var describe = function(text, type_name) {
+        return protoviewer.describe_well_known(helpers.parse(text), "google.protobuf." + type_name);
+    };
+    assert.strictEqual(describe("seconds: 1600000000 nanos: 500000000", "Timestamp"),
+                       "2020-09-13 12:26:40.500 UTC");
+    assert.strictEqual(describe("seconds: 3725 nanos: 5000000", "Duration"), "1h 2m 5.005s");
+    assert.strictEqual(describe("seconds: -90", "Duration"), "-1m 30s");
+    assert.strictEqual(describe("", "Duration"), "0s");
+    assert.strictEqual(describe('value: "hi"', "StringValue"), '"hi"');
+    assert.strictEqual(describe("", "Int64Value"), "0");
+    assert.strictEqual(describe('paths: "a.b_c"', "FieldMask"), "a.bC");
+    assert.strictEqual(describe("", "Any"), null);
+    // values that aren't valid aren't described
+    assert.strictEqual(describe("seconds: 1 nanos: -1", "Duration"), null);
+    assert.strictEqual(describe("seconds: -1 nanos: 1", "Duration"), null);
+    assert.strictEqual(describe("seconds: 315576000001", "Duration"), null);
+    assert.strictEqual(describe("seconds: 253402300800", "Timestamp"), null);
+    assert.strictEqual(describe("seconds: -62135596801", "Timestamp"), null);
+    assert.strictEqual(describe("seconds: 1 nanos: -1", "Timestamp"), null);
+    assert.strictEqual(describe("seconds: 253402300799", "Timestamp"), "9999-12-31 23:59:59 UTC");
+    assert.strictEqual(describe("seconds: -1 nanos: -5", "Duration"), "-1.000000005s");
+    assert.strictEqual(protoviewer.describe_well_known(helpers.parse("x: 1"), "demo.Event"), null);
+});
+
+test("describe_well_known writes Struct and Value as JSON", function() {
+    var struct = helpers.parse(
+        'fields { key: "a" value { number_value: 1 } } ' +
+        'fields { key: "b" value { list_value { values { string_value: "x" } } } }');
+    assert.strictEqual(protoviewer.describe_well_known(struct, "google.protobuf.Struct"),
+                       '{"a":1,"b":["x"]}');
+    assert.strictEqual(protoviewer.describe_well_known(
+        helpers.parse("null_value: NULL_VALUE"), "google.protobuf.Value"), "null");
+});
+
+test("any_payload finds the message in an expanded Any", function() {
+    var payload = protoviewer.any_payload(
+        helpers.parse('[type.googleapis.com/demo.Detail] { reason: "x" }'));
+    assert.strictEqual(payload.type_url, "type.googleapis.com/demo.Detail");
+    assert.strictEqual(payload.name, "[type.googleapis.com/demo.Detail]");
+    assert.deepStrictEqual(payload.value.reason, ['"x"']);
+    assert.strictEqual(protoviewer.any_payload(helpers.parse('type_url: "x" value: ""')), null);
+    assert.strictEqual(protoviewer.any_payload(helpers.parse("[pkg.ext] { a: 1 }")), null);
+});
+
+test("format describes well-known types in comments", function() {
+    var proto = helpers.parse('at { seconds: 60 } took { seconds: 2 } note { value: "n" } ' +
+                      'detail { [type.googleapis.com/google.protobuf.Duration] { seconds: 1 } }');
+    assert.strictEqual(protoviewer.format(proto, false, "", type_info(proto)), [
+        "at { # 1970-01-01 00:01:00 UTC",
+        "  seconds: 60",
+        " }",
+        "took { # 2s",
+        "  seconds: 2",
+        " }",
+        "note { # \"n\"",
+        "  value: \"n\"",
+        " }",
+        "detail { ",
+        "  [type.googleapis.com/google.protobuf.Duration] { # 1s",
+        "    seconds: 1",
+        "   }",
+        " }",
+        "",
+    ].join("\n"));
+    // without a schema, only what's in an Any can be described
+    var described = protoviewer.format(proto, true, "", {values: {}});
+    assert.ok(described.indexOf("at { \n") >= 0);
+    assert.ok(described.indexOf("Duration] { # 1s\n") >= 0);
+    // and it still parses to the same proto
+    assert.strictEqual(protoviewer.format(helpers.parse(described)), protoviewer.format(proto));
+});
+
+test("draw_proto shows the type of an Any and describes well-known types", function() {
+    var window = helpers.load_page('<ul id="tree"></ul>');
+    var tree = window.document.getElementById("tree");
+    var text = 'at { seconds: 0 } detail { [type.googleapis.com/demo.Detail] { reason: "x" } }';
+    var proto = window.protoviewer.parse_proto(text).value;
+    window.protoviewer.draw_proto(tree, proto, true, false);
+    var at = tree.querySelector('li[data-path="at[0]"]');
+    assert.strictEqual(at.querySelector(".well_known"), null);
+    var detail = tree.querySelector('li[data-path="detail[0]"]');
+    assert.strictEqual(detail.querySelector(".any_type").textContent,
+                       "type.googleapis.com/demo.Detail");
+    window.protoviewer.draw_pending(detail);
+    // the payload's fields are drawn right under the Any, with their full paths
+    var reason = detail.querySelector("ul > li");
+    assert.strictEqual(reason.getAttribute("data-path"),
+                       "detail[0].[type.googleapis.com/demo.Detail][0].reason[0]");
+
+    tree.innerHTML = "";
+    window.protoviewer.draw_proto(tree, proto, true, false, null, type_info(helpers.parse(text)));
+    at = tree.querySelector('li[data-path="at[0]"]');
+    assert.strictEqual(at.querySelector(".well_known").textContent, " = 1970-01-01 00:00:00 UTC");
+});
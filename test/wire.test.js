@@ -0,0 +1,92 @@
+// The wire format: decode_proto, and encode_proto, which should give the
+// same bytes back.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var SCHEMA = [
+    'syntax = "proto3";',
+    "package demo;",
+    "enum Status { UNKNOWN = 0; OK = 1; ERROR = 2; }",
+    "message Item {",
+    "  string name = 1; int64 count = 2; repeated int32 sizes = 3; Status status = 4;",
+    "  bytes data = 5; double ratio = 6; sint32 delta = 7; fixed64 id = 8; bool on = 9;",
+    "}",
+    "message Order { repeated Item items = 1; float f = 4; }",
+].join("\n");
+
+// name: "ab", count: -5 (ten bytes), packed sizes: [1, 300], status: ERROR
+var ITEM_HEX = "0a 02 61 62 10 fb ff ff ff ff ff ff ff ff 01 1a 03 01 ac 02 20 02";
+
+var ORDER_TEXT = [
+    'items { name: "a\\nb" count: -5 sizes: [1, 300] status: ERROR data: "\\x00\\xff"',
+    "        ratio: 0.5 delta: -3 id: 18446744073709551615 on: true }",
+    'items { name: "c" }',
+    "f: 1.5",
+].join("\n");
+
+var schema = function() {
+    var loaded = protoviewer.load_schema(SCHEMA);
+    assert.strictEqual(loaded.error, null);
+    return loaded.value;
+};
+
+var decode = function(hex, loaded, type_name) {
+    var bytes = protoviewer.parse_bytes(hex, "hex");
+    assert.strictEqual(bytes.error, null);
+    return protoviewer.decode_proto(bytes.value, loaded, type_name);
+};
+
+test("decode_proto uses the schema for names and types", function() {
+    var decoded = decode(ITEM_HEX, schema(), "demo.Item");
+    assert.strictEqual(decoded.error, null);
+    assert.strictEqual(protoviewer.format(decoded.value, true),
+                       'name: "ab" count: -5 sizes: 1 sizes: 300 status: ERROR ');
+});
+
+test("decode_proto without a schema names fields by number", function() {
+    var decoded = decode(ITEM_HEX, null);
+    assert.strictEqual(decoded.error, null);
+    assert.strictEqual(protoviewer.format(decoded.value, true),
+                       '1: "ab" 2: -5 3: "\\001\\254\\002" 4: 2 ');
+});
+
+test("decode_proto reports bytes that end too soon", function() {
+    assert.ok(decode("0a 05 61", null).error);
+    assert.ok(decode("10 ff", null).error);
+});
+
+var encode = function(proto, loaded, type_name) {
+    var bytes = protoviewer.encode_proto(proto, loaded, type_name);
+    assert.strictEqual(bytes.error, null);
+    return protoviewer.format_bytes(bytes.value, "hex");
+};
+
+test("encode_proto writes what decode_proto reads", function() {
+    var loaded = schema();
+    var item = helpers.parse('name: "ab" count: -5 sizes: [1, 300] status: ERROR');
+    assert.strictEqual(encode(item, loaded, "demo.Item"), ITEM_HEX);
+    var hex = encode(helpers.parse(ORDER_TEXT), loaded, "demo.Order");
+    var decoded = decode(hex, loaded, "demo.Order");
+    assert.strictEqual(decoded.error, null);
+    assert.strictEqual(
+        protoviewer.format(protoviewer.first_value(decoded.value, "items"), true),
+        'name: "a\\nb" count: -5 sizes: 1 sizes: 300 status: ERROR data: "\\000\\377" ' +
+        "ratio: 0.5 delta: -3 id: 18446744073709551615 on: true ");
+    assert.strictEqual(encode(decoded.value, loaded, "demo.Order"), hex);
+});
+
+test("encode_proto encodes again what decode_proto read without a schema", function() {
+    var hex = encode(helpers.parse(ORDER_TEXT), schema(), "demo.Order");
+    var decoded = decode(hex, null);
+    assert.strictEqual(decoded.error, null);
+    assert.strictEqual(encode(decoded.value, null), hex);
+});
+
+test("encode_proto says which field it can't encode", function() {
+    var bytes = protoviewer.encode_proto(helpers.parse("count: abc"), schema(), "demo.Item");
+    assert.ok(/count/.test(bytes.error), bytes.error);
+    assert.strictEqual(bytes.value.length, 0);
+});
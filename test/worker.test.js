@@ -0,0 +1,49 @@
+// The worker gets its requests and sends its results with postMessage,
+// which copies them with structuredClone, so the tests do too.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+var protoviewer = require("../protoviewer.js");
+
+var request = function(message, progress) {
+    var result = protoviewer.handle_worker_request(structuredClone(message), function(percent) {
+        (progress || []).push(percent);
+    });
+    return structuredClone(result);
+};
+
+test("pack_proto keeps the order of the fields and where they were", function() {
+    var text = "a: 1 b { c: 2 } a: 3";
+    var packed = structuredClone(protoviewer.pack_proto(helpers.parse(text)));
+    var proto = protoviewer.unpack_proto(packed);
+    assert.deepStrictEqual(protoviewer.entries(proto).map(function(entry) {
+        return entry.name;
+    }), ["a", "b", "a"]);
+    assert.strictEqual(protoviewer.format_preserving(text, proto), text);
+});
+
+test("the worker parses, formats and slices", function() {
+    var progress = [];
+    var text = new Array(1001).join("a { b: 1 } ");
+    var parsed = request({op: "parse", text: text, filter_pattern: null, recover: false}, progress);
+    assert.strictEqual(parsed.error, null);
+    assert.strictEqual(progress[progress.length - 1], 100);
+    assert.ok(progress.every(function(percent, ii) {
+        return ii == 0 || percent > progress[ii - 1];
+    }));
+    assert.strictEqual(protoviewer.unpack_proto(parsed.value).a.length, 1000);
+
+    parsed = request({
+        op: "parse", text: "a: 1 debug { x: 1 } b: }", filter_pattern: /^debug$/,
+        is_reversed: false, recover: true,
+    });
+    assert.ok(parsed.errors.length > 0);
+    var proto = parsed.value;
+    assert.strictEqual(request({op: "format", proto: proto, text: null}), "a: 1\n");
+    var sliced = request({op: "slice", proto: proto, pattern: /a/});
+    assert.strictEqual(protoviewer.format(protoviewer.unpack_proto(sliced), true), "a: 1 ");
+    assert.throws(function() {
+        request({op: "nothing"});
+    }, /Unknown request/);
+});
@@ -0,0 +1,18 @@
+// The Web Worker that parses, formats and slices protos for the page (see
+// run_in_worker).  Each message is a request for handle_worker_request,
+// with an id.  The replies are {id, progress} while it works, then
+// {id, value}, or {id, error} if it failed.
+importScripts("protoviewer.js");
+
+onmessage = function(e) {
+    var id = e.data.id;
+    try {
+        var value = protoviewer.handle_worker_request(e.data, function(percent) {
+            postMessage({id: id, progress: percent});
+        });
+    } catch (error) {
+        postMessage({id: id, error: String(error)});
+        return;
+    }
+    postMessage({id: id, value: value});
+};